@@ -0,0 +1,153 @@
+/**
+ * Jounce Golf - Score Cell Versions
+ *
+ * Every score cell synced between devices carries a version: a Lamport
+ * clock plus the id of the device that wrote it, and the versions it
+ * replaced (history). Comparing a remote cell with the local one tells an
+ * update that follows ours (take it), one we already replaced (keep ours)
+ * and two edits made without seeing each other (concurrent). Concurrent
+ * edits are settled last-writer-wins - higher clock, then higher device
+ * id - so every device picks the same value, and flagged as a conflict
+ * when the values differ so a scorer can check it.
+ *
+ * The rest of a round that devices edit side by side (hole stats, game
+ * settings, side game entries) is versioned the same way as fields: a
+ * field holds any JSON value instead of strokes.
+ *
+ * @example
+ * const { take, conflict } = mergeCell(localCell, remoteCell);
+ * const { take, conflict } = mergeField(localField, remoteField);
+ */
+
+/**
+ * @typedef {Object} CellVersion
+ * @property {number} clock - Lamport clock when written
+ * @property {string} device - Device that wrote it
+ */
+
+/**
+ * @typedef {Object} Cell
+ * @property {number} strokes
+ * @property {CellVersion} version
+ * @property {CellVersion[]} history - Versions this one replaced, newest first
+ */
+
+/**
+ * @typedef {Object} Field
+ * @property {*} value - JSON value (null when cleared)
+ * @property {CellVersion} version
+ * @property {CellVersion[]} history
+ */
+
+// Ancestor versions kept per cell
+export const CELL_HISTORY_LIMIT = 20;
+
+export function cellKey(playerId, holeNumber) {
+    return `${playerId}:${holeNumber}`;
+}
+
+export function parseCellKey(key) {
+    const split = key.lastIndexOf(':');
+    return { playerId: key.slice(0, split), holeNumber: Number(key.slice(split + 1)) };
+}
+
+/**
+ * Order two versions (null sorts first)
+ *
+ * @param {?CellVersion} a
+ * @param {?CellVersion} b
+ * @returns {number} Negative when a is older, positive when newer, 0 when equal
+ */
+export function compareVersions(a, b) {
+    if (!a || !b) {
+        return (a ? 1 : 0) - (b ? 1 : 0);
+    }
+    if (a.clock !== b.clock) {
+        return a.clock - b.clock;
+    }
+    return a.device < b.device ? -1 : (a.device > b.device ? 1 : 0);
+}
+
+export function sameVersion(a, b) {
+    return compareVersions(a, b) === 0;
+}
+
+function descendsFrom(cell, version) {
+    return cell.history.some(ancestor => sameVersion(ancestor, version));
+}
+
+/**
+ * A local edit on top of the current cell
+ *
+ * @param {?Cell} current - null for the first entry
+ * @param {number} strokes
+ * @param {CellVersion} version
+ * @returns {Cell}
+ */
+export function editCell(current, strokes, version) {
+    return { strokes, version, history: historyOf(current) };
+}
+
+/**
+ * A local edit on top of the current field
+ *
+ * @param {?Field} current - null for the first edit
+ * @param {*} value
+ * @param {CellVersion} version
+ * @returns {Field}
+ */
+export function editField(current, value, version) {
+    return { value, version, history: historyOf(current) };
+}
+
+function historyOf(current) {
+    return current ? [current.version, ...current.history].slice(0, CELL_HISTORY_LIMIT) : [];
+}
+
+// Deep equality of JSON values (object key order does not matter)
+export function sameValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && sameValue(a[key], b[key]));
+}
+
+/**
+ * Decide what to do with a remote cell
+ *
+ * @param {?Cell} local - null when this device has no version for the cell
+ * @param {Cell} remote
+ * @returns {{take: boolean, conflict: boolean}} take: replace the local cell;
+ *          conflict: the edits were concurrent and disagree
+ */
+export function mergeCell(local, remote) {
+    return merge(local, remote, (a, b) => a.strokes === b.strokes);
+}
+
+/**
+ * Decide what to do with a remote field (see mergeCell)
+ *
+ * @param {?Field} local
+ * @param {Field} remote
+ * @returns {{take: boolean, conflict: boolean}}
+ */
+export function mergeField(local, remote) {
+    return merge(local, remote, (a, b) => sameValue(a.value, b.value));
+}
+
+function merge(local, remote, same) {
+    if (!local || descendsFrom(remote, local.version)) {
+        return { take: true, conflict: false };
+    }
+    if (sameVersion(local.version, remote.version) || descendsFrom(local, remote.version)) {
+        return { take: false, conflict: false };
+    }
+    return {
+        take: compareVersions(remote.version, local.version) > 0,
+        conflict: !same(remote, local),
+    };
+}
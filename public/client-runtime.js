@@ -2,7 +2,11 @@
 // Provides JSX rendering and client-side utilities
 
 // Import reactivity system for reactive components
-import { effect } from './reactivity.js';
+import { effect, untrack, createRoot, onCleanup } from './reactivity.js';
+
+// Tags h() creates in the SVG namespace (inline charts)
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const SVG_TAGS = new Set(['svg', 'g', 'path', 'polyline', 'line', 'circle', 'rect', 'text', 'title']);
 
 // Simple JSX createElement function (h function)
 export function h(tag, props, ...children) {
@@ -87,11 +91,18 @@ export function h(tag, props, ...children) {
         return result;
     }
 
-    const element = document.createElement(tag);
+    // SVG elements (charts) live in the SVG namespace
+    const isSvg = SVG_TAGS.has(tag);
+    const element = isSvg ? document.createElementNS(SVG_NAMESPACE, tag) : document.createElement(tag);
 
     // Set properties
     if (props) {
         for (const [key, value] of Object.entries(props)) {
+            // Skip absent attributes (e.g. disabled: null)
+            if (value === null || value === undefined || value === false) {
+                continue;
+            }
+
             // Check if value is a reactive signal
             const isSignal = value && typeof value === 'object' && '_value' in value && '_subscribers' in value;
 
@@ -102,6 +113,14 @@ export function h(tag, props, ...children) {
                 } else {
                     element.className = value;
                 }
+            } else if (key === 'class' && isSvg) {
+                // SVG className is read-only; set the attribute instead
+                if (isSignal) {
+                    element.setAttribute('class', value.value);
+                    effect(() => { element.setAttribute('class', value.value); });
+                } else {
+                    element.setAttribute('class', value);
+                }
             } else if (key === 'class') {
                 if (isSignal) {
                     element.className = value.value;
@@ -132,27 +151,69 @@ export function h(tag, props, ...children) {
 
     // Append children
     for (const child of children.flat()) {
-        if (child === null || child === undefined) {
-            continue;
-        } else if (typeof child === 'string' || typeof child === 'number') {
-            element.appendChild(document.createTextNode(String(child)));
-        } else if (child instanceof Node) {
-            element.appendChild(child);
-        } else if (child && typeof child === 'object' && '_value' in child && '_subscribers' in child) {
-            // This is a reactive signal! Create a text node and set up auto-update
-            const textNode = document.createTextNode(String(child.value));
-            element.appendChild(textNode);
-
-            // Set up effect to update text node when signal changes
-            effect(() => {
-                textNode.textContent = String(child.value);
-            });
+        const node = childToNode(child);
+        if (node) {
+            element.appendChild(node);
         }
     }
 
     return element;
 }
 
+// Convert a child (string, number, Node or reactive signal) to a DOM node
+function childToNode(child) {
+    if (child === null || child === undefined) {
+        return null;
+    } else if (typeof child === 'string' || typeof child === 'number') {
+        return document.createTextNode(String(child));
+    } else if (child instanceof Node) {
+        return child;
+    } else if (child && typeof child === 'object' && '_value' in child && '_subscribers' in child) {
+        // This is a reactive signal! Create a text node and set up auto-update
+        const textNode = document.createTextNode(String(child.value));
+
+        // Set up effect to update text node when signal changes
+        effect(() => {
+            textNode.textContent = String(child.value);
+        });
+        return textNode;
+    }
+    return null;
+}
+
+// Reactive region - re-renders its children whenever `source` changes
+// source: a signal/computed, or a function reading signals (tracked)
+// render: receives the source value and returns a node, string or array of them
+// Effects created by a previous render are disposed before re-rendering.
+export function dynamic(source, render, tag = 'div', props = null) {
+    const container = h(tag, props);
+    const read = typeof source === 'function' ? source : () => source.value;
+    let disposeChildren = null;
+
+    const region = effect(() => {
+        const value = read();
+        untrack(() => {
+            if (disposeChildren) {
+                disposeChildren();
+            }
+            const nodes = createRoot((dispose) => {
+                disposeChildren = dispose;
+                return [render(value)].flat(Infinity).map(childToNode).filter(Boolean);
+            });
+            container.replaceChildren(...nodes);
+        });
+    });
+
+    onCleanup(() => {
+        region.dispose();
+        if (disposeChildren) {
+            disposeChildren();
+        }
+    });
+
+    return container;
+}
+
 // Component Lifecycle Context (Session 18)
 // Stores lifecycle hooks for the currently rendering component
 let currentLifecycleContext = null;
@@ -314,6 +375,16 @@ export function mountComponent(component, selector = '#app') {
         return;
     }
 
+    // Unmount the previous component (router navigation) and dispose its effects
+    const previous = container.firstChild;
+    if (previous && previous.__jounce_unmount) {
+        previous.__jounce_unmount();
+    }
+    if (container.__jounce_dispose) {
+        container.__jounce_dispose();
+        container.__jounce_dispose = null;
+    }
+
     // Clear existing content
     container.innerHTML = '';
 
@@ -328,7 +399,11 @@ export function mountComponent(component, selector = '#app') {
     currentLifecycleContext = lifecycleContext;
 
     // Render component (called ONCE - signals created once)
-    const rendered = typeof component === 'function' ? component() : component;
+    // Effects created during render are owned by the container until the next mount
+    const rendered = createRoot((dispose) => {
+        container.__jounce_dispose = dispose;
+        return typeof component === 'function' ? component() : component;
+    });
 
     // Clear context
     currentLifecycleContext = null;
@@ -364,26 +439,174 @@ export function mountComponent(component, selector = '#app') {
     return lifecycleContext;
 }
 
+// Error from an RPC call
+// status: HTTP status (0 when no response arrived)
+// code: server error code, or 'timeout' | 'cancelled' | 'network' | 'http_<status>'
+export class RPCError extends Error {
+    constructor(message, { status = 0, code = 'unknown', functionName = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'RPCError';
+        this.status = status;
+        this.code = code;
+        this.functionName = functionName;
+        this.retryable = retryable;
+    }
+}
+
+// Cancel in-flight RPC calls: pass the token to call() and cancel() it
+// (the router hands out one per page that is cancelled on navigation)
+export class CancelToken {
+    constructor() {
+        this.controller = new AbortController();
+        this.reason = null;
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get isCancelled() {
+        return this.controller.signal.aborted;
+    }
+
+    cancel(reason = 'Cancelled') {
+        if (!this.isCancelled) {
+            this.reason = reason;
+            this.controller.abort();
+        }
+    }
+}
+
+// Statuses worth retrying: timeouts, rate limits and temporary server trouble
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
 // RPC Client for calling server functions
+// options.timeout: ms before a call is aborted (0 = never)
+// options.retries: extra attempts for idempotent calls that fail with a retryable error
+// options.retryDelay / options.maxRetryDelay: backoff doubles from retryDelay up to maxRetryDelay
+// options.idempotent: functions that are safe to repeat (only these are retried)
 export class RPCClient {
-    constructor(baseUrl = '') {
+    constructor(baseUrl = '', options = {}) {
         this.baseUrl = baseUrl;
+        this.timeout = options.timeout ?? 10000;
+        this.retries = options.retries ?? 2;
+        this.retryDelay = options.retryDelay ?? 500;
+        this.maxRetryDelay = options.maxRetryDelay ?? 8000;
+        this.idempotent = new Set(options.idempotent || []);
     }
 
-    async call(functionName, params = {}) {
-        const response = await fetch(`${this.baseUrl}/rpc/${functionName}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(params),
-        });
+    // Call a server function; per-call options override timeout, retries and
+    // idempotent, and cancelToken aborts the call (including pending retries)
+    async call(functionName, params = {}, options = {}) {
+        const idempotent = options.idempotent ?? this.idempotent.has(functionName);
+        const retries = idempotent ? (options.retries ?? this.retries) : 0;
+        const cancelToken = options.cancelToken || null;
 
-        if (!response.ok) {
-            throw new Error(`RPC call failed: ${response.statusText}`);
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(functionName, params, options.timeout ?? this.timeout, cancelToken);
+            } catch (error) {
+                if (!error.retryable || attempt >= retries) {
+                    throw error;
+                }
+                // Exponential backoff with jitter, so devices do not retry in step
+                const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+                await this.wait(delay / 2 + Math.random() * delay / 2, functionName, cancelToken);
+            }
+        }
+    }
+
+    // One request, aborted after timeout ms or when the token is cancelled
+    async attempt(functionName, params, timeout, cancelToken) {
+        if (cancelToken && cancelToken.isCancelled) {
+            throw this.cancelled(functionName, cancelToken);
+        }
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout) : null;
+        const onCancel = () => controller.abort();
+        if (cancelToken) {
+            cancelToken.signal.addEventListener('abort', onCancel);
+        }
+
+        try {
+            let response;
+            try {
+                response = await fetch(`${this.baseUrl}/rpc/${functionName}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(params),
+                    signal: controller.signal,
+                });
+            } catch (error) {
+                if (timedOut) {
+                    throw this.timedOut(functionName, timeout);
+                }
+                if (cancelToken && cancelToken.isCancelled) {
+                    throw this.cancelled(functionName, cancelToken);
+                }
+                throw new RPCError(`${functionName} could not reach the server: ${error.message}`, { code: 'network', functionName, retryable: true });
+            }
+
+            if (!response.ok) {
+                // Servers answer { error: { code, message } }; anything else gets a generic code
+                const body = await response.json().catch(() => null);
+                const error = body && body.error ? body.error : {};
+                throw new RPCError(error.message || `${functionName} failed: ${response.status} ${response.statusText}`, {
+                    status: response.status,
+                    code: error.code || `http_${response.status}`,
+                    functionName,
+                    retryable: RETRYABLE_STATUSES.includes(response.status),
+                });
+            }
+
+            try {
+                return await response.json();
+            } catch (error) {
+                if (timedOut || (cancelToken && cancelToken.isCancelled)) {
+                    throw timedOut ? this.timedOut(functionName, timeout) : this.cancelled(functionName, cancelToken);
+                }
+                throw new RPCError(`${functionName} returned an invalid response`, { status: response.status, code: 'invalid_response', functionName });
+            }
+        } finally {
+            clearTimeout(timer);
+            if (cancelToken) {
+                cancelToken.signal.removeEventListener('abort', onCancel);
+            }
         }
+    }
 
-        return await response.json();
+    // Sleep between retries, cut short by cancellation
+    wait(ms, functionName, cancelToken) {
+        return new Promise((resolve, reject) => {
+            if (!cancelToken) {
+                setTimeout(resolve, ms);
+                return;
+            }
+            const onCancel = () => {
+                clearTimeout(timer);
+                reject(this.cancelled(functionName, cancelToken));
+            };
+            const timer = setTimeout(() => {
+                cancelToken.signal.removeEventListener('abort', onCancel);
+                resolve();
+            }, ms);
+            if (cancelToken.isCancelled) {
+                onCancel();
+            } else {
+                cancelToken.signal.addEventListener('abort', onCancel);
+            }
+        });
+    }
+
+    timedOut(functionName, timeout) {
+        return new RPCError(`${functionName} timed out after ${timeout}ms`, { code: 'timeout', functionName, retryable: true });
+    }
+
+    cancelled(functionName, cancelToken) {
+        return new RPCError(`${functionName} was cancelled: ${cancelToken.reason}`, { code: 'cancelled', functionName });
     }
 }
 
@@ -393,6 +616,8 @@ export class JounceRouter {
         this.routes = new Map(); // path -> render function
         this.currentPath = window.location.pathname;
         this.params = {};
+        // Cancelled when the page changes - pass to RPC calls made for the page
+        this.cancelToken = new CancelToken();
 
         // Listen to popstate (back/forward buttons)
         window.addEventListener('popstate', () => {
@@ -416,6 +641,8 @@ export class JounceRouter {
     // Handle route change - find matching route and render
     handleRoute(path) {
         this.currentPath = path;
+        this.cancelToken.cancel(`Navigated to ${path}`);
+        this.cancelToken = new CancelToken();
 
         // Try exact match first
         if (this.routes.has(path)) {
@@ -506,7 +733,7 @@ export function navigate(path) {
 // ==================== WebSocket Client ====================
 
 // WebSocket client with automatic reconnection
-class WebSocketClient {
+export class WebSocketClient {
     constructor(url, options = {}) {
         this.url = url;
         this.ws = null;
@@ -519,6 +746,8 @@ class WebSocketClient {
         this.messageHandlers = [];
         this.stateHandlers = [];
         this.rooms = [];
+        // Extra join_room data per room (e.g. { role: 'spectator' })
+        this.roomOptions = {};
     }
 
     // Connect to WebSocket server
@@ -537,6 +766,12 @@ class WebSocketClient {
                 console.log('[WebSocket] Connected to', this.url);
                 this.state = 'connected';
                 this.reconnectAttempts = 0;
+                // The server forgets rooms when a connection drops - rejoin them
+                // before handlers are told, so anything they broadcast is delivered
+                for (const room of this.rooms) {
+                    this.ws.send(JSON.stringify({ type: 'join_room', data: { room, ...this.roomOptions[room] }, timestamp: Date.now(), id: Math.random().toString(36).substring(7) }));
+                }
+                this.messageQueue = this.messageQueue.filter(message => message.type !== 'join_room');
                 this.notifyStateChange();
                 this.flushMessageQueue();
             };
@@ -641,11 +876,12 @@ class WebSocketClient {
         });
     }
 
-    // Join a room
-    joinRoom(room) {
+    // Join a room; options go with the join and every rejoin (e.g. { role: 'spectator' })
+    joinRoom(room, options = {}) {
         if (!this.rooms.includes(room)) {
             this.rooms.push(room);
-            this.send('join_room', { room });
+            this.roomOptions[room] = options;
+            this.send('join_room', { room, ...options });
         }
     }
 
@@ -654,6 +890,7 @@ class WebSocketClient {
         const index = this.rooms.indexOf(room);
         if (index > -1) {
             this.rooms.splice(index, 1);
+            delete this.roomOptions[room];
             this.send('leave_room', { room });
         }
     }
@@ -766,6 +1003,7 @@ if (typeof window !== 'undefined') {
     window.Jounce = {
         h,
         mountComponent,
+        dynamic,
         onMount,
         onUnmount,
         onUpdate,
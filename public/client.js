@@ -1,8 +1,29 @@
-// Auto-generated Jounce Client Bundle
-// DO NOT EDIT - Generated by Jounce compiler
-
-import { h, RPCClient, mountComponent, navigate, getRouter, onMount, onUnmount, onUpdate, onError, ErrorBoundary, Suspense } from './client-runtime.js';
-import { signal, persistentSignal, computed, effect, batch } from './reactivity.js';
+// Jounce Golf - App
+// Started as Jounce compiler output; now maintained by hand (edit this file)
+
+import { h, RPCClient, mountComponent, dynamic, navigate, getRouter, onMount, onUnmount, onUpdate, onError, ErrorBoundary, Suspense } from './client-runtime.js';
+import { signal, persistentSignal, computed, effect, batch, untrack, onCleanup } from './reactivity.js';
+import { Round, createRound, NINES, MIN_PLAYERS, MAX_PLAYERS } from './round.js';
+import { parseHandicapIndex, formatHandicapIndex } from './handicap.js';
+import { loadSavedRound, snapshotHasScores, autosaveRound, backupRound } from './round-store.js';
+import { Outbox } from './outbox.js';
+import { registerServiceWorker, updateAvailable, applyUpdate, dismissUpdate } from './pwa.js';
+import { archivedRounds, roundsByDate, roundDate, archiveRound, getArchivedRound, deleteArchivedRound } from './history.js';
+import { roundsToCsv, roundsToJson, exportFileName, downloadFile } from './export.js';
+import { formatToPar, holeResult, HOLE_RESULTS } from './scoring.js';
+import { POINTS_TABLES, POINTS_MODES } from './stableford.js';
+import { calculateMatch } from './matchplay.js';
+import { TEAM_MODES } from './teams.js';
+import { calculateNassau } from './nassau.js';
+import { listSideGames, getSideGame, wolfFor } from './sidegames.js';
+import { FAIRWAY_RESULTS, greenInRegulation } from './stats.js';
+import { playerDirectory, analyzePlayer, STAT_PARS } from './player-stats.js';
+import { handicapHistory, currentHandicapIndex } from './whs.js';
+import { LiveSync, RoundWatcher, SYNC_URL_KEY, defaultSyncUrl, watchTokenFor, watchTokenFrom } from './live-sync.js';
+import { sameValue } from './cell-versions.js';
+import { events, createEvent, getEvent, saveEvent, deleteEvent, eventLink, eventFromLink, eventLeaderboard, EVENT_BASES } from './events.js';
+import { calculateSkins } from './skins.js';
+import { courses, getCourse, saveCourse, deleteCourse, createCourse, createTee, validateCourse, coursePar, DEFAULT_COURSE, COURSE_HOLE_COUNTS, MIN_PAR, MAX_PAR } from './course.js';
 
 // Node.js crypto module (for tests and server-side code)
 let __nodeCrypto;
@@ -328,8 +349,28 @@ if (!Map.prototype.is_empty) {
 }
 
 // RPC Client Setup
-// Auto-generated RPC client stubs
-const client = new RPCClient(window.location.origin);
+// Every round function is safe to repeat (scores are set, not added), so all are retried
+const client = new RPCClient(window.location.origin, {
+  idempotent: ["createRound", "updateRound", "getRound", "watchRound", "submitScore", "submitStats", "listRounds", "finishRound"],
+});
+
+// Round API served at /rpc/:fn (server/rounds.js); a round is named by its
+// id and scorer secret (round.meta.value). The last argument takes per-call
+// options such as { cancelToken: getRouter().cancelToken }
+export const roundApi = {
+  createRound: (snapshot, options) => client.call("createRound", { snapshot }, options),
+  updateRound: (id, secret, changes, options) => client.call("updateRound", { id, secret, changes }, options),
+  getRound: (id, secret, options) => client.call("getRound", { id, secret }, options),
+  watchRound: (token, options) => client.call("watchRound", { token }, options),
+  submitScore: (id, secret, playerId, holeNumber, strokes, options) => client.call("submitScore", { id, secret, playerId, holeNumber, strokes }, options),
+  submitStats: (id, secret, playerId, holeNumber, stats, options) => client.call("submitStats", { id, secret, playerId, holeNumber, stats }, options),
+  listRounds: (status = "all", options) => client.call("listRounds", { status }, options),
+  finishRound: (id, secret, snapshot = null, options) => client.call("finishRound", snapshot ? { id, secret, snapshot } : { id, secret }, options),
+};
+
+// Changes for the server wait here (IndexedDB) until it can be reached;
+// the outbox does its own retrying, so each send is a single attempt
+export const outbox = new Outbox((entry) => client.call(entry.fn, entry.params, { retries: 0 }));
 
 
 // Struct definitions
@@ -412,294 +453,1353 @@ const yaml = {
 };
 
 // UI Components
+export const round = createRound({ playerNames: ["Player 1", "Player 2", "Player 3", "Player 4"], holeCount: 18, course: courses.value[0] || DEFAULT_COURSE });
+
+// Round persistence: a saved round with scores asks to be resumed, anything
+// else (roster/course only) is restored silently. Autosave starts once decided.
+let savedSnapshot = loadSavedRound();
+export const resumePrompt = signal((savedSnapshot && snapshotHasScores(savedSnapshot)) ? savedSnapshot : null);
+let autosave = null;
+let startAutosave = () => {
+  if (!autosave) {
+    autosave = autosaveRound(round);
+    backupRound(round, outbox);
+  }
+};
+let restoreSnapshot = (snapshot) => {
+  try {
+    round.restore(snapshot);
+  } catch (e) {
+    console.warn('Could not restore saved round:', e);
+  }
+};
+if (savedSnapshot && !resumePrompt.value) {
+  restoreSnapshot(savedSnapshot);
+}
+if (!resumePrompt.value) {
+  startAutosave();
+}
+
+export function resumeRound() {
+  restoreSnapshot(resumePrompt.value);
+  resumePrompt.value = null;
+  startAutosave();
+  // Back into the live room the round was shared in, if any
+  liveSync.resume();
+}
+
+// New round with the current roster, course and layout
+export function startNewRound() {
+  if (resumePrompt.value) {
+    restoreSnapshot(resumePrompt.value);
+    resumePrompt.value = null;
+  }
+  round.reset();
+  startAutosave();
+}
+
+// Live scoring across devices through the relay (server/relay.js)
+export const syncUrl = persistentSignal(SYNC_URL_KEY, defaultSyncUrl());
+// Messages for the other devices wait in an outbox of their own, so a relay
+// that cannot be reached never holds up changes bound for the server
+export const liveOutbox = new Outbox((entry) => liveSync.deliver(entry.params), { dbName: "jounce-golf-live" });
+export const liveSync = new LiveSync(round, { url: syncUrl.value, outbox: liveOutbox, persist: true });
+
+const SYNC_STATUS_LABELS = { offline: "Offline", connecting: "Connecting...", live: "Live" };
+
+// Joining replaces the round on this phone: one with scores goes to the history first
+export function joinSharedRound(code) {
+  const local = resumePrompt.value || (round.hasScores() ? round.toJSON() : null);
+  if (local && local.secret != code) {
+    if (!confirm("Joining replaces the round on this phone. Move it to your round history and join?")) {
+      return;
+    }
+    archiveRound(local);
+  }
+  resumePrompt.value = null;
+  startAutosave();
+  liveSync.url = syncUrl.value;
+  liveSync.join(code);
+}
+
+export function LiveSyncPanel({} = {}) {
+  let joinCode = "";
+  let shareLink = (code) => `${window.location.origin}/?join=${encodeURIComponent(code)}`;
+  let watchLink = computed(() => (liveSync.watchToken.value ? `${window.location.origin}/watch/${encodeURIComponent(liveSync.watchToken.value)}` : ""));
+  return dynamic(liveSync.code, (code) => (code
+    ? [
+      h('span', { class: computed(() => `sync-status ${liveSync.status.value}`) }, computed(() => SYNC_STATUS_LABELS[liveSync.status.value])),
+      h('span', null, computed(() => `${liveSync.devices.value} device${liveSync.devices.value == 1 ? "" : "s"} - code `), h('strong', null, code)),
+      h('input', { type: "text", readonly: true, class: "sync-link", title: "Scorer link", value: shareLink(code), onclick: (event) => { event.target.select() } }),
+      h('button', { onclick: () => { liveSync.stop() } }, "Stop Sharing"),
+      h('span', { class: "watch-share" }, computed(() => `Spectators (${liveSync.spectators.value} watching):`)),
+      h('input', { type: "text", readonly: true, class: "sync-link", title: "Read-only link", placeholder: "Waiting for the round...", value: watchLink, onclick: (event) => { event.target.select() } }),
+    ]
+    : [
+      h('span', null, "Live scoring:"),
+      h('button', { onclick: () => { liveSync.url = syncUrl.value; liveSync.share() } }, "Share Round"),
+      h('input', { type: "text", placeholder: "Round code", class: "sync-code", oninput: (event) => { joinCode = event.target.value.trim() } }),
+      h('button', { onclick: () => { if (joinCode) { joinSharedRound(joinCode) } } }, "Join"),
+      h('input', { type: "text", class: "sync-url", title: "Relay server", value: syncUrl.value, onchange: (event) => { syncUrl.value = event.target.value.trim() || defaultSyncUrl() } }),
+    ]), 'div', { class: "live-sync" });
+}
+
+// Scores and settings edited on two devices at once: last writer won, the scorer confirms
+export function ConflictPanel({} = {}) {
+  let playerName = (playerId) => {
+    const player = round.players.value.find((p) => p.id == playerId);
+    return player ? player.name : "Removed player";
+  };
+  // What was edited: a score, a player's hole stats, a side game entry or a game setting
+  let label = (conflict) => {
+    const field = conflict.field;
+    if (!field) {
+      return `Hole ${conflict.holeNumber} - ${playerName(conflict.playerId)}`;
+    }
+    if (field.kind == "stats") {
+      return `Hole ${field.holeNumber} stats - ${playerName(field.playerId)}`;
+    }
+    if (field.kind == "side") {
+      const game = getSideGame(field.gameId);
+      return `Hole ${field.holeNumber} - ${game ? game.label : field.gameId}`;
+    }
+    return `Game setting "${field.setting}"`;
+  };
+  // Side game entries and team settings hold player ids: show names
+  let named = (text) => round.players.value.some((p) => p.id == text) ? playerName(text) : String(text);
+  let valueText = (value) => {
+    if (value === null || value === undefined) {
+      return "none";
+    }
+    if (Array.isArray(value)) {
+      return value.map(valueText).join(", ") || "none";
+    }
+    if (typeof value == "object") {
+      return Object.entries(value).map(([key, v]) => `${named(key)} ${valueText(v)}`).join(", ") || "none";
+    }
+    return named(value);
+  };
+  return dynamic(() => [liveSync.code.value, liveSync.conflicts.value], ([code, conflicts]) => {
+    if (!code || conflicts.length == 0) {
+      return null;
+    }
+    const open = conflicts.filter((c) => !c.resolved);
+    const resolved = conflicts.filter((c) => c.resolved);
+    return h('div', { class: "sync-conflicts" },
+      open.length > 0 ? h('h3', null, `${open.length} conflict${open.length == 1 ? "" : "s"} - pick the right value`) : null,
+      ...open.map((conflict) => h('div', { class: "sync-conflict" },
+        h('span', null, `${label(conflict)}:`),
+        ...conflict.values.filter((value, i) => conflict.values.findIndex((other) => sameValue(other, value)) == i).map((value) => h('button', {
+          class: sameValue(value, conflict.kept) ? "kept" : "",
+          title: sameValue(value, conflict.kept) ? "Kept on every device" : "Entered on another device",
+          onclick: () => { liveSync.resolveConflict(conflict.key, value) }
+        }, valueText(value))))),
+      resolved.length > 0
+        ? h('details', { class: "conflict-log" },
+          h('summary', null, `${resolved.length} resolved conflict${resolved.length == 1 ? "" : "s"}`),
+          h('ul', null, ...resolved.map((conflict) => h('li', null,
+            `${new Date(conflict.at).toLocaleTimeString()} - ${label(conflict)}: ${conflict.values.map(valueText).join(" vs ")}, kept ${valueText(conflict.kept)}`))))
+        : null);
+  });
+}
+
+export function ResumePrompt({} = {}) {
+  return dynamic(resumePrompt, (snapshot) => {
+    if (!snapshot) {
+      return null;
+    }
+    const started = new Date(snapshot.startedAt).toLocaleString();
+    const course = snapshot.course ? snapshot.course.name : "your course";
+    return h('div', { class: "resume-prompt" },
+      h('p', null, `You have an unfinished round at ${course} (started ${started}).`),
+      h('div', { class: "form-actions" },
+        h('button', { onclick: resumeRound }, "Resume Round"),
+        h('button', { onclick: startNewRound }, "Start New Round")));
+  });
+}
+
+export function NavBar({} = {}) {
+  let link = (path, label) => h('button', {
+    onclick: () => { navigate(path) },
+    class: (getRouter().getCurrentPath() == path) ? "active" : ""
+  }, label);
+  return h('nav', { class: "nav-bar" }, link("/", "Scorecard"), link("/setup", "Players"), link("/courses", "Courses"), link("/rounds", "Rounds"), link("/stats", "Stats"), link("/events", "Events"), h(PendingSync, {}), h(UpdatePrompt, {}));
+}
+
+// A new deploy is installed: reload into it when convenient
+export function UpdatePrompt({} = {}) {
+  return dynamic(updateAvailable, (available) => (available
+    ? [
+      h('span', null, "A new version is ready."),
+      h('button', { onclick: applyUpdate }, "Reload"),
+      h('button', { class: "dismiss", onclick: dismissUpdate }, "Later"),
+    ]
+    : null), 'span', { class: computed(() => (updateAvailable.value ? "update-prompt" : "")) });
+}
+
+// "3 changes pending sync" while the outbox holds changes; with ?simulate-offline
+// in the URL it also gets a switch to play offline and come back
+export function PendingSync({} = {}) {
+  let simulate = new URLSearchParams(window.location.search).has("simulate-offline");
+  let setOffline = (offline) => {
+    outbox.setOffline(offline);
+    liveOutbox.setOffline(offline);
+  };
+  let state = computed(() => {
+    const statuses = [outbox.status.value, liveOutbox.status.value];
+    const status = statuses.includes("offline") ? "offline" : (statuses.includes("syncing") ? "syncing" : "idle");
+    return [outbox.pending.value + liveOutbox.pending.value, status, outbox.simulateOffline.value];
+  });
+  return dynamic(state, ([pending, status, offline]) => [
+    pending > 0
+      ? h('span', { class: `pending-sync ${status}`, title: status == "offline" ? "Waiting for a connection" : "Sending to the server" },
+        `${pending} change${pending == 1 ? "" : "s"} pending sync`)
+      : null,
+    simulate
+      ? h('button', { class: "simulate-offline", onclick: () => { setOffline(!offline) } }, offline ? "Back Online" : "Go Offline")
+      : null,
+  ], 'span', { class: "sync-indicator" });
+}
+
+export function CourseSelect({} = {}) {
+  let onCourseChange = (event) => { round.setCourse(getCourse(event.target.value)) };
+  let onTeeChange = (event) => { round.setCourse(round.course.value, event.target.value) };
+  return dynamic(() => [courses.value, round.course.value, round.teeName.value], ([saved, course, teeName]) => [
+    h('label', null, "Course:"),
+    h('select', { onchange: onCourseChange }, saved.map((c) => selectOption(c.id, c.name, course && c.id == course.id))),
+    h('label', null, "Tees:"),
+    h('select', { onchange: onTeeChange }, (course ? course.tees : []).map((tee) => selectOption(tee.name, tee.name, tee.name == teeName))),
+  ], 'div', { class: "game-mode" });
+}
+
+function selectOption(value, label, selected) {
+  const option = h('option', { value }, label);
+  option.selected = selected;
+  return option;
+}
+
+const ROUND_LAYOUTS = [
+  { value: "18-1", label: "18 Holes", holeCount: 18, startHole: 1 },
+  { value: "9-1", label: "Front 9 Only", holeCount: 9, startHole: 1 },
+  { value: "9-10", label: "Back 9 Only", holeCount: 9, startHole: 10 },
+];
+
+export function LayoutSelect({} = {}) {
+  let onchange = (event) => {
+    const layout = ROUND_LAYOUTS.find((l) => l.value == event.target.value);
+    round.setHoleCount(layout.holeCount, layout.startHole);
+  };
+  return dynamic(() => [round.holes.value, round.course.value], ([holes, course]) => {
+    const current = `${holes.length}-${holes[0].number}`;
+    const available = ROUND_LAYOUTS.filter((layout) => !course || layout.startHole + layout.holeCount - 1 <= course.holes.length);
+    return [h('label', null, "Holes:"),
+      h('select', { onchange }, available.map((layout) => selectOption(layout.value, layout.label, layout.value == current)))];
+  }, 'div', { class: "game-mode" });
+}
+
+const GAME_MODES = [
+  { value: "stroke", label: "Stroke Play" },
+  { value: "skins", label: "Skins" },
+  { value: "stableford", label: "Stableford" },
+  { value: "modified", label: "Modified Stableford" },
+  { value: "match", label: "Match Play" },
+  { value: "bestball", label: "Best Ball" },
+  { value: "scramble", label: "Scramble" },
+  { value: "nassau", label: "Nassau" },
+];
+
+const PRESS_OPTIONS = [
+  { value: "0", label: "No presses" },
+  { value: "1", label: "Press at 1 down" },
+  { value: "2", label: "Press at 2 down" },
+  { value: "3", label: "Press at 3 down" },
+];
+
+const RESULT_LABELS = { albatross: "Albatross", eagle: "Eagle", birdie: "Birdie", par: "Par", bogey: "Bogey", double: "Double+" };
+
+export function GameModeSelect({} = {}) {
+  let mode = computed(() => round.game.value.mode);
+  return dynamic(mode, (current) => [
+    h('label', null, "Game:"),
+    h('select', { onchange: (event) => { round.setGame({ mode: event.target.value }) } },
+      GAME_MODES.map((m) => selectOption(m.value, m.label, m.value == current))),
+    h('label', null, "Scoring:"),
+    h('select', { onchange: (event) => { round.setGame({ net: event.target.value == "net" }) } },
+      selectOption("gross", "Gross", !round.game.value.net), selectOption("net", "Net", round.game.value.net)),
+    current == "skins" ? [
+      h('label', null, "Skin value:"),
+      h('input', { type: "number", min: "0", step: "0.5", class: "game-setting", value: String(round.game.value.skinValue),
+        onchange: (event) => { round.setGame({ skinValue: Math.max(0, Number(event.target.value) || 0) }) } }),
+    ] : null,
+    current == "nassau" ? [
+      h('label', null, "Bet:"),
+      h('input', { type: "number", min: "0", step: "1", class: "game-setting", value: String(round.game.value.nassauStake),
+        onchange: (event) => { round.setGame({ nassauStake: Math.max(0, Number(event.target.value) || 0) }) } }),
+      h('select', { onchange: (event) => { round.setGame({ pressAt: Number(event.target.value) }) } },
+        PRESS_OPTIONS.map((option) => selectOption(option.value, option.label, Number(option.value) == round.game.value.pressAt))),
+    ] : null,
+  ], 'div', { class: "game-mode" });
+}
+
+// Skins ledger for a round, recomputed from its score matrix
+function skinsFor(card) {
+  return computed(() => calculateSkins({
+    playerIds: card.players.value.map((player) => player.id),
+    holeNumbers: card.holes.value.map((hole) => hole.number),
+    scoreFor: (playerId, holeNumber) => card.gameScore(playerId, holeNumber),
+    skinValue: card.game.value.skinValue,
+  }));
+}
+
+function formatMoney(amount) {
+  return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
+
+export function SkinsLedger({ card = round } = {}) {
+  let ledger = skinsFor(card);
+  let nameOf = (playerId) => (card.players.value.find((player) => player.id == playerId) || { name: "?" }).name;
+  return dynamic(ledger, ({ holes, totals, carryover, skinValue }) => [
+    h('h3', null, card.game.value.net ? "Skins (Net)" : "Skins"),
+    h('p', null, `${formatMoney(skinValue)} per skin`),
+    h('div', { class: "ledger-totals" }, card.players.value.map((player) => h('div', { class: "ledger-row" },
+      h('span', null, player.name),
+      h('strong', null, `${totals[player.id].skins} (${formatMoney(totals[player.id].amount)})`)))),
+    h('ul', { class: "ledger-holes" }, holes.map((hole) => h('li', { class: hole.carried ? "carried" : "won" },
+      hole.carried
+        ? `Hole ${hole.number}: tied - ${hole.skins} skin${hole.skins > 1 ? "s" : ""} carry over`
+        : `Hole ${hole.number}: ${nameOf(hole.winner)} wins ${hole.skins} skin${hole.skins > 1 ? "s" : ""}`))),
+    carryover > 0 ? h('p', { class: "carryover" }, `${carryover} skin${carryover > 1 ? "s" : ""} riding on the next hole`) : null,
+  ], 'div', { class: "game-info" });
+}
+
+// Points standings plus the editable points table for the current mode
+export function StablefordPanel({ card = round, readOnly = false } = {}) {
+  let mode = card.game.value.mode;
+  let standings = computed(() => card.players.value
+    .map((player) => ({ player, points: card.points(player.id).value }))
+    .sort((a, b) => b.points.total - a.points.total));
+  let setPoints = (result, value) => {
+    const tables = card.game.value.pointsTables;
+    card.setGame({ pointsTables: { ...tables, [mode]: { ...tables[mode], [result]: value } } });
+  };
+  return h('div', { class: "game-info" },
+    h('h3', null, `${GAME_MODES.find((m) => m.value == mode).label}${card.game.value.net ? " (Net)" : ""}`),
+    dynamic(standings, (rows) => rows.map(({ player, points }) => h('div', { class: "ledger-row" },
+      h('span', null, player.name),
+      h('strong', null, `${points.total} pts${points.played ? ` thru ${points.played}` : ""}`))), 'div', { class: "ledger-totals" }),
+    dynamic(() => card.game.value.pointsTables[mode], (table) => [
+      h('thead', null, h('tr', null, h('th', null, "Result"), h('th', null, "Points"))),
+      h('tbody', null, HOLE_RESULTS.map((result) => h('tr', null,
+        h('td', null, RESULT_LABELS[result]),
+        h('td', null, readOnly
+          ? String(table[result])
+          : h('input', { type: "number", step: "1", value: String(table[result]),
+              onchange: (event) => { setPoints(result, Number(event.target.value) || 0) } }))))),
+    ], 'table', { class: "points-table" }),
+    readOnly ? null : h('button', { class: "reset-points", onclick: () => { card.setGame({ pointsTables: { ...card.game.value.pointsTables, [mode]: POINTS_TABLES[mode] } }) } }, "Reset Points"));
+}
+
+// Match state for a round, recomputed from its score matrix
+function matchFor(card) {
+  return computed(() => calculateMatch({
+    sides: card.sides().value,
+    holeNumbers: card.holes.value.map((hole) => hole.number),
+    teamScoreFor: (side, holeNumber) => card.teamScore(side, holeNumber),
+  }));
+}
+
+// Nassau bets for a round: one per nine played, plus the overall on a full card
+function nassauFor(card) {
+  return computed(() => {
+    const holeNumbers = card.holes.value.map((hole) => hole.number);
+    const nines = card.playedNines();
+    const segments = nines.map((nine) => ({
+      name: nine == "out" ? "Front" : "Back",
+      holeNumbers: holeNumbers.filter((n) => n >= NINES[nine].first && n <= NINES[nine].last),
+    }));
+    if (nines.length > 1) {
+      segments.push({ name: "Overall", holeNumbers });
+    }
+    return calculateNassau({
+      sides: card.sides().value,
+      segments,
+      teamScoreFor: (side, holeNumber) => card.teamScore(side, holeNumber),
+      stake: card.game.value.nassauStake,
+      pressAt: card.game.value.pressAt,
+    });
+  });
+}
+
+const SIDE_LABELS = ["Side A", "Side B"];
+
+function sideName(card, side) {
+  const ids = card.sides().value[side];
+  return card.players.value.filter((player) => ids.includes(player.id)).map((player) => player.name).join(" & ") || `Side ${side + 1}`;
+}
+
+// Headline for a match: "Ann 2 UP thru 7", "Dormie", "Ann wins 3&2"
+function matchSummary(card, match) {
+  if (match.played == 0) {
+    return `${sideName(card, 0)} vs ${sideName(card, 1)}`;
+  }
+  if (match.finished) {
+    return match.leader === null ? "Match halved" : `${sideName(card, match.leader)} win${card.sides().value[match.leader].length > 1 ? "" : "s"} ${match.result}`;
+  }
+  const status = match.leader === null ? "All square" : `${sideName(card, match.leader)} ${Math.abs(match.lead)} UP`;
+  return `${status} thru ${match.played}${match.dormie ? " (dormie)" : ""}`;
+}
+
+// Hole-by-hole strip: who won each hole and the running status
+export function MatchStrip({ card = round } = {}) {
+  let match = matchFor(card);
+  return dynamic(match, (state) => {
+    const byHole = Object.fromEntries(state.holes.map((hole) => [hole.number, hole]));
+    return [
+      h('div', { class: "match-summary" }, matchSummary(card, state)),
+      h('div', { class: "match-holes" }, card.holes.value.map((hole) => {
+        const played = byHole[hole.number];
+        const cls = !played ? "unplayed" : (played.winner === null ? "halved" : `won-${played.winner == 0 ? "a" : "b"}`);
+        return h('div', { class: `match-hole ${cls}` },
+          h('span', { class: "match-hole-number" }, String(hole.number)),
+          h('span', { class: "match-hole-status" }, played ? (played.lead == 0 ? "AS" : String(Math.abs(played.lead))) : ""));
+      })),
+    ];
+  }, 'div', { class: "match-strip" });
+}
+
+// Which side each player is on (editable unless readOnly)
+export function SideAssignment({ card = round, readOnly = false } = {}) {
+  return dynamic(() => card.sides().value, (sides) => card.players.value.map((player) => {
+    const team = sides[0].includes(player.id) ? 0 : 1;
+    return h('div', { class: "ledger-row" },
+      h('span', null, player.name),
+      readOnly
+        ? h('strong', null, SIDE_LABELS[team])
+        : h('select', { class: "side-select", onchange: (event) => { card.setTeam(player.id, Number(event.target.value)) } },
+          SIDE_LABELS.map((label, i) => selectOption(String(i), label, team == i))));
+  }), 'div', { class: "ledger-totals side-assignment" });
+}
+
+// Side assignment and match result
+export function MatchPanel({ card = round, readOnly = false } = {}) {
+  let match = matchFor(card);
+  return h('div', { class: "game-info" },
+    h('h3', null, card.game.value.net ? "Match Play (Net)" : "Match Play"),
+    dynamic(match, (state) => h('p', { class: "match-result" }, matchSummary(card, state))),
+    h(SideAssignment, { card, readOnly }));
+}
+
+// Team totals for best ball and scramble
+export function TeamPanel({ card = round, readOnly = false } = {}) {
+  let mode = card.game.value.mode;
+  let standings = computed(() => [0, 1].map((side) => ({ side, ...card.teamTotal(side).value })));
+  return h('div', { class: "game-info" },
+    h('h3', null, `${GAME_MODES.find((m) => m.value == mode).label}${card.game.value.net && mode != "scramble" ? " (Net)" : ""}`),
+    dynamic(standings, (rows) => rows.map(({ side, total, played }) => h('div', { class: "ledger-row team-total" },
+      h('span', null, `${SIDE_LABELS[side]}: ${sideName(card, side)}`),
+      h('strong', null, played ? `${total} thru ${played}` : "-"))), 'div', { class: "ledger-totals" }),
+    h(SideAssignment, { card, readOnly }));
+}
+
+// Status of one Nassau bet: "Side A 2 UP thru 5", "Side B wins 3&2", "Halved"
+function betStatus(bet) {
+  const { match } = bet;
+  if (match.played == 0) {
+    return "Not started";
+  }
+  if (match.finished) {
+    return match.leader === null ? "Halved" : `${SIDE_LABELS[match.leader]} wins ${match.result}`;
+  }
+  return `${match.leader === null ? "All square" : `${SIDE_LABELS[match.leader]} ${Math.abs(match.lead)} UP`} thru ${match.played}`;
+}
+
+// Nassau bets, presses and who owes whom
+export function NassauPanel({ card = round, readOnly = false } = {}) {
+  let nassau = nassauFor(card);
+  let settlement = (balance) => {
+    if (balance == 0) {
+      return "All square - nobody owes anything";
+    }
+    const [winner, loser] = balance > 0 ? [0, 1] : [1, 0];
+    return `${sideName(card, loser)} owe${card.sides().value[loser].length > 1 ? "" : "s"} ${sideName(card, winner)} ${formatMoney(Math.abs(balance))}`;
+  };
+  return h('div', { class: "game-info" },
+    h('h3', null, card.game.value.net ? "Nassau (Net)" : "Nassau"),
+    dynamic(nassau, ({ bets, balance, stake }) => [
+      h('p', null, `${formatMoney(stake)} per bet${card.game.value.pressAt ? `, automatic press at ${card.game.value.pressAt} down` : ""}`),
+      h('ul', { class: "ledger-holes nassau-bets" }, bets.map((bet) => h('li', { class: `nassau-bet depth-${Math.min(bet.depth, 3)}${bet.amount ? " settled" : ""}` },
+        h('span', null, `${bet.name} (${bet.holeNumbers[0]}-${bet.holeNumbers[bet.holeNumbers.length - 1]})`),
+        h('span', null, betStatus(bet))))),
+      h('div', { class: "nassau-scores" }, [balance, -balance].map((amount, side) => h('div', null,
+        SIDE_LABELS[side], h('br', null), h('strong', null, `${amount < 0 ? "-" : ""}${formatMoney(Math.abs(amount))}`)))),
+      h('p', { class: "nassau-settlement" }, settlement(balance)),
+    ]),
+    h(SideAssignment, { card, readOnly }));
+}
+
+// Side panel for the selected game format (empty for stroke play)
+export function GamePanel({ card = round, readOnly = false } = {}) {
+  return dynamic(() => card.game.value.mode, (mode) => {
+    if (mode == "skins") {
+      return h(SkinsLedger, { card });
+    }
+    if (POINTS_MODES.includes(mode)) {
+      return h(StablefordPanel, { card, readOnly });
+    }
+    if (mode == "match") {
+      return h(MatchPanel, { card, readOnly });
+    }
+    if (mode == "nassau") {
+      return h(NassauPanel, { card, readOnly });
+    }
+    if (TEAM_MODES.includes(mode)) {
+      return h(TeamPanel, { card, readOnly });
+    }
+    return null;
+  }, 'div', { class: "game-panel" });
+}
+
+// Controls for one side game on the current hole, by entry kind
+function sideGameEntryControls(card, game, holeNumber) {
+  const players = card.players.value;
+  const entry = card.sideGameEntry(holeNumber, game.id);
+  const playerOptions = (selected) => players.map((player) => selectOption(player.id, player.name, player.id == selected));
+  if (game.kind == "wolf") {
+    const index = card.holes.value.findIndex((hole) => hole.number == holeNumber);
+    const wolf = wolfFor(players.map((player) => player.id), index);
+    const picked = !entry ? "" : (entry.partner || "lone");
+    let onchange = (event) => {
+      const value = event.target.value;
+      card.setSideGameEntry(holeNumber, game.id, value == "" ? null : { partner: value == "lone" ? null : value });
+    };
+    return h('div', { class: "side-game-entry" },
+      h('span', null, `Wolf: ${(players.find((player) => player.id == wolf) || { name: "-" }).name}`),
+      h('select', { onchange },
+        selectOption("", "Not picked", picked == ""),
+        players.filter((player) => player.id != wolf).map((player) => selectOption(player.id, `Partner: ${player.name}`, player.id == picked)),
+        selectOption("lone", "Lone wolf", picked == "lone")));
+  }
+  if (game.kind == "awards") {
+    return h('div', { class: "side-game-entry" }, game.awards.map((award) => h('label', null,
+      `${award[0].toUpperCase()}${award.slice(1)}:`,
+      h('select', { onchange: (event) => { card.setSideGameEntry(holeNumber, game.id, { ...entry, [award]: event.target.value || null }) } },
+        selectOption("", "-", !(entry && entry[award])), playerOptions(entry && entry[award])))));
+  }
+  const earned = entry || [];
+  return h('div', { class: "side-game-entry" }, players.map((player) => h('label', { class: "side-game-toggle" },
+    h('input', { type: "checkbox", checked: earned.includes(player.id),
+      onchange: (event) => { card.setSideGameEntry(holeNumber, game.id, event.target.checked ? [...earned, player.id] : earned.filter((id) => id != player.id)) } }),
+    player.initials)));
+}
+
+// Side games: which are in play, what happened on this hole and who owes whom
+export function SideGamesPanel({ card = round, readOnly = false } = {}) {
+  let nameOf = (playerId) => (card.players.value.find((player) => player.id == playerId) || { name: "?" }).name;
+  let setSettings = (changes) => card.setGame({ sideGames: { ...card.game.value.sideGames, ...changes } });
+  let toggleGame = (id, on) => {
+    const enabled = card.game.value.sideGames.enabled;
+    setSettings({ enabled: listSideGames().map((game) => game.id).filter((gameId) => (gameId == id ? on : enabled.includes(gameId))) });
+  };
+  let setup = () => dynamic(() => card.game.value.sideGames, (settings) => [
+    h('div', { class: "side-game-list" }, listSideGames().map((game) => h('label', { class: "side-game-toggle" },
+      h('input', { type: "checkbox", checked: settings.enabled.includes(game.id), onchange: (event) => { toggleGame(game.id, event.target.checked) } }),
+      game.label))),
+    h('div', { class: "form-row" },
+      h('label', null, "$ per point:"),
+      h('input', { type: "number", min: "0", step: "0.5", class: "game-setting", value: String(settings.stake),
+        onchange: (event) => { setSettings({ stake: Math.max(0, Number(event.target.value) || 0) }) } })),
+    settings.enabled.includes("wolf") ? h('div', { class: "form-row" },
+      h('label', null, "Lone wolf x"),
+      h('input', { type: "number", min: "1", step: "1", class: "game-setting", value: String(settings.loneWolfMultiplier),
+        onchange: (event) => { setSettings({ loneWolfMultiplier: Math.max(1, Number(event.target.value) || 1) }) } })) : null,
+  ], 'div', { class: "side-game-setup" });
+  let holeEntries = () => dynamic(() => [card.currentHole.value, card.game.value.sideGames.enabled, card.game.value.sideGameEntries, card.players.value], ([holeNumber, enabled]) =>
+    enabled.length ? [h('h4', null, `Hole ${holeNumber}`), enabled.map((id) => h('div', { class: "side-game" },
+      h('strong', null, getSideGame(id).label), sideGameEntryControls(card, getSideGame(id), holeNumber)))] : null,
+    'div', { class: "side-game-hole" });
+  let ledger = () => dynamic(card.sideGameLedger(), ({ games, balances, payments }) => (games.length == 0
+    ? h('p', null, "No side games in play")
+    : [
+      h('div', { class: "ledger-totals" }, card.players.value.map((player) => h('div', { class: "ledger-row" },
+        h('span', null, player.name),
+        h('strong', { class: balances[player.id] < 0 ? "owes" : "" }, `${balances[player.id] < 0 ? "-" : ""}${formatMoney(Math.abs(balances[player.id]))}`)))),
+      h('p', { class: "side-game-breakdown" }, games.map((game) => `${game.label}: ${card.players.value.map((player) => `${player.initials} ${game.totals[player.id]}`).join(", ")}`).join(" | ")),
+      h('ul', { class: "ledger-holes payments" }, payments.length
+        ? payments.map((payment) => h('li', null, `${nameOf(payment.from)} pays ${nameOf(payment.to)} ${formatMoney(payment.amount)}`))
+        : h('li', null, "All square")),
+    ]), 'div', { class: "side-game-ledger" });
+  return dynamic(() => readOnly && card.game.value.sideGames.enabled.length == 0, (hidden) => (hidden ? null : [
+    h('h3', null, "Side Games"),
+    readOnly ? null : setup(),
+    readOnly ? null : holeEntries(),
+    ledger(),
+  ]), 'div', { class: "game-info side-games" });
+}
+
+// Full card: one column per hole with OUT / IN subtotals and TOT
+// card: the Round to show (the active round unless viewing an archived one)
+export function CardGrid({ card = round, readOnly = false } = {}) {
+  let columns = (holes) => {
+    const cols = [];
+    for (const nine of card.playedNines()) {
+      const { first, last, label } = NINES[nine];
+      holes.filter((hole) => hole.number >= first && hole.number <= last).forEach((hole) => cols.push({ hole }));
+      cols.push({ nine, label });
+    }
+    cols.push({ total: true, label: "TOT" });
+    return cols;
+  };
+  let headerCell = (col) => col.hole
+    ? h('th', {
+        onclick: readOnly ? null : () => { card.goToHole(col.hole.number) },
+        class: readOnly ? "hole-col" : computed(() => ((card.currentHole.value == col.hole.number) ? "hole-col current" : "hole-col"))
+      }, String(col.hole.number))
+    : h('th', { class: "subtotal-col" }, col.label);
+  let infoRow = (label, field, cols) => h('tr', { class: `info-row ${field}-row` },
+    h('td', { class: "player-col" }, label),
+    cols.map((col) => {
+      if (col.hole) {
+        return h('td', { class: "hole-col" }, String(card.holeInfo(col.hole.number)[field] ?? ""));
+      }
+      if (field == "strokeIndex") {
+        return h('td', { class: "subtotal-col" }, "");
+      }
+      const inNine = (hole) => col.total || (hole.number >= NINES[col.nine].first && hole.number <= NINES[col.nine].last);
+      const sum = card.holes.value.filter(inNine).reduce((total, hole) => total + (card.holeInfo(hole.number)[field] || 0), 0);
+      return h('td', { class: "subtotal-col" }, String(sum || ""));
+    }));
+  let strokeDots = (player, holeNumber) => computed(() => {
+    const strokes = card.strokesReceived(player.id).value[holeNumber] || 0;
+    return strokes > 0 ? "•".repeat(strokes) : (strokes < 0 ? "+" : "");
+  });
+  let playerCell = (player, col) => {
+    if (col.hole) {
+      const strokes = computed(() => (card.getScore(player.id, col.hole.number) || ""));
+      const mark = computed(() => `score-mark ${holeResult(card.getScore(player.id, col.hole.number) || null, card.holeInfo(col.hole.number).par) || ""}`);
+      return h('td', { class: "hole-col" }, h('span', { class: mark }, strokes), h('sup', { class: "stroke-dots" }, strokeDots(player, col.hole.number)));
+    }
+    return h('td', { class: "subtotal-col" }, col.total ? card.total(player.id) : card.subtotal(player.id, col.nine));
+  };
+  let netCell = (player, col) => {
+    if (col.hole) {
+      return h('td', { class: "hole-col" }, computed(() => (card.netScore(player.id, col.hole.number) ?? "")));
+    }
+    const inCol = (hole) => col.total || (hole.number >= NINES[col.nine].first && hole.number <= NINES[col.nine].last);
+    return h('td', { class: "subtotal-col" }, computed(() =>
+      card.holes.value.filter(inCol).reduce((sum, hole) => sum + (card.netScore(player.id, hole.number) || 0), 0)));
+  };
+  let pointsCell = (player, col) => {
+    if (col.hole) {
+      return h('td', { class: "hole-col" }, computed(() => (card.points(player.id).value.holes[col.hole.number] ?? "")));
+    }
+    const inCol = (holeNumber) => col.total || (holeNumber >= NINES[col.nine].first && holeNumber <= NINES[col.nine].last);
+    return h('td', { class: "subtotal-col" }, computed(() => Object.entries(card.points(player.id).value.holes)
+      .filter(([holeNumber]) => inCol(Number(holeNumber)))
+      .reduce((sum, [, points]) => sum + points, 0)));
+  };
+  let teamCell = (side, col) => {
+    if (col.hole) {
+      return h('td', { class: "hole-col" }, computed(() => (card.teamScore(side, col.hole.number) ?? "")));
+    }
+    const inCol = (hole) => col.total || (hole.number >= NINES[col.nine].first && hole.number <= NINES[col.nine].last);
+    return h('td', { class: "subtotal-col" }, computed(() =>
+      card.holes.value.filter(inCol).reduce((sum, hole) => sum + (card.teamScore(side, hole.number) || 0), 0)));
+  };
+  let teamRows = (cols) => [0, 1].map((side) => h('tr', { class: "team-row" },
+    h('td', { class: "player-col" }, `${SIDE_LABELS[side]}${card.game.value.mode == "scramble" ? "" : " best ball"}`),
+    cols.map((col) => teamCell(side, col))));
+  let playerRows = (player, cols) => [
+    h('tr', null, h('td', { class: "player-col" }, player.name), cols.map((col) => playerCell(player, col))),
+    card.courseHandicap(player.id).value !== null
+      ? h('tr', { class: "net-row" }, h('td', { class: "player-col" }, `Net (${card.courseHandicap(player.id).value})`), cols.map((col) => netCell(player, col)))
+      : null,
+    POINTS_MODES.includes(card.game.value.mode)
+      ? h('tr', { class: "points-row" }, h('td', { class: "player-col" }, "Points"), cols.map((col) => pointsCell(player, col)))
+      : null,
+  ];
+  return dynamic(() => [card.holes.value, card.players.value, card.course.value, card.teeName.value, card.game.value.mode], ([holes, players, course, teeName, mode]) => {
+    const cols = columns(holes);
+    return h('table', { class: "card-grid" },
+      h('thead', null, h('tr', null, h('th', { class: "player-col" }, "Hole"), cols.map(headerCell))),
+      h('tbody', null,
+        course ? [infoRow(teeName, "yardage", cols), infoRow("Par", "par", cols), infoRow("HCP", "strokeIndex", cols)] : null,
+        players.flatMap((player) => playerRows(player, cols)),
+        TEAM_MODES.includes(mode) ? teamRows(cols) : null));
+  }, 'div', { class: "card-summary" });
+}
+
+export function PlayerRow({ player } = {}) {
+  let currentScore = computed(() => round.scores.value[player.id][round.currentHole.value - 1] || 0);
+  let currentResult = computed(() => holeResult(currentScore.value || null, round.holeInfo(round.currentHole.value).par));
+  let toPar = computed(() => {
+    const gross = formatToPar(round.toPar(player.id).value);
+    const net = formatToPar(round.toPar(player.id, "net").value);
+    return (round.courseHandicap(player.id).value !== null && net) ? `${gross} (net ${net})` : gross;
+  });
+  let handicapLabel = computed(() => {
+    const courseHcp = round.courseHandicap(player.id).value;
+    return `HCP ${formatHandicapIndex(player.handicapIndex)}${courseHcp !== null ? ` - Course ${courseHcp < 0 ? `+${-courseHcp}` : courseHcp}` : ""}`;
+  });
+  let currentStrokes = computed(() => {
+    const strokes = round.strokesReceived(player.id).value[round.currentHole.value] || 0;
+    return strokes > 0 ? "•".repeat(strokes) : (strokes < 0 ? "+1" : "");
+  });
+  return h('div', { class: "player-row" },
+    h('div', { class: "player-info" },
+      h('div', { class: "player-name" }, h('span', { class: "initials" }, player.initials), player.name),
+      player.handicapIndex !== null ? h('div', { class: "player-handicap" }, handicapLabel) : null,
+      h('div', { class: "to-par" }, toPar)),
+    h('div', { class: "score-controls" },
+      h('button', { onclick: () => { round.adjustScore(player.id, round.currentHole.value, (-1)) } }, "-"),
+      h('span', { class: computed(() => `score ${currentResult.value || ""}`) }, currentScore, h('sup', { class: "stroke-dots" }, currentStrokes)),
+      h('button', { onclick: () => { round.adjustScore(player.id, round.currentHole.value, 1) } }, "+")),
+    dynamic(showStats, (show) => (show ? h(HoleStatsInputs, { player }) : null), 'div', { class: "hole-stats-slot" }),
+    dynamic(() => round.game.value.mode, (mode) => (POINTS_MODES.includes(mode)
+      ? ["Points:", computed(() => round.points(player.id).value.total),
+        h('div', { class: "net-total" }, "Strokes: ", round.total(player.id))]
+      : ["Total:", round.total(player.id),
+        player.handicapIndex !== null ? h('div', { class: "net-total" }, "Net: ", round.netTotal(player.id)) : null]
+    ), 'div', { class: "total" }));
+}
+
+// Scramble entry: one score per side, recorded for every player on it
+export function TeamRow({ side } = {}) {
+  let captain = computed(() => round.sides().value[side][0]);
+  let currentScore = computed(() => round.getScore(captain.value, round.currentHole.value));
+  let currentResult = computed(() => holeResult(currentScore.value || null, round.holeInfo(round.currentHole.value).par));
+  let total = computed(() => round.teamTotal(side).value.total);
+  return h('div', { class: "player-row team-entry" },
+    h('div', { class: "player-info" },
+      h('div', { class: "player-name" }, h('span', { class: "initials" }, SIDE_LABELS[side].slice(-1)), SIDE_LABELS[side]),
+      h('div', { class: "player-handicap" }, computed(() => sideName(round, side)))),
+    h('div', { class: "score-controls" },
+      h('button', { onclick: () => { round.adjustTeamScore(side, round.currentHole.value, (-1)) } }, "-"),
+      h('span', { class: computed(() => `score ${currentResult.value || ""}`) }, currentScore),
+      h('button', { onclick: () => { round.adjustTeamScore(side, round.currentHole.value, 1) } }, "+")),
+    h('div', { class: "total" }, "Total:", total));
+}
+
+// Whether the per-hole stat inputs are shown (a device preference, not part of the round)
+export const showStats = persistentSignal("jounce-golf:show-stats", false);
+
+export function StatsToggle({} = {}) {
+  return h('div', { class: "game-mode" },
+    h('label', { class: "side-game-toggle" },
+      h('input', { type: "checkbox", checked: showStats.value, onchange: (event) => { showStats.value = event.target.checked } }),
+      "Track stats"));
+}
+
+const FAIRWAY_LABELS = { hit: "Hit", left: "Left", right: "Right" };
+
+// Putts, fairway, penalties and sand shots for a player on the current hole
+export function HoleStatsInputs({ player } = {}) {
+  let countInput = (field, label, holeNumber, stats) => h('label', null, label,
+    h('input', { type: "number", min: "0", step: "1", value: stats[field] ?? "",
+      onchange: (event) => { round.setHoleStat(player.id, holeNumber, field, event.target.value == "" ? null : Number(event.target.value)) } }));
+  return dynamic(() => [round.currentHole.value, round.stats.value, round.scores.value], ([holeNumber]) => {
+    const stats = round.getHoleStats(player.id, holeNumber);
+    const par = round.holeInfo(holeNumber).par;
+    const gir = greenInRegulation(round.getScore(player.id, holeNumber), stats.putts, par);
+    return [
+      countInput("putts", "Putts", holeNumber, stats),
+      par == 3 ? null : h('label', null, "Fairway",
+        h('select', { onchange: (event) => { round.setHoleStat(player.id, holeNumber, "fairway", event.target.value || null) } },
+          selectOption("", "-", !stats.fairway),
+          FAIRWAY_RESULTS.map((result) => selectOption(result, FAIRWAY_LABELS[result], stats.fairway == result)))),
+      countInput("penalties", "Penalties", holeNumber, stats),
+      countInput("sand", "Sand", holeNumber, stats),
+      h('span', { class: `gir ${gir === null ? "" : (gir ? "hit" : "missed")}` }, gir === null ? "GIR -" : (gir ? "GIR ✓" : "GIR ✗")),
+    ];
+  }, 'div', { class: "hole-stats" });
+}
+
+// Round stat totals and percentages for every player
+export function StatsSummary({ card = round } = {}) {
+  let pct = (value) => (value === null ? "-" : `${value}%`);
+  return dynamic(card.players, (players) => [
+    h('h3', null, "Round Stats"),
+    h('table', { class: "stats-table" },
+      h('thead', null, h('tr', null, ["Player", "Putts", "Fairways", "GIR", "Penalties", "Sand Saves"].map((label) => h('th', null, label)))),
+      h('tbody', null, players.map((player) => {
+        const summary = computed(() => card.statSummary(player.id).value);
+        return dynamic(summary, ({ putts, puttingHoles, fairways, gir, penalties, sand }) => [
+          h('td', null, player.name),
+          h('td', null, puttingHoles ? `${putts} (${(putts / puttingHoles).toFixed(1)}/hole)` : "-"),
+          h('td', null, fairways.attempts ? `${fairways.hit}/${fairways.attempts} ${pct(fairways.pct)} (L ${fairways.left}, R ${fairways.right})` : "-"),
+          h('td', null, gir.holes ? `${gir.hit}/${gir.holes} ${pct(gir.pct)}` : "-"),
+          h('td', null, String(penalties)),
+          h('td', null, sand.holes ? `${sand.saves}/${sand.holes} ${pct(sand.pct)}` : "-"),
+        ], 'tr');
+      }))),
+  ], 'div', { class: "game-info stats-summary" });
+}
+
+// Players by score to par (then total), those yet to tee off last
+export function Leaderboard({ card = round } = {}) {
+  let rows = computed(() => {
+    const holeCount = card.holes.value.length;
+    const entries = card.players.value.map((player) => ({
+      player,
+      thru: card.thru(player.id).value,
+      toPar: card.toPar(player.id).value,
+      total: card.total(player.id).value,
+    }));
+    const rank = (entry) => (entry.toPar ?? entry.total);
+    entries.sort((a, b) => (a.thru == 0) - (b.thru == 0) || rank(a) - rank(b) || a.player.name.localeCompare(b.player.name));
+    return entries.map((entry, index) => {
+      const tied = entries.filter((other) => other.thru > 0 && rank(other) == rank(entry)).length > 1;
+      const position = entries.findIndex((other) => rank(other) == rank(entry)) + 1;
+      return { ...entry, position: entry.thru == 0 ? "-" : `${tied ? "T" : ""}${position}`, thruLabel: entry.thru == holeCount ? "F" : (entry.thru || "-") };
+    });
+  });
+  return dynamic(rows, (entries) => [
+    h('thead', null, h('tr', null, ["Pos", "Player", "To Par", "Thru", "Total"].map((label) => h('th', null, label)))),
+    h('tbody', null, entries.map((entry) => h('tr', null,
+      h('td', null, entry.position),
+      h('td', null, entry.player.name),
+      h('td', { class: "to-par" }, entry.thru ? formatToPar(entry.toPar) : "-"),
+      h('td', null, String(entry.thruLabel)),
+      h('td', null, entry.thru ? String(entry.total) : "-")))),
+  ], 'table', { class: "stats-table leaderboard" });
+}
+
+// Read-only view of a shared round (/watch/:token): nothing here can change it,
+// and the link does not carry the code scorers join with
+export function WatchRound({} = {}) {
+  let token = getRouter().getParam("token");
+  let watcher = new RoundWatcher({ url: syncUrl.value });
+  watcher.watch(token);
+  // Leaving the page closes the connection and any request still running
+  let pageToken = getRouter().cancelToken;
+  pageToken.signal.addEventListener("abort", () => { watcher.stop() });
+  // The server copy (if any) shows something before a scoring device answers
+  roundApi.watchRound(token, { cancelToken: pageToken, retries: 0 }).then((snapshot) => { watcher.seed(snapshot) }).catch(() => {});
+  let updated = computed(() => (watcher.lastUpdated.value ? `Last updated ${new Date(watcher.lastUpdated.value).toLocaleTimeString()}` : "Waiting for the round..."));
+  return h('div', { class: "golf-app watch-round" }, h('link', { rel: "stylesheet", href: "/styles.css" }),
+    dynamic(watcher.card, (card) => h('div', { class: "header" },
+      h('h1', null, card && card.course.value ? card.course.value.name : "Live Round"),
+      h('p', { class: "subtitle" },
+        h('span', { class: computed(() => `sync-status ${watcher.status.value}`) }, computed(() => SYNC_STATUS_LABELS[watcher.status.value])),
+        " - ", updated))),
+    dynamic(watcher.card, (card) => (card
+      ? [
+        h('h3', null, "Leaderboard"),
+        h(Leaderboard, { card }),
+        h(CardGrid, { card, readOnly: true }),
+      ]
+      : h('p', { class: "watch-waiting" }, "Nobody is sharing this round right now. It appears here as soon as a scorer's phone is live.")), 'div', { class: "game-info" }));
+}
+
+const EVENT_BASIS_LABELS = { gross: "Gross", net: "Net", points: "Stableford (net)" };
+
+export function EventList({} = {}) {
+  let name = "";
+  let basis = "gross";
+  let create = () => {
+    const event = saveEvent(createEvent(name.trim() || "Club Outing", basis));
+    navigate(`/events/${event.id}`);
+  };
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, "Events"), h('p', { class: "subtitle" }, "Outings with several groups on one leaderboard")),
+    dynamic(events, (saved) => (saved.length == 0
+      ? h('p', { class: "empty-state" }, "No events yet.")
+      : [...saved].reverse().map((event) => h('div', { class: "course-card", onclick: () => { navigate(`/events/${event.id}`) } },
+        h('div', { class: "course-name" }, event.name),
+        h('div', { class: "course-details" }, `${new Date(event.date).toLocaleDateString()} - ${EVENT_BASIS_LABELS[event.basis]} - ${event.rounds.length} group${event.rounds.length == 1 ? "" : "s"}`)))), 'div', { class: "course-list" }),
+    h('div', { class: "course-editor" },
+      h('h3', null, "New Event"),
+      h('div', { class: "form-row" },
+        h('input', { type: "text", placeholder: "Event name", oninput: (event) => { name = event.target.value } }),
+        h('select', { onchange: (event) => { basis = event.target.value } },
+          EVENT_BASES.map((value) => h('option', { value }, EVENT_BASIS_LABELS[value]))),
+        h('button', { onclick: create }, "Create Event"))));
+}
+
+// Every group of an event on one leaderboard, live from each group's room
+export function EventLeaderboard({} = {}) {
+  let id = getRouter().getParam("id");
+  // A saved event follows its edits; a shared one lives in the link
+  let current = getEvent(id) || eventFromLink(id, new URLSearchParams(window.location.search));
+  let event = computed(() => (current = getEvent(id) || current));
+  if (!current) {
+    return h('div', { class: "golf-app" }, h(NavBar, {}),
+      h('div', { class: "header" }, h('h1', null, "Event not found")),
+      h('div', { class: "form-actions" }, h('button', { onclick: () => { navigate("/events") } }, "All Events")));
+  }
+  // One read-only watcher per group, started and stopped as the event's rounds change
+  let pageToken = getRouter().cancelToken;
+  let watchers = signal(new Map());
+  let startWatcher = (token) => {
+    const watcher = new RoundWatcher({ url: syncUrl.value });
+    watcher.watch(token);
+    roundApi.watchRound(token, { cancelToken: pageToken, retries: 0 }).then((snapshot) => { watcher.seed(snapshot) }).catch(() => {});
+    return watcher;
+  };
+  effect(() => {
+    const rounds = event.value.rounds;
+    const running = untrack(() => watchers.value);
+    const next = new Map(rounds.map((token) => [token, running.get(token) || startWatcher(token)]));
+    running.forEach((watcher, token) => {
+      if (!next.has(token)) {
+        watcher.stop();
+      }
+    });
+    watchers.value = next;
+  });
+  onCleanup(() => { watchers.value.forEach((watcher) => watcher.stop()) });
+  let groups = computed(() => [...watchers.value].map(([id, watcher]) => ({ id, watcher })));
+  let rows = computed(() => eventLeaderboard(groups.value.map(({ id, watcher }) => ({ id, card: watcher.card.value })), event.value.basis));
+  let formatScore = (entry) => {
+    if (entry.thru == 0) {
+      return "-";
+    }
+    return event.value.basis == "points" ? `${entry.score} pts` : formatToPar(entry.score);
+  };
+  let local = !!getEvent(id);
+  // Groups are added by their read-only link, never by the code scorers join with
+  let link = "";
+  let addRound = (token) => {
+    const current = getEvent(id);
+    if (token && !current.rounds.includes(token)) {
+      saveEvent({ ...current, rounds: [...current.rounds, token] });
+    }
+  };
+  let addMyRound = () => {
+    if (!liveSync.code.value) {
+      liveSync.url = syncUrl.value;
+      liveSync.share();
+    }
+    watchTokenFor(liveSync.code.value).then(addRound);
+  };
+  let removeRound = (token) => {
+    const current = getEvent(id);
+    saveEvent({ ...current, rounds: current.rounds.filter((r) => r != token) });
+  };
+  let remove = () => {
+    if (confirm("Delete this event? The groups' rounds are not affected.")) {
+      deleteEvent(id);
+      navigate("/events");
+    }
+  };
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" },
+      h('h1', null, computed(() => event.value.name)),
+      h('p', { class: "subtitle" }, computed(() => `${EVENT_BASIS_LABELS[event.value.basis]} - ${event.value.rounds.length} group${event.value.rounds.length == 1 ? "" : "s"}`))),
+    dynamic(rows, (entries) => (entries.length == 0
+      ? h('p', { class: "empty-state" }, "Waiting for the groups' scores...")
+      : h('table', { class: "stats-table leaderboard" },
+        h('thead', null, h('tr', null, ["Pos", "Player", "Group", EVENT_BASIS_LABELS[event.value.basis], "Thru"].map((label) => h('th', null, label)))),
+        h('tbody', null, entries.map((entry) => h('tr', null,
+          h('td', null, entry.thru == 0 ? "-" : `${entry.tied ? "T" : ""}${entry.position}`),
+          h('td', null, entry.player.name),
+          h('td', null, String(entry.group)),
+          h('td', { class: "to-par" }, formatScore(entry)),
+          h('td', null, entry.finished ? "F" : String(entry.thru || "-"))))))), 'div', { class: "game-info" }),
+    dynamic(groups, (list) => list.map(({ id: token, watcher }, index) => h('div', { class: "event-group" },
+      h('span', { class: computed(() => `sync-status ${watcher.status.value}`) }, `Group ${index + 1}`),
+      h('span', null, computed(() => (watcher.card.value ? watcher.card.value.players.value.map((p) => p.name).join(", ") : "Not live yet"))),
+      h('span', { class: "event-updated" }, computed(() => (watcher.lastUpdated.value ? `updated ${new Date(watcher.lastUpdated.value).toLocaleTimeString()}` : "waiting"))),
+      local ? h('button', { onclick: () => { removeRound(token) } }, "Remove") : null)), 'div', { class: "event-groups" }),
+    local
+      ? h('div', { class: "course-editor" },
+        h('h3', null, "Groups"),
+        h('p', null, "Each group taps \"Share Round\" on their scorecard and sends you the spectator link."),
+        h('div', { class: "form-row" },
+          h('input', { type: "text", placeholder: "Spectator link", oninput: (e) => { link = e.target.value.trim() } }),
+          h('button', { onclick: () => { addRound(watchTokenFrom(link)) } }, "Add Group"),
+          h('button', { onclick: addMyRound }, "Add My Round")),
+        h('div', { class: "form-row" },
+          h('label', null, "Share:"),
+          h('input', { type: "text", readonly: true, class: "sync-link", value: computed(() => eventLink(event.value, window.location.origin)), onclick: (e) => { e.target.select() } })))
+      : null,
+    h('div', { class: "form-actions" },
+      h('button', { onclick: () => { navigate("/events") } }, "All Events"),
+      local ? h('button', { onclick: remove }, "Delete Event") : null));
+}
+
 export function App({} = {}) {
-  let currentHole = signal(1);
-  let p1h1 = signal(0);
-  let p1h2 = signal(0);
-  let p1h3 = signal(0);
-  let p1h4 = signal(0);
-  let p1h5 = signal(0);
-  let p1h6 = signal(0);
-  let p1h7 = signal(0);
-  let p1h8 = signal(0);
-  let p1h9 = signal(0);
-  let p2h1 = signal(0);
-  let p2h2 = signal(0);
-  let p2h3 = signal(0);
-  let p2h4 = signal(0);
-  let p2h5 = signal(0);
-  let p2h6 = signal(0);
-  let p2h7 = signal(0);
-  let p2h8 = signal(0);
-  let p2h9 = signal(0);
-  let p3h1 = signal(0);
-  let p3h2 = signal(0);
-  let p3h3 = signal(0);
-  let p3h4 = signal(0);
-  let p3h5 = signal(0);
-  let p3h6 = signal(0);
-  let p3h7 = signal(0);
-  let p3h8 = signal(0);
-  let p3h9 = signal(0);
-  let p4h1 = signal(0);
-  let p4h2 = signal(0);
-  let p4h3 = signal(0);
-  let p4h4 = signal(0);
-  let p4h5 = signal(0);
-  let p4h6 = signal(0);
-  let p4h7 = signal(0);
-  let p4h8 = signal(0);
-  let p4h9 = signal(0);
-  let p1CurrentScore = signal(0);
-  let p2CurrentScore = signal(0);
-  let p3CurrentScore = signal(0);
-  let p4CurrentScore = signal(0);
-  let p1Total = signal(0);
-  let p2Total = signal(0);
-  let p3Total = signal(0);
-  let p4Total = signal(0);
-  let updateCurrentScores = () => { if ((currentHole.value == 1)) {
-  p1CurrentScore.value = p1h1.value;
-  p2CurrentScore.value = p2h1.value;
-  p3CurrentScore.value = p3h1.value;
-  p4CurrentScore.value = p4h1.value;
-
-  } else if ((currentHole.value == 2)) {
-  p1CurrentScore.value = p1h2.value;
-  p2CurrentScore.value = p2h2.value;
-  p3CurrentScore.value = p3h2.value;
-  p4CurrentScore.value = p4h2.value;
-
-  } else if ((currentHole.value == 3)) {
-  p1CurrentScore.value = p1h3.value;
-  p2CurrentScore.value = p2h3.value;
-  p3CurrentScore.value = p3h3.value;
-  p4CurrentScore.value = p4h3.value;
-
-  } else if ((currentHole.value == 4)) {
-  p1CurrentScore.value = p1h4.value;
-  p2CurrentScore.value = p2h4.value;
-  p3CurrentScore.value = p3h4.value;
-  p4CurrentScore.value = p4h4.value;
-
-  } else if ((currentHole.value == 5)) {
-  p1CurrentScore.value = p1h5.value;
-  p2CurrentScore.value = p2h5.value;
-  p3CurrentScore.value = p3h5.value;
-  p4CurrentScore.value = p4h5.value;
-
-  } else if ((currentHole.value == 6)) {
-  p1CurrentScore.value = p1h6.value;
-  p2CurrentScore.value = p2h6.value;
-  p3CurrentScore.value = p3h6.value;
-  p4CurrentScore.value = p4h6.value;
-
-  } else if ((currentHole.value == 7)) {
-  p1CurrentScore.value = p1h7.value;
-  p2CurrentScore.value = p2h7.value;
-  p3CurrentScore.value = p3h7.value;
-  p4CurrentScore.value = p4h7.value;
-
-  } else if ((currentHole.value == 8)) {
-  p1CurrentScore.value = p1h8.value;
-  p2CurrentScore.value = p2h8.value;
-  p3CurrentScore.value = p3h8.value;
-  p4CurrentScore.value = p4h8.value;
-
-  } else if ((currentHole.value == 9)) {
-  p1CurrentScore.value = p1h9.value;
-  p2CurrentScore.value = p2h9.value;
-  p3CurrentScore.value = p3h9.value;
-  p4CurrentScore.value = p4h9.value;
-
-  } };
-  let recalculateTotals = () => { p1Total.value = ((((((((p1h1.value + p1h2.value) + p1h3.value) + p1h4.value) + p1h5.value) + p1h6.value) + p1h7.value) + p1h8.value) + p1h9.value);
-p2Total.value = ((((((((p2h1.value + p2h2.value) + p2h3.value) + p2h4.value) + p2h5.value) + p2h6.value) + p2h7.value) + p2h8.value) + p2h9.value);
-p3Total.value = ((((((((p3h1.value + p3h2.value) + p3h3.value) + p3h4.value) + p3h5.value) + p3h6.value) + p3h7.value) + p3h8.value) + p3h9.value);
-p4Total.value = ((((((((p4h1.value + p4h2.value) + p4h3.value) + p4h4.value) + p4h5.value) + p4h6.value) + p4h7.value) + p4h8.value) + p4h9.value); };
-  let updateP1 = (delta) => { if ((currentHole.value == 1)) {
-  p1h1.value = (p1h1.value + delta);
-  p1CurrentScore.value = p1h1.value;
-
-  } else if ((currentHole.value == 2)) {
-  p1h2.value = (p1h2.value + delta);
-  p1CurrentScore.value = p1h2.value;
-
-  } else if ((currentHole.value == 3)) {
-  p1h3.value = (p1h3.value + delta);
-  p1CurrentScore.value = p1h3.value;
-
-  } else if ((currentHole.value == 4)) {
-  p1h4.value = (p1h4.value + delta);
-  p1CurrentScore.value = p1h4.value;
-
-  } else if ((currentHole.value == 5)) {
-  p1h5.value = (p1h5.value + delta);
-  p1CurrentScore.value = p1h5.value;
-
-  } else if ((currentHole.value == 6)) {
-  p1h6.value = (p1h6.value + delta);
-  p1CurrentScore.value = p1h6.value;
-
-  } else if ((currentHole.value == 7)) {
-  p1h7.value = (p1h7.value + delta);
-  p1CurrentScore.value = p1h7.value;
-
-  } else if ((currentHole.value == 8)) {
-  p1h8.value = (p1h8.value + delta);
-  p1CurrentScore.value = p1h8.value;
-
-  } else if ((currentHole.value == 9)) {
-  p1h9.value = (p1h9.value + delta);
-  p1CurrentScore.value = p1h9.value;
-
-  } };
-  let updateP2 = (delta) => { if ((currentHole.value == 1)) {
-  p2h1.value = (p2h1.value + delta);
-  p2CurrentScore.value = p2h1.value;
-
-  } else if ((currentHole.value == 2)) {
-  p2h2.value = (p2h2.value + delta);
-  p2CurrentScore.value = p2h2.value;
-
-  } else if ((currentHole.value == 3)) {
-  p2h3.value = (p2h3.value + delta);
-  p2CurrentScore.value = p2h3.value;
-
-  } else if ((currentHole.value == 4)) {
-  p2h4.value = (p2h4.value + delta);
-  p2CurrentScore.value = p2h4.value;
-
-  } else if ((currentHole.value == 5)) {
-  p2h5.value = (p2h5.value + delta);
-  p2CurrentScore.value = p2h5.value;
-
-  } else if ((currentHole.value == 6)) {
-  p2h6.value = (p2h6.value + delta);
-  p2CurrentScore.value = p2h6.value;
-
-  } else if ((currentHole.value == 7)) {
-  p2h7.value = (p2h7.value + delta);
-  p2CurrentScore.value = p2h7.value;
-
-  } else if ((currentHole.value == 8)) {
-  p2h8.value = (p2h8.value + delta);
-  p2CurrentScore.value = p2h8.value;
-
-  } else if ((currentHole.value == 9)) {
-  p2h9.value = (p2h9.value + delta);
-  p2CurrentScore.value = p2h9.value;
-
-  } };
-  let updateP3 = (delta) => { if ((currentHole.value == 1)) {
-  p3h1.value = (p3h1.value + delta);
-  p3CurrentScore.value = p3h1.value;
-
-  } else if ((currentHole.value == 2)) {
-  p3h2.value = (p3h2.value + delta);
-  p3CurrentScore.value = p3h2.value;
-
-  } else if ((currentHole.value == 3)) {
-  p3h3.value = (p3h3.value + delta);
-  p3CurrentScore.value = p3h3.value;
-
-  } else if ((currentHole.value == 4)) {
-  p3h4.value = (p3h4.value + delta);
-  p3CurrentScore.value = p3h4.value;
-
-  } else if ((currentHole.value == 5)) {
-  p3h5.value = (p3h5.value + delta);
-  p3CurrentScore.value = p3h5.value;
-
-  } else if ((currentHole.value == 6)) {
-  p3h6.value = (p3h6.value + delta);
-  p3CurrentScore.value = p3h6.value;
-
-  } else if ((currentHole.value == 7)) {
-  p3h7.value = (p3h7.value + delta);
-  p3CurrentScore.value = p3h7.value;
-
-  } else if ((currentHole.value == 8)) {
-  p3h8.value = (p3h8.value + delta);
-  p3CurrentScore.value = p3h8.value;
-
-  } else if ((currentHole.value == 9)) {
-  p3h9.value = (p3h9.value + delta);
-  p3CurrentScore.value = p3h9.value;
-
-  } };
-  let updateP4 = (delta) => { if ((currentHole.value == 1)) {
-  p4h1.value = (p4h1.value + delta);
-  p4CurrentScore.value = p4h1.value;
-
-  } else if ((currentHole.value == 2)) {
-  p4h2.value = (p4h2.value + delta);
-  p4CurrentScore.value = p4h2.value;
-
-  } else if ((currentHole.value == 3)) {
-  p4h3.value = (p4h3.value + delta);
-  p4CurrentScore.value = p4h3.value;
-
-  } else if ((currentHole.value == 4)) {
-  p4h4.value = (p4h4.value + delta);
-  p4CurrentScore.value = p4h4.value;
-
-  } else if ((currentHole.value == 5)) {
-  p4h5.value = (p4h5.value + delta);
-  p4CurrentScore.value = p4h5.value;
-
-  } else if ((currentHole.value == 6)) {
-  p4h6.value = (p4h6.value + delta);
-  p4CurrentScore.value = p4h6.value;
-
-  } else if ((currentHole.value == 7)) {
-  p4h7.value = (p4h7.value + delta);
-  p4CurrentScore.value = p4h7.value;
-
-  } else if ((currentHole.value == 8)) {
-  p4h8.value = (p4h8.value + delta);
-  p4CurrentScore.value = p4h8.value;
-
-  } else if ((currentHole.value == 9)) {
-  p4h9.value = (p4h9.value + delta);
-  p4CurrentScore.value = p4h9.value;
-
-  } };
-  let updateP1WithTotal = (delta) => { updateP1(delta);
-recalculateTotals() };
-  let updateP2WithTotal = (delta) => { updateP2(delta);
-recalculateTotals() };
-  let updateP3WithTotal = (delta) => { updateP3(delta);
-recalculateTotals() };
-  let updateP4WithTotal = (delta) => { updateP4(delta);
-recalculateTotals() };
-  let nextHole = () => { if ((currentHole.value < 9)) {
-  currentHole.value = (currentHole.value + 1);
-  updateCurrentScores();
-
-  } };
-  let prevHole = () => { if ((currentHole.value > 1)) {
-  currentHole.value = (currentHole.value - 1);
-  updateCurrentScores();
-
-  } };
-  return h('div', { class: "golf-app" }, h('link', { rel: "stylesheet", href: "styles.css" }), h('div', { class: "header" }, h('h1', null, "Golf Scorecard"), h('p', { class: "subtitle" }, "4 Players - 9 Holes")), h('div', { class: "hole-nav" }, h('button', { onclick: prevHole }, "Previous"), h('h2', null, "Hole", (() => { const __reactive = signal(""); effect(() => { __reactive.value = currentHole.value; }); return __reactive; })(), "(Par 4)"), h('button', { onclick: nextHole }, "Next")), h('div', { class: "scorecard" }, h('div', { class: "player-row" }, h('div', { class: "player-info" }, h('div', { class: "player-name" }, "Player 1")), h('div', { class: "score-controls" }, h('button', { onclick: () => { updateP1WithTotal((-1)) } }, "-"), h('span', { class: "score" }, (() => { const __reactive = signal(""); effect(() => { __reactive.value = p1CurrentScore.value; }); return __reactive; })()), h('button', { onclick: () => { updateP1WithTotal(1) } }, "+")), h('div', { class: "total" }, "Total:", (() => { const __reactive = signal(""); effect(() => { __reactive.value = p1Total.value; }); return __reactive; })())), h('div', { class: "player-row" }, h('div', { class: "player-info" }, h('div', { class: "player-name" }, "Player 2")), h('div', { class: "score-controls" }, h('button', { onclick: () => { updateP2WithTotal((-1)) } }, "-"), h('span', { class: "score" }, (() => { const __reactive = signal(""); effect(() => { __reactive.value = p2CurrentScore.value; }); return __reactive; })()), h('button', { onclick: () => { updateP2WithTotal(1) } }, "+")), h('div', { class: "total" }, "Total:", (() => { const __reactive = signal(""); effect(() => { __reactive.value = p2Total.value; }); return __reactive; })())), h('div', { class: "player-row" }, h('div', { class: "player-info" }, h('div', { class: "player-name" }, "Player 3")), h('div', { class: "score-controls" }, h('button', { onclick: () => { updateP3WithTotal((-1)) } }, "-"), h('span', { class: "score" }, (() => { const __reactive = signal(""); effect(() => { __reactive.value = p3CurrentScore.value; }); return __reactive; })()), h('button', { onclick: () => { updateP3WithTotal(1) } }, "+")), h('div', { class: "total" }, "Total:", (() => { const __reactive = signal(""); effect(() => { __reactive.value = p3Total.value; }); return __reactive; })())), h('div', { class: "player-row" }, h('div', { class: "player-info" }, h('div', { class: "player-name" }, "Player 4")), h('div', { class: "score-controls" }, h('button', { onclick: () => { updateP4WithTotal((-1)) } }, "-"), h('span', { class: "score" }, (() => { const __reactive = signal(""); effect(() => { __reactive.value = p4CurrentScore.value; }); return __reactive; })()), h('button', { onclick: () => { updateP4WithTotal(1) } }, "+")), h('div', { class: "total" }, "Total:", (() => { const __reactive = signal(""); effect(() => { __reactive.value = p4Total.value; }); return __reactive; })()))), h('div', { class: "hole-selector" }, h('h3', null, "Jump to Hole:"), h('div', { class: "holes" }, h('button', { onclick: () => { currentHole.value = 1;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 1) ? "active" : ""); }); return __reactive; })() }, "1"), h('button', { onclick: () => { currentHole.value = 2;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 2) ? "active" : ""); }); return __reactive; })() }, "2"), h('button', { onclick: () => { currentHole.value = 3;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 3) ? "active" : ""); }); return __reactive; })() }, "3"), h('button', { onclick: () => { currentHole.value = 4;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 4) ? "active" : ""); }); return __reactive; })() }, "4"), h('button', { onclick: () => { currentHole.value = 5;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 5) ? "active" : ""); }); return __reactive; })() }, "5"), h('button', { onclick: () => { currentHole.value = 6;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 6) ? "active" : ""); }); return __reactive; })() }, "6"), h('button', { onclick: () => { currentHole.value = 7;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 7) ? "active" : ""); }); return __reactive; })() }, "7"), h('button', { onclick: () => { currentHole.value = 8;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 8) ? "active" : ""); }); return __reactive; })() }, "8"), h('button', { onclick: () => { currentHole.value = 9;
-updateCurrentScores() }, class: (() => { const __reactive = signal(""); effect(() => { __reactive.value = ((currentHole.value == 9) ? "active" : ""); }); return __reactive; })() }, "9"))));
+  let subtitle = computed(() => `${round.players.value.length} Players - ${round.holes.value.length} Holes`);
+  let currentHoleInfo = computed(() => round.holeInfo(round.currentHole.value));
+  let parLabel = computed(() => (currentHoleInfo.value.par ? `(Par ${currentHoleInfo.value.par})` : ""));
+  let holeMeta = computed(() => {
+    const info = currentHoleInfo.value;
+    return info.par ? `${info.yardage} yds - HCP ${info.strokeIndex}` : "";
+  });
+  return h('div', { class: "golf-app" }, h('link', { rel: "stylesheet", href: "/styles.css" }), h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, "Golf Scorecard"), h('p', { class: "subtitle" }, subtitle), h(CourseSelect, {}), h(LayoutSelect, {}), h(GameModeSelect, {}), h(StatsToggle, {})),
+    h(ResumePrompt, {}),
+    h(LiveSyncPanel, {}),
+    h(ConflictPanel, {}),
+    h('div', { class: "hole-nav" },
+      h('button', { onclick: () => { round.prevHole() } }, "Previous"),
+      h('div', { class: "hole-title" }, h('h2', null, "Hole ", round.currentHole, " ", parLabel), h('p', { class: "hole-meta" }, holeMeta)),
+      h('button', { onclick: () => { round.nextHole() } }, "Next")),
+    dynamic(() => round.game.value.mode, (mode) => (mode == "match" ? h(MatchStrip, {}) : null)),
+    h('div', { class: "scorecard-layout" },
+      dynamic(() => [round.players.value, round.game.value.mode == "scramble" && round.sides().value], ([players, scrambleSides]) => (scrambleSides
+        ? scrambleSides.flatMap((ids, side) => (ids.length ? [h(TeamRow, { side })] : []))
+        : players.map((player) => h(PlayerRow, { player }))), 'div', { class: "scorecard" }),
+      h('div', { class: "side-panels" }, h(GamePanel, {}), h(SideGamesPanel, {}))),
+    h(CardGrid, {}),
+    dynamic(showStats, (show) => (show ? h(StatsSummary, {}) : null)),
+    h('div', { class: "hole-selector" }, h('h3', null, "Jump to Hole:"),
+      dynamic(round.holes, (holes) => holes.map((hole) => h('button', {
+        onclick: () => { round.goToHole(hole.number) },
+        class: computed(() => ((round.currentHole.value == hole.number) ? "active" : ""))
+      }, String(hole.number))), 'div', { class: "holes" })),
+    h('div', { class: "form-actions round-actions" },
+      h('button', { onclick: finishRound }, "Finish Round"),
+      h('button', { onclick: () => { if (!round.hasScores() || confirm("Clear all scores and start a new round?")) { startNewRound() } } }, "Start New Round")));
+}
+
+// Archive the active round, start a fresh one and show the archived card
+export function finishRound() {
+  if (!round.hasScores()) {
+    alert("Enter some scores before finishing the round.");
+    return;
+  }
+  const missing = round.players.value.some((player) => round.holes.value.some((hole) => !round.getScore(player.id, hole.number)));
+  if (missing && !confirm("Some holes have no score. Finish the round anyway?")) {
+    return;
+  }
+  const entry = archiveRound(round.toJSON());
+  // Keep a copy on the server too; the local archive stays the source for the app
+  outbox.enqueue("finishRound", { id: entry.id, secret: entry.secret, snapshot: entry });
+  startNewRound();
+  updateHandicapIndexes();
+  navigate(`/rounds/${entry.id}`);
+}
+
+// Give each roster player their WHS index from the archive (once they have one),
+// so net scoring uses it for course handicaps
+export function updateHandicapIndexes() {
+  for (const player of round.players.value) {
+    const index = currentHandicapIndex(archivedRounds.value, player.id);
+    if (index !== null && index !== player.handicapIndex) {
+      round.updatePlayer(player.id, { handicapIndex: index });
+    }
+  }
+}
 
+// One-line result per player for archived round summaries, e.g. "Ann 82 (+10)"
+function playerResults(card) {
+  return card.players.value.map((player) => {
+    const toPar = formatToPar(card.toPar(player.id).value);
+    return `${player.name} ${card.total(player.id).value}${toPar ? ` (${toPar})` : ""}`;
+  });
+}
+
+// Line chart of one value per round (null values leave a gap in the points)
+// points: [{ label, value }], format: value -> axis / tooltip text
+export function TrendChart({ title, points = [], format = String } = {}) {
+  const width = 320, height = 140, pad = 28;
+  const values = points.map((point) => point.value).filter((value) => value !== null && value !== undefined);
+  if (values.length == 0) {
+    return h('div', { class: "trend-chart" }, h('h4', null, title), h('p', { class: "empty-state" }, "No data yet"));
+  }
+  const min = Math.min(...values), max = Math.max(...values);
+  const span = max - min || 1;
+  const x = (i) => pad + (points.length > 1 ? (i * (width - pad * 2)) / (points.length - 1) : (width - pad * 2) / 2);
+  const y = (value) => height - pad - ((value - min) * (height - pad * 2)) / span;
+  const plotted = points.map((point, i) => ({ ...point, i })).filter((point) => point.value !== null && point.value !== undefined);
+  return h('div', { class: "trend-chart" },
+    h('h4', null, title),
+    h('svg', { viewBox: `0 0 ${width} ${height}`, width: "100%", role: "img", "aria-label": title },
+      h('line', { class: "chart-axis", x1: pad, y1: height - pad, x2: width - pad, y2: height - pad }),
+      h('text', { class: "chart-label", x: 2, y: pad }, format(max)),
+      h('text', { class: "chart-label", x: 2, y: height - pad }, format(min)),
+      h('polyline', { class: "chart-line", points: plotted.map((point) => `${x(point.i)},${y(point.value)}`).join(" ") }),
+      plotted.map((point) => h('circle', { class: "chart-point", cx: x(point.i), cy: y(point.value), r: 4 },
+        h('title', null, `${point.label}: ${format(point.value)}`)))));
+}
+
+// Horizontal bars: how often each hole result came up
+export function DistributionChart({ distribution } = {}) {
+  const rowHeight = 24, labelWidth = 80, width = 320;
+  const most = Math.max(1, ...Object.values(distribution));
+  const total = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+  return h('svg', { class: "distribution-chart", viewBox: `0 0 ${width} ${HOLE_RESULTS.length * rowHeight}`, width: "100%", role: "img", "aria-label": "Hole results" },
+    HOLE_RESULTS.map((result, i) => h('g', null,
+      h('text', { class: "chart-label", x: 0, y: i * rowHeight + 16 }, RESULT_LABELS[result]),
+      h('rect', { class: `chart-bar ${result}`, x: labelWidth, y: i * rowHeight + 4, height: rowHeight - 8,
+        width: Math.max(1, (distribution[result] / most) * (width - labelWidth - 60)) }),
+      h('text', { class: "chart-label", x: labelWidth + (distribution[result] / most) * (width - labelWidth - 60) + 6, y: i * rowHeight + 16 },
+        `${distribution[result]}${total ? ` (${Math.round((distribution[result] / total) * 100)}%)` : ""}`))));
+}
+
+export function PlayerList({} = {}) {
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, "Player Stats"), h('p', { class: "subtitle" }, "From your finished rounds")),
+    dynamic(archivedRounds, (snapshots) => {
+      const players = playerDirectory(snapshots);
+      return players.length == 0
+        ? h('p', { class: "empty-state" }, "No finished rounds yet. Stats appear once you finish a round.")
+        : players.map((player) => h('div', { class: "course-card", onclick: () => { navigate(`/stats/${player.id}`) } },
+          h('div', { class: "course-name" }, h('span', { class: "initials" }, player.initials), player.name),
+          h('div', { class: "course-details" }, `${player.rounds} round${player.rounds == 1 ? "" : "s"}`)));
+    }, 'div', { class: "course-list" }));
+}
+
+const TREND_LENGTHS = [5, 10, 20];
+
+// WHS index after each counted score, with the differentials behind it
+export function HandicapHistory({ playerId } = {}) {
+  return dynamic(archivedRounds, (snapshots) => {
+    const history = handicapHistory(snapshots, playerId);
+    const current = history.length ? history[history.length - 1].index : null;
+    return [
+      h('h3', null, "Handicap Index"),
+      h('p', null, current === null
+        ? `${history.length} of 3 scores needed for an index (18-hole rounds, or two 9s, on a rated course)`
+        : `Current index ${formatHandicapIndex(current)} from ${Math.min(history.length, 20)} score${history.length == 1 ? "" : "s"}`),
+      history.length ? h(TrendChart, {
+        title: "Index",
+        points: history.map((entry) => ({ label: new Date(entry.date).toLocaleDateString(), value: entry.index })),
+        format: (value) => formatHandicapIndex(value),
+      }) : null,
+      history.length ? h('table', { class: "stats-table" },
+        h('thead', null, h('tr', null, ["Date", "Adj. Gross", "Differential", "Index"].map((label) => h('th', null, label)))),
+        h('tbody', null, [...history].reverse().map((entry) => h('tr', null,
+          h('td', null, new Date(entry.date).toLocaleDateString()),
+          h('td', null, String(entry.adjustedGross)),
+          h('td', null, entry.differential.toFixed(1)),
+          h('td', null, entry.index === null ? "-" : formatHandicapIndex(entry.index)))))) : null,
+    ];
+  }, 'div', { class: "game-info handicap-history" });
+}
+
+export function PlayerStats({} = {}) {
+  let playerId = getRouter().getParam("id");
+  let player = playerDirectory(archivedRounds.value).find((p) => p.id == playerId);
+  if (!player) {
+    return h('div', { class: "golf-app" }, h(NavBar, {}),
+      h('div', { class: "header" }, h('h1', null, "Player not found")),
+      h('div', { class: "form-actions" }, h('button', { onclick: () => { navigate("/stats") } }, "All Players")));
+  }
+  let lastN = signal(10);
+  let stats = computed(() => analyzePlayer(archivedRounds.value, playerId, { lastN: lastN.value }));
+  let pct = (value) => (value === null ? "-" : `${value}%`);
+  let tile = (label, value) => h('div', { class: "stat-tile" }, h('span', null, label), h('strong', null, value));
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, player.name),
+      h('p', { class: "subtitle" }, computed(() => `${stats.value.rounds} rounds - ${stats.value.holesPlayed} holes`))),
+    dynamic(stats, (s) => [
+      h('div', { class: "stat-tiles" },
+        STAT_PARS.map((par) => tile(`Par ${par} avg`, s.scoringByPar[par].average === null ? "-" : s.scoringByPar[par].average.toFixed(2))),
+        tile("Putts / round", s.putts.perRound === null ? "-" : s.putts.perRound.toFixed(1)),
+        tile("Fairways", pct(s.fairways.pct)),
+        tile("GIR", pct(s.gir.pct))),
+      h('div', { class: "game-info" }, h('h3', null, "Hole Results"), h(DistributionChart, { distribution: s.distribution })),
+    ]),
+    h('div', { class: "game-info" },
+      h('div', { class: "trend-header" }, h('h3', null, "Trends"),
+        h('select', { onchange: (event) => { lastN.value = Number(event.target.value) } },
+          TREND_LENGTHS.map((n) => selectOption(String(n), `Last ${n} rounds`, n == lastN.value)))),
+      dynamic(stats, (s) => {
+        const points = (field) => s.trend.map((entry) => ({ label: new Date(entry.date).toLocaleDateString(), value: entry[field] }));
+        return [
+          h(TrendChart, { title: "Score to par", points: points("toPar"), format: formatToPar }),
+          h(TrendChart, { title: "Putts", points: points("putts") }),
+          h(TrendChart, { title: "GIR", points: points("girPct"), format: (value) => `${value}%` }),
+        ];
+      }, 'div', { class: "trend-charts" })),
+    h(HandicapHistory, { playerId }),
+    dynamic(stats, (s) => s.courses.map((course) => h('div', { class: "game-info" },
+      h('h3', null, course.name),
+      h('div', { class: "nassau-scores" },
+        h('div', null, "Best holes", course.best.map((hole) => h('div', { class: "ledger-row" }, h('span', null, `Hole ${hole.number}`), h('strong', null, formatToPar(hole.average))))),
+        h('div', null, "Worst holes", course.worst.map((hole) => h('div', { class: "ledger-row" }, h('span', null, `Hole ${hole.number}`), h('strong', null, formatToPar(hole.average))))))))),
+    h('div', { class: "form-actions" }, h('button', { onclick: () => { navigate("/stats") } }, "All Players")));
+}
+
+export function RoundList({} = {}) {
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, "Rounds"), h('p', { class: "subtitle" }, "Finished rounds, newest first")),
+    dynamic(roundsByDate, (rounds) => (rounds.length == 0
+      ? h('p', { class: "empty-state" }, "No finished rounds yet. Tap \"Finish Round\" on the scorecard to archive one.")
+      : rounds.map((snapshot) => {
+        const card = Round.fromJSON(snapshot);
+        return h('div', { class: "course-card round-card", onclick: () => { navigate(`/rounds/${snapshot.id}`) } },
+          h('div', { class: "course-name" }, snapshot.course ? snapshot.course.name : "Round"),
+          h('div', { class: "course-details" }, `${new Date(roundDate(snapshot)).toLocaleDateString()} - ${snapshot.holeCount} holes${snapshot.teeName ? ` - ${snapshot.teeName} tees` : ""}`),
+          h('div', { class: "round-results" }, playerResults(card).join(" · ")));
+      })), 'div', { class: "course-list" }));
+}
+
+export function RoundDetail({} = {}) {
+  let snapshot = getArchivedRound(getRouter().getParam("id"));
+  if (!snapshot) {
+    return h('div', { class: "golf-app" }, h(NavBar, {}),
+      h('div', { class: "header" }, h('h1', null, "Round not found")),
+      h('div', { class: "form-actions" }, h('button', { onclick: () => { navigate("/rounds") } }, "All Rounds")));
+  }
+  let card = Round.fromJSON(snapshot);
+  let remove = () => {
+    if (confirm("Delete this round from your history?")) {
+      deleteArchivedRound(snapshot.id);
+      navigate("/rounds");
+    }
+  };
+  let name = snapshot.course ? snapshot.course.name : "round";
+  let exportRounds = (snapshots, fileName, format) => {
+    if (format == "csv") {
+      downloadFile(exportFileName(fileName, "csv", roundDate(snapshots[0])), roundsToCsv(snapshots), "text/csv");
+    } else {
+      downloadFile(exportFileName(fileName, "json", roundDate(snapshots[0])), roundsToJson(snapshots), "application/json");
+    }
+  };
+  return h('div', { class: "golf-app round-detail" }, h(NavBar, {}),
+    h('div', { class: "header" },
+      h('h1', null, snapshot.course ? snapshot.course.name : "Round"),
+      h('p', { class: "subtitle" }, `${new Date(roundDate(snapshot)).toLocaleString()}${snapshot.teeName ? ` - ${snapshot.teeName} tees` : ""}`)),
+    h('div', { class: "scorecard round-summary" }, playerResults(card).map((result) => h('div', { class: "player-row" }, h('div', { class: "player-name" }, result)))),
+    card.game.value.mode == "match" ? h(MatchStrip, { card }) : null,
+    h(CardGrid, { card, readOnly: true }),
+    h(GamePanel, { card, readOnly: true }),
+    h(SideGamesPanel, { card, readOnly: true }),
+    card.hasStats() ? h(StatsSummary, { card }) : null,
+    h('div', { class: "card-signatures" },
+      h('span', null, "Marker"), h('span', null, "Player"), h('span', null, "Attested")),
+    h('div', { class: "form-actions export-actions" },
+      h('button', { onclick: () => { exportRounds([snapshot], name, "csv") } }, "Export CSV"),
+      h('button', { onclick: () => { exportRounds([snapshot], name, "json") } }, "Export JSON"),
+      h('button', { onclick: () => { window.print() } }, "Print Scorecard"),
+      h('button', { onclick: () => { exportRounds(roundsByDate.value, "all-rounds", "csv") } }, "Export All Rounds (CSV)"),
+      h('button', { onclick: () => { exportRounds(roundsByDate.value, "all-rounds", "json") } }, "Export All Rounds (JSON)")),
+    h('div', { class: "form-actions" },
+      h('button', { onclick: () => { navigate("/rounds") } }, "All Rounds"),
+      h('button', { onclick: remove }, "Delete Round")));
+}
+
+export function RosterSetup({} = {}) {
+  let error = signal("");
+  let onHandicapChange = (player, event) => {
+    try {
+      round.updatePlayer(player.id, { handicapIndex: parseHandicapIndex(event.target.value) });
+      error.value = "";
+    } catch (e) {
+      error.value = `${player.name}: ${e.message}`;
+      event.target.value = formatHandicapIndex(player.handicapIndex);
+    }
+  };
+  let rosterRow = (player, index, players) => h('div', { class: "form-row roster-row" },
+    h('button', { onclick: () => { round.movePlayer(player.id, (-1)) }, disabled: index == 0 ? "" : null, title: "Move up" }, "▲"),
+    h('button', { onclick: () => { round.movePlayer(player.id, 1) }, disabled: index == players.length - 1 ? "" : null, title: "Move down" }, "▼"),
+    h('input', { type: "text", value: player.name, placeholder: "Name", class: "roster-name",
+      onchange: (event) => { round.updatePlayer(player.id, { name: event.target.value.trim() || player.name }) } }),
+    h('input', { type: "text", value: player.initials, placeholder: "Initials", maxlength: "3", class: "roster-initials",
+      onchange: (event) => { round.updatePlayer(player.id, { initials: event.target.value.trim().toUpperCase() }) } }),
+    h('input', { type: "text", value: formatHandicapIndex(player.handicapIndex), placeholder: "Index", inputmode: "decimal", class: "roster-handicap",
+      onchange: (event) => { onHandicapChange(player, event) } }),
+    players.length > MIN_PLAYERS ? h('button', { onclick: () => { round.removePlayer(player.id) } }, "Remove") : null);
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, "Players"), h('p', { class: "subtitle" }, `Up to ${MAX_PLAYERS} players - name, initials and handicap index`)),
+    dynamic(round.players, (players) => [
+      h('div', { class: "form-row roster-header" }, h('span', null, "Order"), h('span', null, "Name"), h('span', null, "Initials"), h('span', null, "Handicap Index")),
+      players.map((player, index) => rosterRow(player, index, players)),
+      players.length < MAX_PLAYERS ? h('button', { onclick: () => { round.addPlayer() } }, "Add Player") : null,
+    ], 'div', { class: "course-editor roster" }),
+    dynamic(error, (message) => (message ? h('li', null, message) : null), 'ul', { class: "form-errors" }),
+    h('div', { class: "form-actions" }, h('button', { onclick: () => { navigate("/") } }, "Done")));
+}
+
+export function CourseList({} = {}) {
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, "Courses"), h('p', { class: "subtitle" }, "Saved courses and tees")),
+    dynamic(courses, (saved) => saved.map((course) => h('div', { class: "course-card" },
+      h('div', { class: "course-name" }, course.name),
+      h('div', { class: "course-details" }, `${course.holes.length} holes - Par ${coursePar(course)} - ${course.tees.map((tee) => tee.name).join(", ")}`),
+      h('div', { class: "course-actions" },
+        h('button', { onclick: () => { round.setCourse(course); navigate("/") } }, "Play"),
+        h('button', { onclick: () => { navigate(`/courses/${course.id}`) } }, "Edit")))), 'div', { class: "course-list" }),
+    h('div', { class: "form-actions" }, h('button', { onclick: () => { navigate("/courses/new") } }, "Add Course")));
+}
+
+export function CourseEditor({} = {}) {
+  let courseId = getRouter().getParam("id");
+  let existing = getCourse(courseId);
+  let draft = signal(existing ? JSON.parse(JSON.stringify(existing)) : createCourse("New Course"));
+  let errors = signal([]);
+  // Field edits mutate the draft in place; structural edits replace it to re-render
+  let restructure = (fn) => {
+    const course = JSON.parse(JSON.stringify(draft.value));
+    fn(course);
+    draft.value = course;
+  };
+  let numberInput = (value, onchange, attrs = {}) => h('input', {
+    type: "number", value: String(value), oninput: (event) => { onchange(Number(event.target.value)) }, ...attrs
+  });
+  let textInput = (value, onchange) => h('input', { type: "text", value, oninput: (event) => { onchange(event.target.value) } });
+  let save = () => {
+    errors.value = validateCourse(draft.value);
+    if (errors.value.length > 0) {
+      return;
+    }
+    const saved = saveCourse(draft.value);
+    if (round.course.value && round.course.value.id == saved.id) {
+      round.setCourse(saved, round.teeName.value);
+    }
+    navigate("/courses");
+  };
+  let remove = () => {
+    if (confirm(`Delete ${draft.value.name}?`)) {
+      deleteCourse(draft.value.id);
+      navigate("/courses");
+    }
+  };
+  let teeRow = (course, tee, index) => h('div', { class: "form-row tee-row" },
+    h('label', null, "Tee"), textInput(tee.name, (value) => { tee.name = value }),
+    h('label', null, "Rating"), numberInput(tee.rating, (value) => { tee.rating = value }, { step: "0.1" }),
+    h('label', null, "Slope"), numberInput(tee.slope, (value) => { tee.slope = value }),
+    course.tees.length > 1 ? h('button', { onclick: () => { restructure((c) => { c.tees.splice(index, 1) }) } }, "Remove") : null);
+  let holeRow = (course, hole) => h('tr', null,
+    h('td', null, String(hole.number)),
+    h('td', null, numberInput(hole.par, (value) => { hole.par = value }, { min: String(MIN_PAR), max: String(MAX_PAR) })),
+    h('td', null, numberInput(hole.strokeIndex, (value) => { hole.strokeIndex = value }, { min: "1", max: String(course.holes.length) })),
+    course.tees.map((tee) => h('td', null, numberInput(tee.yardages[hole.number - 1], (value) => { tee.yardages[hole.number - 1] = value }))));
+  return h('div', { class: "golf-app" }, h(NavBar, {}),
+    h('div', { class: "header" }, h('h1', null, existing ? "Edit Course" : "New Course")),
+    dynamic(draft, (course) => h('div', { class: "course-editor" },
+      h('div', { class: "form-row" }, h('label', null, "Name"), textInput(course.name, (value) => { course.name = value })),
+      h('div', { class: "form-row" }, h('label', null, "Holes"),
+        h('select', { onchange: (event) => { restructure((c) => { Object.assign(c, createCourse(c.name, Number(event.target.value)), { id: c.id, name: c.name }) }) } },
+          COURSE_HOLE_COUNTS.map((count) => selectOption(String(count), `${count} holes`, count == course.holes.length)))),
+      course.tees.map((tee, index) => teeRow(course, tee, index)),
+      h('button', { onclick: () => { restructure((c) => { c.tees.push(createTee(`Tee ${c.tees.length + 1}`, c.holes)) }) } }, "Add Tee"),
+      h('table', { class: "card-grid course-holes" },
+        h('thead', null, h('tr', null, h('th', null, "Hole"), h('th', null, "Par"), h('th', null, "HCP"), course.tees.map((tee) => h('th', null, tee.name)))),
+        h('tbody', null, course.holes.map((hole) => holeRow(course, hole)))))),
+    dynamic(errors, (list) => list.map((error) => h('li', null, error)), 'ul', { class: "form-errors" }),
+    h('div', { class: "form-actions" },
+      h('button', { onclick: save }, "Save Course"),
+      h('button', { onclick: () => { navigate("/courses") } }, "Cancel"),
+      existing ? h('button', { onclick: remove }, "Delete") : null));
 }
 
 // Initialize application
 window.addEventListener('DOMContentLoaded', () => {
   console.log('Jounce client initialized');
-  mountComponent(App);
+  const router = getRouter();
+  router.route("/", () => { mountComponent(App) });
+  router.route("/setup", () => { mountComponent(RosterSetup) });
+  router.route("/courses", () => { mountComponent(CourseList) });
+  router.route("/rounds", () => { mountComponent(RoundList) });
+  router.route("/rounds/:id", () => { mountComponent(RoundDetail) });
+  router.route("/courses/:id", () => { mountComponent(CourseEditor) });
+  router.route("/stats", () => { mountComponent(PlayerList) });
+  router.route("/stats/:id", () => { mountComponent(PlayerStats) });
+  router.route("/watch/:token", () => { mountComponent(WatchRound) });
+  router.route("/events", () => { mountComponent(EventList) });
+  router.route("/events/:id", () => { mountComponent(EventLeaderboard) });
+  // Shared link: /?join=<code> joins that round's live scoring
+  const joinCode = new URLSearchParams(window.location.search).get("join");
+  if (joinCode) {
+    joinSharedRound(joinCode);
+  } else {
+    liveSync.resume();
+  }
+  router.start();
+  registerServiceWorker();
 });
 
 //# sourceMappingURL=client.js.map
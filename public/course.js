@@ -0,0 +1,155 @@
+/**
+ * Jounce Golf - Course Definitions
+ *
+ * A course is a name, one or more tees (rating, slope and per-hole
+ * yardages) and a list of holes with par and stroke index. Saved courses
+ * live in a persistentSignal so they only have to be entered once.
+ *
+ * @example
+ * const course = createCourse('Muni', 18);
+ * course.holes[0].par = 5;
+ * saveCourse(course);
+ */
+
+import { persistentSignal } from './reactivity.js';
+import { createId } from './round.js';
+
+export const COURSES_STORAGE_KEY = 'jounce-golf:courses';
+export const COURSE_HOLE_COUNTS = [9, 18];
+export const MIN_PAR = 3;
+export const MAX_PAR = 6;
+
+// Par and stroke index template for a typical par-72 layout
+const PAR_TEMPLATE = [4, 4, 3, 5, 4, 4, 3, 4, 5, 4, 3, 4, 5, 4, 4, 3, 5, 4];
+const STROKE_INDEX_TEMPLATE = [7, 3, 15, 11, 1, 9, 17, 5, 13, 8, 16, 4, 12, 2, 10, 18, 14, 6];
+const YARDAGE_BY_PAR = { 3: 165, 4: 390, 5: 520, 6: 640 };
+
+/**
+ * Create a tee with default rating/slope and yardages matching the pars
+ *
+ * @param {string} name - Tee name, e.g. 'White'
+ * @param {Array} holes - Course holes ({ par })
+ * @returns {{name: string, rating: number, slope: number, yardages: number[]}}
+ */
+export function createTee(name, holes) {
+    return {
+        name,
+        rating: holes.length === 9 ? 36.0 : 72.0,
+        slope: 113,
+        yardages: holes.map(hole => YARDAGE_BY_PAR[hole.par] || 0),
+    };
+}
+
+/**
+ * Create a course from the par-72 template
+ *
+ * For 9-hole courses the stroke indexes are re-ranked to 1-9.
+ *
+ * @param {string} name - Course name
+ * @param {number} [holeCount=18] - 9 or 18
+ * @returns {Object} Course definition
+ */
+export function createCourse(name, holeCount = 18) {
+    const template = STROKE_INDEX_TEMPLATE.slice(0, holeCount);
+    const ranked = [...template].sort((a, b) => a - b);
+    const holes = template.map((index, i) => ({
+        number: i + 1,
+        par: PAR_TEMPLATE[i],
+        strokeIndex: ranked.indexOf(index) + 1,
+    }));
+    return {
+        id: createId('c'),
+        name,
+        holes,
+        tees: [createTee('White', holes)],
+    };
+}
+
+// Course used until the group enters their own
+export const DEFAULT_COURSE = { ...createCourse('Home Course'), id: 'default' };
+
+/**
+ * Check a course definition
+ *
+ * @param {Object} course
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+export function validateCourse(course) {
+    const errors = [];
+    const holeCount = course.holes.length;
+
+    if (!course.name || !course.name.trim()) {
+        errors.push('Course name is required');
+    }
+    if (!COURSE_HOLE_COUNTS.includes(holeCount)) {
+        errors.push(`A course has ${COURSE_HOLE_COUNTS.join(' or ')} holes`);
+    }
+
+    course.holes.forEach(hole => {
+        if (!Number.isInteger(hole.par) || hole.par < MIN_PAR || hole.par > MAX_PAR) {
+            errors.push(`Hole ${hole.number}: par must be ${MIN_PAR}-${MAX_PAR}`);
+        }
+    });
+
+    const indexes = course.holes.map(hole => hole.strokeIndex).sort((a, b) => a - b);
+    if (indexes.some((index, i) => index !== i + 1)) {
+        errors.push(`Stroke indexes must use each of 1-${holeCount} exactly once`);
+    }
+
+    if (course.tees.length === 0) {
+        errors.push('At least one tee is required');
+    }
+    course.tees.forEach(tee => {
+        if (!tee.name || !tee.name.trim()) {
+            errors.push('Every tee needs a name');
+        }
+        if (!(tee.slope >= 55 && tee.slope <= 155)) {
+            errors.push(`${tee.name || 'Tee'}: slope must be 55-155`);
+        }
+        if (!(tee.rating > 0)) {
+            errors.push(`${tee.name || 'Tee'}: course rating is required`);
+        }
+    });
+
+    return errors;
+}
+
+// Total par of a course (or of the given hole numbers)
+export function coursePar(course, holeNumbers = null) {
+    return course.holes
+        .filter(hole => !holeNumbers || holeNumbers.includes(hole.number))
+        .reduce((sum, hole) => sum + hole.par, 0);
+}
+
+// Tee by name, falling back to the first tee
+export function findTee(course, teeName) {
+    return course.tees.find(tee => tee.name === teeName) || course.tees[0];
+}
+
+// ============================================================================
+// Saved Courses
+// ============================================================================
+
+export const courses = persistentSignal(COURSES_STORAGE_KEY, [DEFAULT_COURSE]);
+
+export function getCourse(id) {
+    return courses.value.find(course => course.id === id) || null;
+}
+
+// Insert or replace a course (throws if the definition is invalid)
+export function saveCourse(course) {
+    const errors = validateCourse(course);
+    if (errors.length > 0) {
+        throw new Error(`Invalid course: ${errors.join('; ')}`);
+    }
+    const saved = JSON.parse(JSON.stringify(course));
+    const exists = courses.value.some(c => c.id === course.id);
+    courses.value = exists
+        ? courses.value.map(c => (c.id === course.id ? saved : c))
+        : [...courses.value, saved];
+    return saved;
+}
+
+export function deleteCourse(id) {
+    courses.value = courses.value.filter(course => course.id !== id);
+}
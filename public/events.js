@@ -0,0 +1,174 @@
+/**
+ * Jounce Golf - Events
+ *
+ * An event groups the rounds of a club outing: each group keeps its own
+ * card and shares it live (see live-sync.js), and the event leaderboard
+ * ranks every player across the groups. An event's rounds are the groups'
+ * watch tokens, so it can only follow them. Events are saved locally; the
+ * share link carries the event in its query string so anyone can open it.
+ *
+ * Players are ranked on the event basis over the holes they have played:
+ *   gross  - strokes to par
+ *   net    - net strokes to par
+ *   points - Stableford points on net scores (higher is better)
+ * Players level on score share a position. When every one of them has
+ * finished a round of the same length, countback over the last 9, 6, 3
+ * and 1 holes (the last 6, 3 and 1 on a 9-hole card) separates them.
+ *
+ * @example
+ * const event = createEvent('Spring Outing', 'net');
+ * saveEvent({ ...event, rounds: [sync.watchToken.value] });
+ * eventLeaderboard(cards, 'net')[0];  // { position: 1, player, thru, score, ... }
+ */
+
+import { persistentSignal } from './reactivity.js';
+import { createId } from './round.js';
+import { scoreToPar } from './scoring.js';
+import { POINTS_TABLES, stablefordPoints } from './stableford.js';
+
+export const EVENTS_STORAGE_KEY = 'jounce-golf:events';
+
+export const EVENT_BASES = ['gross', 'net', 'points'];
+
+// Closing holes compared, in order, to break a tie
+export const COUNTBACK_HOLES = [9, 6, 3, 1];
+
+export const events = persistentSignal(EVENTS_STORAGE_KEY, []);
+
+export function createEvent(name, basis = 'gross') {
+    if (!EVENT_BASES.includes(basis)) {
+        throw new RangeError(`Unknown event basis: ${basis}`);
+    }
+    return { id: createId('e'), name, basis, date: new Date().toISOString(), rounds: [] };
+}
+
+export function getEvent(id) {
+    return events.value.find(event => event.id === id) || null;
+}
+
+// Insert or replace an event
+export function saveEvent(event) {
+    events.value = [...events.value.filter(e => e.id !== event.id), event];
+    return event;
+}
+
+export function deleteEvent(id) {
+    events.value = events.value.filter(event => event.id !== id);
+}
+
+// Link that opens the event on any device (the event travels in the query)
+export function eventLink(event, origin) {
+    const query = new URLSearchParams({ name: event.name, basis: event.basis, rounds: event.rounds.join(',') });
+    return `${origin}/events/${encodeURIComponent(event.id)}?${query}`;
+}
+
+/**
+ * Rebuild a shared event from its link
+ *
+ * @param {string} id
+ * @param {URLSearchParams} params
+ * @returns {?Object} null when the link has no rounds
+ */
+export function eventFromLink(id, params) {
+    const rounds = (params.get('rounds') || '').split(',').filter(Boolean);
+    if (rounds.length === 0) {
+        return null;
+    }
+    const basis = EVENT_BASES.includes(params.get('basis')) ? params.get('basis') : 'gross';
+    return { id, name: params.get('name') || 'Event', basis, date: null, rounds };
+}
+
+// A player's value on one hole under the basis (null = not played / no par; net can be 0)
+function holeValue(card, playerId, holeNumber, basis) {
+    const { par } = card.holeInfo(holeNumber);
+    if (basis === 'gross') {
+        return scoreToPar(card.getScore(playerId, holeNumber) || null, par);
+    }
+    const net = card.netScore(playerId, holeNumber);
+    return basis === 'net' ? scoreToPar(net, par) : stablefordPoints(net, par, POINTS_TABLES.stableford);
+}
+
+function sumValues(values) {
+    return values.reduce((sum, value) => sum + (value || 0), 0);
+}
+
+// Lower ranks first: players who have not started go last, then the score on the basis
+function scoreKey(entry, basis) {
+    return [entry.thru === 0 ? 1 : 0, basis === 'points' ? -entry.score : entry.score];
+}
+
+// Closing-hole totals, lower first like scoreKey
+function countbackKey(entry, basis) {
+    const sign = basis === 'points' ? -1 : 1;
+    return COUNTBACK_HOLES.filter(n => n < entry.values.length).map(n => sign * sumValues(entry.values.slice(-n)));
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Each entry's ranking key. Entries with equal keys are tied; countback
+ * is only part of the key when everyone level on that score can be
+ * compared on it, so the ties stay consistent across the whole board.
+ */
+function rankKeys(entries, basis) {
+    const level = new Map();
+    for (const entry of entries) {
+        const score = scoreKey(entry, basis).join();
+        level.set(score, [...(level.get(score) || []), entry]);
+    }
+    const keys = new Map();
+    for (const group of level.values()) {
+        const countback = group.every(entry => entry.finished && entry.holes === group[0].holes);
+        for (const entry of group) {
+            keys.set(entry, [...scoreKey(entry, basis), ...(countback ? countbackKey(entry, basis) : [])]);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Rank every player of every round
+ *
+ * @param {Array} groups - [{ id, card }] (card: a Round, null while it loads)
+ * @param {string} basis - 'gross' | 'net' | 'points'
+ * @returns {Array} [{ position, tied, groupId, group, player, thru, holes, finished, score }]
+ *          best first; group is the 1-based group number, position is
+ *          shared by players still tied after countback
+ */
+export function eventLeaderboard(groups, basis) {
+    const entries = [];
+    groups.forEach(({ id, card }, index) => {
+        if (!card) {
+            return;
+        }
+        const holeNumbers = card.holes.value.map(hole => hole.number);
+        for (const player of card.players.value) {
+            const values = holeNumbers.map(holeNumber => holeValue(card, player.id, holeNumber, basis));
+            const thru = card.thru(player.id).value;
+            entries.push({
+                groupId: id,
+                group: index + 1,
+                player,
+                thru,
+                holes: holeNumbers.length,
+                finished: thru === holeNumbers.length,
+                score: sumValues(values),
+                values,
+            });
+        }
+    });
+
+    const keys = rankKeys(entries, basis);
+    entries.sort((a, b) => compareKeys(keys.get(a), keys.get(b)) || a.player.name.localeCompare(b.player.name));
+    return entries.map(({ values, ...entry }, i) => {
+        const level = entries.filter(other => compareKeys(keys.get(other), keys.get(entries[i])) === 0);
+        return { ...entry, position: entries.indexOf(level[0]) + 1, tied: entry.thru > 0 && level.length > 1 };
+    });
+}
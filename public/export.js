@@ -0,0 +1,122 @@
+/**
+ * Jounce Golf - Export
+ *
+ * Gets rounds out of the app, one round or the whole archive at a time:
+ *
+ *   CSV  - one row per player per hole, for spreadsheets
+ *   JSON - the round snapshots in a versioned envelope:
+ *          { format: 'jounce-golf-rounds', schemaVersion: 1, exportedAt, rounds: [...] }
+ *          where each round is a Round.toJSON() snapshot (carrying its own
+ *          snapshot version, but not its scorer secret), so Round.fromJSON()
+ *          reads it back
+ *
+ * @example
+ * const csv = roundsToCsv([getArchivedRound(id)]);
+ * downloadFile(exportFileName('round', 'csv'), csv, 'text/csv');
+ */
+
+import { Round } from './round.js';
+import { roundDate } from './history.js';
+import { scoreToPar } from './scoring.js';
+import { HOLE_STAT_FIELDS } from './stats.js';
+
+export const EXPORT_FORMAT = 'jounce-golf-rounds';
+
+// Bumped whenever the JSON envelope changes shape
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const CSV_COLUMNS = [
+    'round_id', 'date', 'course', 'tee', 'player', 'handicap_index', 'course_handicap',
+    'hole', 'par', 'stroke_index', 'yardage', 'strokes', 'net', 'to_par',
+    ...HOLE_STAT_FIELDS,
+];
+
+// Quote a CSV field when needed; text that a spreadsheet would run as a formula is defused
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows for one round snapshot, in CSV_COLUMNS order
+function roundRows(snapshot) {
+    const card = Round.fromJSON(snapshot);
+    const course = card.course.value;
+    const rows = [];
+    for (const player of card.players.value) {
+        const courseHandicap = card.courseHandicap(player.id).value;
+        for (const hole of card.holes.value) {
+            const info = card.holeInfo(hole.number);
+            const strokes = card.getScore(player.id, hole.number) || null;
+            const stats = card.getHoleStats(player.id, hole.number);
+            rows.push([
+                snapshot.id,
+                roundDate(snapshot),
+                course ? course.name : null,
+                card.teeName.value,
+                player.name,
+                player.handicapIndex,
+                courseHandicap,
+                hole.number,
+                info.par,
+                info.strokeIndex,
+                info.yardage,
+                strokes,
+                courseHandicap === null ? null : card.netScore(player.id, hole.number),
+                scoreToPar(strokes, info.par),
+                ...HOLE_STAT_FIELDS.map(field => stats[field]),
+            ]);
+        }
+    }
+    return rows;
+}
+
+/**
+ * One CSV row per player per hole, header first
+ *
+ * @param {Array} snapshots - Round.toJSON() snapshots
+ * @returns {string}
+ */
+export function roundsToCsv(snapshots) {
+    const rows = [CSV_COLUMNS, ...snapshots.flatMap(roundRows)];
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Rounds wrapped in the versioned export envelope
+ *
+ * @param {Array} snapshots - Round.toJSON() snapshots
+ * @returns {string} Pretty-printed JSON
+ */
+export function roundsToJson(snapshots) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        // An export gets shared; the secret would let anyone change the round on the server
+        rounds: snapshots.map(({ secret, ...snapshot }) => snapshot),
+    }, null, 2);
+}
+
+// e.g. jounce-golf-pebble-beach-2026-10-19.csv
+export function exportFileName(name, extension, date = new Date().toISOString()) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+    return `jounce-golf-${slug}-${date.slice(0, 10)}.${extension}`;
+}
+
+// Save text as a file through the browser's download
+export function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
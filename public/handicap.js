@@ -0,0 +1,98 @@
+/**
+ * Jounce Golf - Handicaps
+ *
+ * Handicap indexes are stored as numbers where a plus handicap is
+ * negative (+2.3 is stored as -2.3), matching how it affects net scores.
+ */
+
+export const MAX_HANDICAP_INDEX = 54.0;
+export const MIN_HANDICAP_INDEX = -10.0;
+
+/**
+ * Parse a handicap index as typed by a player ("12.4", "+2.3", "")
+ *
+ * @param {string} text
+ * @returns {?number} Index rounded to one decimal, null when blank
+ * @throws {RangeError} When the text is not a valid index
+ */
+export function parseHandicapIndex(text) {
+    const trimmed = String(text ?? '').trim();
+    if (trimmed === '') {
+        return null;
+    }
+    const value = Number(trimmed.replace(/^\+/, ''));
+    if (!Number.isFinite(value)) {
+        throw new RangeError(`"${text}" is not a handicap index`);
+    }
+    const index = trimmed.startsWith('+') ? -value : value;
+    if (index < MIN_HANDICAP_INDEX || index > MAX_HANDICAP_INDEX) {
+        throw new RangeError(`Handicap index must be between +${-MIN_HANDICAP_INDEX} and ${MAX_HANDICAP_INDEX}`);
+    }
+    return Math.round(index * 10) / 10;
+}
+
+/**
+ * Format a stored handicap index for display ("12.4", "+2.3", "0.0")
+ *
+ * @param {?number} index
+ * @returns {string} Empty string when no index is set
+ */
+export function formatHandicapIndex(index) {
+    if (index === null || index === undefined) {
+        return '';
+    }
+    return index < 0 ? `+${(-index).toFixed(1)}` : index.toFixed(1);
+}
+
+// Slope of a course of standard difficulty
+export const STANDARD_SLOPE = 113;
+
+/**
+ * WHS course handicap: Index x (Slope / 113) + (Course Rating - Par), rounded
+ *
+ * For a 9-hole round pass half the index and the 9-hole rating and par.
+ * Plus handicaps come back negative.
+ *
+ * @param {number} index - Handicap index (plus handicaps negative)
+ * @param {number} slope - Slope rating of the tee
+ * @param {number} rating - Course rating of the tee
+ * @param {number} par - Par of the holes played
+ * @returns {number}
+ */
+export function courseHandicap(index, slope, rating, par) {
+    return Math.round(index * (slope / STANDARD_SLOPE) + (rating - par));
+}
+
+/**
+ * Allocate handicap strokes to holes by stroke index
+ *
+ * The holes in play are ranked by stroke index (1 = hardest). A course
+ * handicap above the hole count wraps around (two strokes on the hardest
+ * holes, and so on). Plus handicaps give strokes back starting from the
+ * easiest hole, so those holes get -1.
+ *
+ * @param {number} handicap - Course handicap (negative for plus handicaps)
+ * @param {Array} holes - Holes in play ({ number, strokeIndex })
+ * @returns {Object} Map of hole number -> strokes received
+ */
+export function allocateStrokes(handicap, holes) {
+    const ranked = [...holes].sort((a, b) => a.strokeIndex - b.strokeIndex);
+    const count = ranked.length;
+    const strokes = {};
+    if (count === 0) {
+        return strokes;
+    }
+
+    const given = Math.abs(handicap);
+    const base = Math.floor(given / count);
+    const extra = given % count;
+    ranked.forEach((hole, i) => {
+        const rank = i + 1;
+        if (handicap >= 0) {
+            strokes[hole.number] = base + (rank <= extra ? 1 : 0);
+        } else {
+            strokes[hole.number] = 0 - (base + (rank > count - extra ? 1 : 0));
+        }
+    });
+    return strokes;
+}
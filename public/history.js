@@ -0,0 +1,46 @@
+/**
+ * Jounce Golf - Round History
+ *
+ * Finished rounds are archived as toJSON() snapshots (date, course,
+ * players and hole-by-hole scores) in a persistentSignal.
+ *
+ * @example
+ * const entry = archiveRound(round.toJSON());
+ * navigate(`/rounds/${entry.id}`);
+ */
+
+import { persistentSignal, computed } from './reactivity.js';
+
+export const HISTORY_STORAGE_KEY = 'jounce-golf:rounds';
+
+export const archivedRounds = persistentSignal(HISTORY_STORAGE_KEY, []);
+
+// Date a round is filed under: when it was finished, else when it started
+export function roundDate(snapshot) {
+    return snapshot.finishedAt || snapshot.startedAt;
+}
+
+// Archived rounds, newest first
+export const roundsByDate = computed(() =>
+    [...archivedRounds.value].sort((a, b) => roundDate(b).localeCompare(roundDate(a)))
+);
+
+/**
+ * Archive a finished round (replacing any earlier copy with the same id)
+ *
+ * @param {Object} snapshot - Round.toJSON() output
+ * @returns {Object} The archived entry, stamped with finishedAt
+ */
+export function archiveRound(snapshot) {
+    const entry = { ...snapshot, finishedAt: snapshot.finishedAt || new Date().toISOString() };
+    archivedRounds.value = [...archivedRounds.value.filter(r => r.id !== entry.id), entry];
+    return entry;
+}
+
+export function getArchivedRound(id) {
+    return archivedRounds.value.find(r => r.id === id) || null;
+}
+
+export function deleteArchivedRound(id) {
+    archivedRounds.value = archivedRounds.value.filter(r => r.id !== id);
+}
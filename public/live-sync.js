@@ -0,0 +1,694 @@
+/**
+ * Jounce Golf - Live Sync
+ *
+ * Shares a round between devices through a WebSocket relay (see
+ * server/relay.js). Each shared round is a room named after the round's
+ * scorer secret (see round.js createSecret), which is the code other
+ * scorers join with; anyone joining gets the current round from a device
+ * already in the room.
+ *
+ * Messages broadcast to the room:
+ *   score        { from, playerId, holeNumber, cell } - one cell changed
+ *   field        { from, key, field }                 - one field changed (see roundFields)
+ *   scores       { from, cells, fields, reply }       - every versioned cell and field, sent
+ *                                                      on (re)connect; reply asks peers for theirs
+ *   round        { from, snapshot }                   - roster, holes, course or tee changed
+ *   sync_request { from }                             - a device joined and needs the round
+ *
+ * Score cells and the other fields scorers edit (hole stats, game settings,
+ * side game entries) are versioned (see cell-versions.js), so replayed or
+ * late messages never undo a newer edit. Edits made on two devices without
+ * seeing each other - typically both offline - are settled
+ * last-writer-wins on every device and, when the values differ, logged in
+ * `conflicts` until a scorer picks the right value with resolveConflict().
+ *
+ * The hole each device is looking at is never synced. A device that
+ * replaces its round locally (finishes it, starts a new one, resumes
+ * another) leaves the room rather than sending the new round to the others.
+ *
+ * With an outbox (see outbox.js), room messages are queued in IndexedDB and
+ * sent in order whenever the relay is reachable, so edits made without
+ * signal reach the other devices even after a reload; with `persist` the
+ * room and its versioned cells are saved too, and resume() rejoins after a
+ * reload.
+ *
+ * Spectators (RoundWatcher, /watch/:token) never see the round code. A
+ * shared round's watch token is derived from its secret (watchTokenFor);
+ * every scoring device joins the watch room for it with the secret and
+ * publishes the round there under the token (score, scores and round
+ * messages only, without the secret), resending it whenever the spectator
+ * count goes up. The relay checks the secret against the token before
+ * letting a device publish, and a spectator's connection stays read-only.
+ *
+ * @example
+ * const sync = new LiveSync(round, { url: 'ws://localhost:8787' });
+ * await sync.share();      // room code = round.meta.value.secret
+ * sync.join(code);         // on another device
+ * sync.watchToken.value;   // for the read-only link
+ */
+
+import { signal, persistentSignal, effect, untrack, batch } from './reactivity.js';
+import { WebSocketClient, RPCError } from './client-runtime.js';
+import { Round, createId } from './round.js';
+import { cellKey, parseCellKey, editCell, mergeCell, editField, mergeField } from './cell-versions.js';
+import { HOLE_STAT_FIELDS } from './stats.js';
+
+export const SYNC_URL_KEY = 'jounce-golf:sync-url';
+export const LIVE_SESSION_KEY = 'jounce-golf:live-session';
+
+// Relay on the same host as the app, default relay port
+export function defaultSyncUrl() {
+    const secure = typeof location !== 'undefined' && location.protocol === 'https:';
+    const host = typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost';
+    return `${secure ? 'wss' : 'ws'}://${host}:8787`;
+}
+
+export function roomFor(code) {
+    return `round:${code}`;
+}
+
+export function watchRoomFor(token) {
+    return `watch:${token}`;
+}
+
+/**
+ * Watch token of a round: 32 hex digits of SHA-256('watch:' + secret), the
+ * same as server/scorer-secret.js computes
+ *
+ * @param {string} secret - Scorer secret
+ * @returns {Promise<string>}
+ */
+export async function watchTokenFor(secret) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`watch:${secret}`));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('').slice(0, 32);
+}
+
+// Watch token from a read-only link, or the token itself
+export function watchTokenFrom(text) {
+    const match = /\/watch\/([^/?#]+)/.exec(text);
+    return match ? decodeURIComponent(match[1]) : text;
+}
+
+/**
+ * The round state besides scores that is versioned for sync, by key:
+ *   stats:<playerId>:<holeNumber> - a player's stats on a hole
+ *   side:<holeNumber>:<gameId>    - a side game's entry on a hole
+ *   game:<setting>                - any other game setting
+ *
+ * @param {Round} round
+ * @returns {Object} key -> value
+ */
+export function roundFields(round) {
+    const fields = {};
+    for (const [playerId, holes] of Object.entries(round.stats.value)) {
+        for (const [holeNumber, stats] of Object.entries(holes)) {
+            fields[`stats:${playerId}:${holeNumber}`] = stats;
+        }
+    }
+    const { sideGameEntries, ...settings } = round.game.value;
+    for (const [holeNumber, entries] of Object.entries(sideGameEntries)) {
+        for (const [gameId, entry] of Object.entries(entries)) {
+            fields[`side:${holeNumber}:${gameId}`] = entry;
+        }
+    }
+    for (const [setting, value] of Object.entries(settings)) {
+        fields[`game:${setting}`] = value;
+    }
+    return fields;
+}
+
+// { kind: 'stats', playerId, holeNumber } | { kind: 'side', holeNumber, gameId } | { kind: 'game', setting }
+export function parseFieldKey(key) {
+    const [kind, first, second] = key.split(':');
+    if (kind === 'stats') {
+        return { kind, playerId: first, holeNumber: Number(second) };
+    }
+    if (kind === 'side') {
+        return { kind, holeNumber: Number(first), gameId: second };
+    }
+    return { kind, setting: first };
+}
+
+// Set one field on the round (null clears it)
+function applyField(round, key, value) {
+    const field = parseFieldKey(key);
+    if (field.kind === 'stats') {
+        if (round.players.value.some(p => p.id === field.playerId)) {
+            batch(() => HOLE_STAT_FIELDS.forEach(name =>
+                round.setHoleStat(field.playerId, field.holeNumber, name, value && name in value ? value[name] : null)));
+        }
+    } else if (field.kind === 'side') {
+        round.setSideGameEntry(field.holeNumber, field.gameId, value);
+    } else {
+        round.setGame({ [field.setting]: value });
+    }
+}
+
+// Conflicts kept in the log, open and resolved
+const CONFLICT_LOG_LIMIT = 50;
+
+export class LiveSync {
+    /**
+     * @param {Round} round - The round to keep in sync
+     * @param {Object} [options]
+     * @param {string} [options.url] - Relay URL (defaultSyncUrl() when omitted)
+     * @param {Outbox} [options.outbox] - Queue for room messages; its send
+     *        function must call deliver() (sent directly when omitted)
+     * @param {boolean} [options.persist=false] - Save the session for resume()
+     */
+    constructor(round, { url, outbox = null, persist = false } = {}) {
+        this.round = round;
+        this.url = url || defaultSyncUrl();
+        this.outbox = outbox;
+        this.deviceId = createId('d');
+        // { code, cells, clock } of the current session, kept across reloads
+        this._session = persist ? persistentSignal(LIVE_SESSION_KEY, null) : null;
+
+        // 'offline' | 'connecting' | 'live'
+        this.status = signal('offline');
+        // Room code being shared (null when not syncing) and devices in it
+        this.code = signal(null);
+        this.devices = signal(0);
+        this.spectators = signal(0);
+        // Token of the read-only link (null until it has been derived)
+        this.watchToken = signal(null);
+        // [{ key, playerId, holeNumber, values, kept, at, resolved }], newest first;
+        // a field's conflict has field (see parseFieldKey) instead of playerId and holeNumber
+        this.conflicts = signal([]);
+
+        // Versioned score cells and fields of the session and its Lamport clock
+        this.cells = new Map();
+        this.fields = new Map();
+        this.clock = 0;
+
+        this._client = null;
+        this._effects = [];
+        this._applying = false;
+    }
+
+    // Start sharing the current round; its secret is the code others join
+    // with. Resolves once the watch token is known
+    share() {
+        return this._start(this.round.meta.value.secret, false);
+    }
+
+    // Join a round shared from another device (resolves like share())
+    join(code) {
+        return this._start(code, true);
+    }
+
+    /**
+     * Rejoin the room this round was live in before a reload, with the
+     * cells and fields versioned so far
+     *
+     * @returns {boolean} False when there is no saved session for this round
+     */
+    resume() {
+        const session = this._session && this._session.value;
+        if (!session || session.code !== this.round.meta.value.secret) {
+            return false;
+        }
+        this._start(session.code, true, session);
+        return true;
+    }
+
+    // Leave the room and stop sending changes
+    stop() {
+        this._effects.forEach(e => e.dispose());
+        this._effects = [];
+        if (this._client) {
+            if (this.watchToken.value) {
+                this._client.leaveRoom(watchRoomFor(this.watchToken.value));
+            }
+            this._client.leaveRoom(roomFor(this.code.value));
+            this._client.disconnect();
+            this._client = null;
+        }
+        this.code.value = null;
+        this.watchToken.value = null;
+        this.devices.value = 0;
+        this.spectators.value = 0;
+        this.status.value = 'offline';
+        if (this._session) {
+            this._session.value = null;
+        }
+    }
+
+    _start(code, requestRound, { cells = {}, fields = {}, clock = 0 } = {}) {
+        this.stop();
+        this.code.value = code;
+        this.cells = new Map(Object.entries(cells));
+        this.fields = new Map(Object.entries(fields));
+        this.clock = Math.max(this.clock, clock);
+        this.conflicts.value = [];
+        this._saveSession();
+        const client = new WebSocketClient(this.url, { maxReconnectAttempts: 10 });
+        this._client = client;
+        client.onStateChange(state => {
+            this.status.value = state === 'connected' ? 'live' : (state === 'connecting' ? 'connecting' : 'offline');
+            // Presence after reconnecting counts every spectator as new, so they get the round again
+            if (state !== 'connected') {
+                this.spectators.value = 0;
+            }
+            // Catch up on edits either side made while disconnected
+            if (state === 'connected' && (this.cells.size > 0 || this.fields.size > 0)) {
+                this._sendCells(true);
+            } else if (state === 'connected' && this.outbox) {
+                this.outbox.flush();
+            }
+        });
+        client.onMessage(message => this._receive(message));
+        client.connect();
+        client.joinRoom(roomFor(code));
+        if (requestRound) {
+            this._send('sync_request', {});
+        }
+        this._watch();
+        return watchTokenFor(code).then(token => {
+            if (this._client === client) {
+                this._joinWatchRoom(token);
+            }
+        });
+    }
+
+    // Send to the room, through the outbox when there is one; key replaces an unsent message
+    _send(type, data, key = type) {
+        const room = roomFor(this.code.value);
+        const message = { room, type, data: { ...data, from: this.deviceId } };
+        if (this.outbox) {
+            this.outbox.enqueue('broadcast', message, { key: `${room}:${key}` });
+        } else if (this._client) {
+            this._client.broadcast(room, type, message.data);
+        }
+    }
+
+    /**
+     * Send a queued room message (the outbox's send function)
+     *
+     * @param {Object} message - { room, type, data }
+     * @throws {RPCError} Retryable while the room is not connected; not
+     *         retryable once this device has left the room
+     */
+    deliver({ room, type, data }) {
+        // Before resume() runs after a reload, the saved session still counts
+        const session = this._session && this._session.value;
+        const code = this.code.value !== null ? this.code.value : (session && session.code);
+        if (code === null || roomFor(code) !== room) {
+            throw new RPCError(`No longer in ${room}`, { code: 'left_room', retryable: false });
+        }
+        if (!this._client || !this._client.isConnected()) {
+            throw new RPCError(`Not connected to ${room}`, { code: 'network', retryable: true });
+        }
+        this._client.broadcast(room, type, data);
+    }
+
+    _sendCells(reply) {
+        this._send('scores', { cells: Object.fromEntries(this.cells), fields: Object.fromEntries(this.fields), reply }, `scores:${reply}`);
+    }
+
+    // Join the round's watch room with the secret, which lets this device publish there
+    _joinWatchRoom(token) {
+        this.watchToken.value = token;
+        this._client.joinRoom(watchRoomFor(token), { secret: this.code.value });
+    }
+
+    // Send to spectators; they only need the latest state, so nothing is queued
+    _publish(type, data) {
+        if (this.watchToken.value && this._client && this._client.isConnected()) {
+            this._client.broadcast(watchRoomFor(this.watchToken.value), type, { ...data, from: this.deviceId });
+        }
+    }
+
+    // The whole round for spectators, filed under the watch token instead of the round id
+    // and without the secret
+    _publishRound() {
+        const { secret, ...snapshot } = this.round.toJSON();
+        this._publish('round', { snapshot: { ...snapshot, id: this.watchToken.value } });
+        this._publish('scores', { cells: Object.fromEntries(this.cells), reply: false });
+    }
+
+    _saveSession() {
+        if (this._session) {
+            this._session.value = {
+                code: this.code.value,
+                cells: Object.fromEntries(this.cells),
+                fields: Object.fromEntries(this.fields),
+                clock: this.clock,
+            };
+        }
+    }
+
+    /**
+     * Keep a value for a conflicting cell or field; it becomes a new edit
+     * every device takes
+     *
+     * @param {string} key - Conflict key (cellKey, or a field key)
+     * @param {*} value - Strokes for a cell
+     */
+    resolveConflict(key, value) {
+        if (this.fields.has(key)) {
+            this._apply(() => applyField(this.round, key, value));
+            this._commitField(key, value);
+            return;
+        }
+        const { playerId, holeNumber } = parseCellKey(key);
+        this._apply(() => this.round.setScore(playerId, holeNumber, value));
+        this._commit(playerId, holeNumber, value);
+    }
+
+    // A local edit: new version on top of the cell, broadcast to the room
+    _commit(playerId, holeNumber, strokes) {
+        const key = cellKey(playerId, holeNumber);
+        this.clock++;
+        const cell = editCell(this.cells.get(key) || null, strokes, { clock: this.clock, device: this.deviceId });
+        this.cells.set(key, cell);
+        this._saveSession();
+        this._markResolved(key, strokes);
+        this._send('score', { playerId, holeNumber, cell }, `score:${key}`);
+        this._publish('score', { playerId, holeNumber, cell });
+    }
+
+    // Merge a remote cell, applying it when it wins
+    _merge(playerId, holeNumber, remote) {
+        const key = cellKey(playerId, holeNumber);
+        const local = this.cells.get(key) || null;
+        const { take, conflict } = mergeCell(local, remote);
+        this.clock = Math.max(this.clock, remote.version.clock);
+        if (take) {
+            this.cells.set(key, remote);
+            this._saveSession();
+            if (this.round.players.value.some(p => p.id === playerId)) {
+                this._apply(() => this.round.setScore(playerId, holeNumber, remote.strokes));
+            }
+        }
+        if (conflict) {
+            this._logConflict({
+                key,
+                playerId,
+                holeNumber,
+                values: [local.strokes, remote.strokes],
+                kept: take ? remote.strokes : local.strokes,
+                at: new Date().toISOString(),
+                resolved: false,
+            });
+        } else if (take) {
+            // Someone already settled it on another device
+            this._markResolved(key, remote.strokes);
+        }
+    }
+
+    // A local edit to a field, like _commit for a cell
+    _commitField(key, value) {
+        this.clock++;
+        const field = editField(this.fields.get(key) || null, value, { clock: this.clock, device: this.deviceId });
+        this.fields.set(key, field);
+        this._saveSession();
+        this._markResolved(key, value);
+        this._send('field', { key, field }, `field:${key}`);
+    }
+
+    // Merge a remote field, like _merge for a cell
+    _mergeField(key, remote) {
+        const local = this.fields.get(key) || null;
+        const { take, conflict } = mergeField(local, remote);
+        this.clock = Math.max(this.clock, remote.version.clock);
+        if (take) {
+            this.fields.set(key, remote);
+            this._saveSession();
+            this._apply(() => applyField(this.round, key, remote.value));
+        }
+        if (conflict) {
+            this._logConflict({
+                key,
+                field: parseFieldKey(key),
+                values: [local.value, remote.value],
+                kept: take ? remote.value : local.value,
+                at: new Date().toISOString(),
+                resolved: false,
+            });
+        } else if (take) {
+            this._markResolved(key, remote.value);
+        }
+    }
+
+    _logConflict(entry) {
+        const rest = this.conflicts.value.filter(c => c.resolved || c.key !== entry.key);
+        this.conflicts.value = [entry, ...rest].slice(0, CONFLICT_LOG_LIMIT);
+    }
+
+    _markResolved(key, strokes) {
+        if (this.conflicts.value.some(c => c.key === key && !c.resolved)) {
+            this.conflicts.value = this.conflicts.value.map(c =>
+                (c.key === key && !c.resolved ? { ...c, kept: strokes, resolved: true } : c));
+        }
+    }
+
+    // Broadcast local changes; remote changes are applied with _applying set
+    _watch() {
+        const round = this.round;
+        let lastScores = untrack(() => round.scores.value);
+        // Id of the shared round on this device (a joined round's arrives with its snapshot)
+        let roundId = untrack(() => round.meta.value.id);
+        const replaced = () => {
+            const id = round.meta.value.id;
+            if (this._applying) {
+                roundId = id;
+            }
+            return id !== roundId;
+        };
+        this._effects.push(effect(() => {
+            const scores = round.scores.value;
+            // A new round's cleared scores are not edits to the shared one
+            if (!replaced() && !this._applying) {
+                for (const [playerId, row] of Object.entries(scores)) {
+                    const before = lastScores[playerId] || [];
+                    row.forEach((strokes, i) => {
+                        if ((before[i] || 0) !== strokes) {
+                            this._commit(playerId, i + 1, strokes);
+                        }
+                    });
+                }
+            }
+            lastScores = scores;
+        }));
+
+        let lastFields = untrack(() => roundFields(round));
+        this._effects.push(effect(() => {
+            const fields = roundFields(round);
+            if (!replaced() && !this._applying) {
+                const changed = Object.keys({ ...lastFields, ...fields }).filter(key => fields[key] !== lastFields[key]);
+                untrack(() => {
+                    changed.forEach(key => this._commitField(key, fields[key] === undefined ? null : fields[key]));
+                    if (changed.length > 0) {
+                        this._publishRound();
+                    }
+                });
+            }
+            lastFields = fields;
+        }));
+
+        let first = true;
+        this._effects.push(effect(() => {
+            // The rest of the round: roster, holes, course and tee (not the hole being viewed)
+            round.players.value;
+            round.holes.value;
+            round.course.value;
+            round.teeName.value;
+            if (replaced()) {
+                untrack(() => this.stop());
+                return;
+            }
+            if (!first && !this._applying) {
+                this._send('round', { snapshot: untrack(() => round.toJSON()) });
+                untrack(() => this._publishRound());
+            }
+            first = false;
+        }));
+    }
+
+    _receive(message) {
+        const data = message.data || {};
+        if (message.type === 'presence') {
+            if (this.watchToken.value && data.room === watchRoomFor(this.watchToken.value)) {
+                // A spectator came in and needs the round (they cannot ask for it)
+                if (data.spectators > this.spectators.value) {
+                    this._publishRound();
+                }
+                this.spectators.value = data.spectators;
+            } else {
+                this.devices.value = data.count;
+            }
+            return;
+        }
+        // What other scoring devices publish to spectators is not for us
+        if (message.room !== roomFor(this.code.value) || data.from === this.deviceId) {
+            return;
+        }
+        if (message.type === 'sync_request') {
+            this._send('round', { snapshot: this.round.toJSON() });
+            this._sendCells(false);
+        } else if (message.type === 'round') {
+            this._apply(() => batch(() => {
+                const currentHole = this.round.currentHole.value;
+                this.round.restore(data.snapshot);
+                this.round.goToHole(currentHole);
+                // Versioned cells and fields are merged separately - keep ours over the snapshot's
+                for (const [key, cell] of this.cells) {
+                    const { playerId, holeNumber } = parseCellKey(key);
+                    if (this.round.players.value.some(p => p.id === playerId)) {
+                        this.round.setScore(playerId, holeNumber, cell.strokes);
+                    }
+                }
+                for (const [key, field] of this.fields) {
+                    applyField(this.round, key, field.value);
+                }
+            }));
+        } else if (message.type === 'score') {
+            this._merge(data.playerId, data.holeNumber, data.cell);
+        } else if (message.type === 'field') {
+            this._mergeField(data.key, data.field);
+        } else if (message.type === 'scores') {
+            for (const [key, cell] of Object.entries(data.cells)) {
+                const { playerId, holeNumber } = parseCellKey(key);
+                this._merge(playerId, holeNumber, cell);
+            }
+            for (const [key, field] of Object.entries(data.fields || {})) {
+                this._mergeField(key, field);
+            }
+            if (data.reply) {
+                this._sendCells(false);
+            }
+        }
+    }
+
+    _apply(change) {
+        this._applying = true;
+        try {
+            change();
+        } catch (error) {
+            console.error('[LiveSync] Could not apply change:', error);
+        } finally {
+            this._applying = false;
+        }
+    }
+}
+
+/**
+ * Follows a shared round read-only: the round arrives from the scoring
+ * devices and every change is applied to `card`, whose id is the watch
+ * token
+ *
+ * @example
+ * const watcher = new RoundWatcher({ url });
+ * watcher.watch(token);
+ * watcher.card.value;         // Round, once the first snapshot arrives
+ * watcher.lastUpdated.value;  // ISO time of the last change
+ */
+export class RoundWatcher {
+    constructor({ url } = {}) {
+        this.url = url || defaultSyncUrl();
+
+        // Round built from the shared snapshot (null until one arrives)
+        this.card = signal(null);
+        // 'offline' | 'connecting' | 'live'
+        this.status = signal('offline');
+        this.lastUpdated = signal(null);
+        this.devices = signal(0);
+
+        // Cells are merged like on the scoring devices, so the spectator ends up with the same value
+        this.cells = new Map();
+        this._client = null;
+    }
+
+    watch(token) {
+        this.stop();
+        const client = new WebSocketClient(this.url, { maxReconnectAttempts: 10 });
+        this._client = client;
+        this._room = watchRoomFor(token);
+        client.onStateChange(state => {
+            this.status.value = state === 'connected' ? 'live' : (state === 'connecting' ? 'connecting' : 'offline');
+        });
+        client.onMessage(message => this._receive(message));
+        client.connect();
+        client.joinRoom(this._room, { role: 'spectator' });
+    }
+
+    stop() {
+        if (this._client) {
+            this._client.leaveRoom(this._room);
+            this._client.disconnect();
+            this._client = null;
+        }
+        this.status.value = 'offline';
+    }
+
+    /**
+     * Start from a snapshot fetched elsewhere (e.g. the server copy) until
+     * the room sends its own
+     *
+     * @param {Object} snapshot
+     */
+    seed(snapshot) {
+        if (!this.card.value) {
+            this._load(snapshot, snapshot.updatedAt || snapshot.finishedAt || snapshot.startedAt);
+        }
+    }
+
+    _load(snapshot, at) {
+        const card = this.card.value;
+        // Snapshots are also resent for each new spectator - only real changes count as updates
+        const state = () => JSON.stringify({ ...this.card.value.toJSON(), currentHole: null });
+        const before = card ? state() : null;
+        batch(() => {
+            if (card) {
+                card.restore(snapshot);
+            } else {
+                this.card.value = Round.fromJSON(snapshot);
+            }
+            const loaded = this.card.value;
+            for (const [key, cell] of this.cells) {
+                const { playerId, holeNumber } = parseCellKey(key);
+                if (loaded.players.value.some(p => p.id === playerId)) {
+                    loaded.setScore(playerId, holeNumber, cell.strokes);
+                }
+            }
+            if (state() !== before) {
+                this.lastUpdated.value = at;
+            }
+        });
+    }
+
+    _merge(playerId, holeNumber, remote, at) {
+        const key = cellKey(playerId, holeNumber);
+        if (!mergeCell(this.cells.get(key) || null, remote).take) {
+            return;
+        }
+        this.cells.set(key, remote);
+        const card = this.card.value;
+        if (card && card.players.value.some(p => p.id === playerId) && card.getScore(playerId, holeNumber) !== remote.strokes) {
+            card.setScore(playerId, holeNumber, remote.strokes);
+            this.lastUpdated.value = at;
+        }
+    }
+
+    _receive(message) {
+        const data = message.data || {};
+        const at = new Date(message.timestamp || Date.now()).toISOString();
+        try {
+            if (message.type === 'presence') {
+                this.devices.value = data.count;
+            } else if (message.type === 'round') {
+                this._load(data.snapshot, at);
+            } else if (message.type === 'score') {
+                this._merge(data.playerId, data.holeNumber, data.cell, at);
+            } else if (message.type === 'scores') {
+                for (const [key, cell] of Object.entries(data.cells)) {
+                    const { playerId, holeNumber } = parseCellKey(key);
+                    this._merge(playerId, holeNumber, cell, at);
+                }
+            }
+        } catch (error) {
+            console.error('[RoundWatcher] Could not apply change:', error);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Jounce Golf - Match Play
+ *
+ * Two sides (one or two players each) play hole by hole. A side's score
+ * on a hole is its best ball; the lower side wins the hole, equal scores
+ * halve it. The match ends early once a lead exceeds the holes remaining.
+ *
+ * Pass teamScoreFor to score sides some other way (e.g. a scramble's
+ * single ball, or a Nassau bet played on team scores).
+ *
+ * @example
+ * const match = calculateMatch({
+ *     sides: [['ann'], ['bob']],
+ *     holeNumbers: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+ *     scoreFor: (id, hole) => round.gameScore(id, hole),
+ * });
+ * match.result;  // e.g. '3&2', '1 UP', 'AS' or null while in progress
+ */
+
+import { bestBall } from './teams.js';
+
+/**
+ * Format a lead from side A's point of view: 'AS', '2 UP', '1 DN'
+ *
+ * @param {number} lead - Holes side A is up (negative when down)
+ * @returns {string}
+ */
+export function formatMatchStatus(lead) {
+    if (lead === 0) {
+        return 'AS';
+    }
+    return lead > 0 ? `${lead} UP` : `${-lead} DN`;
+}
+
+/**
+ * Play out a match over the holes scored so far
+ *
+ * Holes are settled in order and settlement stops at the first hole not
+ * every player has finished.
+ *
+ * @param {Object} options
+ * @param {Array} options.sides - Two arrays of player ids
+ * @param {number[]} options.holeNumbers - Holes in playing order
+ * @param {Function} [options.scoreFor] - (playerId, holeNumber) => gross or net strokes (null = unplayed)
+ * @param {Function} [options.teamScoreFor] - (side, holeNumber) => side's score (null = unplayed);
+ *        defaults to the best ball of scoreFor
+ * @returns {Object} holes ({ number, winner: 0|1|null, lead }), lead, played,
+ *          remaining, leader (0|1|null), dormie, finished, result
+ */
+export function calculateMatch({
+    sides,
+    holeNumbers,
+    scoreFor,
+    teamScoreFor = (side, holeNumber) => bestBall(sides[side], holeNumber, scoreFor),
+}) {
+    const holes = [];
+    let lead = 0;
+
+    if (sides.length === 2 && sides.every(side => side.length > 0)) {
+        for (const holeNumber of holeNumbers) {
+            const [a, b] = [0, 1].map(side => teamScoreFor(side, holeNumber));
+            if (a === null || b === null) {
+                break;
+            }
+            const winner = a === b ? null : (a < b ? 0 : 1);
+            lead += winner === 0 ? 1 : (winner === 1 ? -1 : 0);
+            holes.push({ number: holeNumber, winner, lead });
+
+            // Closed out: the lead can no longer be caught
+            if (Math.abs(lead) > holeNumbers.length - holes.length) {
+                break;
+            }
+        }
+    }
+
+    const played = holes.length;
+    const remaining = holeNumbers.length - played;
+    const margin = Math.abs(lead);
+    const finished = margin > remaining || remaining === 0;
+    let result = null;
+    if (finished) {
+        if (margin === 0) {
+            result = 'AS';
+        } else {
+            result = remaining > 0 ? `${margin}&${remaining}` : `${margin} UP`;
+        }
+    }
+
+    return {
+        holes,
+        lead,
+        played,
+        remaining,
+        leader: lead === 0 ? null : (lead > 0 ? 0 : 1),
+        dormie: !finished && margin > 0 && margin === remaining,
+        finished,
+        result,
+    };
+}
@@ -0,0 +1,66 @@
+/**
+ * Jounce Golf - Nassau
+ *
+ * Three match-play bets between two sides: the front nine, the back nine
+ * and the overall 18, each worth the same stake. With automatic presses,
+ * a side that falls behind by pressAt holes in any bet starts a new bet
+ * (a press) over the remaining holes of that bet; presses can be pressed
+ * in turn. A bet is paid once it is decided.
+ *
+ * @example
+ * const nassau = calculateNassau({
+ *     sides: round.sides().value,
+ *     segments: [{ name: 'Front', holeNumbers: [1, ..., 9] }, ...],
+ *     teamScoreFor: (side, hole) => round.teamScore(side, hole),
+ *     stake: 5,
+ * });
+ * nassau.balance;  // side A's winnings (negative when side A owes)
+ */
+
+import { calculateMatch } from './matchplay.js';
+
+/**
+ * Play one bet and any presses it spawns
+ *
+ * @returns {Array} The bet followed by its presses ("Front press 1", ...),
+ *          each with depth (0 = original bet) and amount won by side A
+ */
+function playBet({ segment, holeNumbers, depth, sides, teamScoreFor, stake, pressAt }) {
+    const name = depth === 0 ? segment : `${segment} press ${depth}`;
+    const match = calculateMatch({ sides, holeNumbers, teamScoreFor });
+    const amount = match.finished && match.leader !== null ? (match.leader === 0 ? stake : -stake) : 0;
+    const bets = [{ name, depth, holeNumbers, match, amount }];
+
+    const trigger = pressAt > 0 ? match.holes.find(hole => Math.abs(hole.lead) === pressAt) : null;
+    if (trigger) {
+        const rest = holeNumbers.slice(holeNumbers.indexOf(trigger.number) + 1);
+        if (rest.length > 0) {
+            bets.push(...playBet({
+                segment,
+                holeNumbers: rest,
+                depth: depth + 1,
+                sides, teamScoreFor, stake, pressAt,
+            }));
+        }
+    }
+    return bets;
+}
+
+/**
+ * Settle a Nassau
+ *
+ * @param {Object} options
+ * @param {Array} options.sides - Two arrays of player ids
+ * @param {Array} options.segments - Bets to play ({ name, holeNumbers })
+ * @param {Function} options.teamScoreFor - (side, holeNumber) => side's score (null = unplayed)
+ * @param {number} [options.stake=1] - Value of each bet and press
+ * @param {number} [options.pressAt=2] - Holes down that trigger a press (0 = no presses)
+ * @returns {{bets: Array, balance: number, stake: number}}
+ */
+export function calculateNassau({ sides, segments, teamScoreFor, stake = 1, pressAt = 2 }) {
+    const bets = segments.flatMap(segment =>
+        playBet({ segment: segment.name, holeNumbers: segment.holeNumbers, depth: 0, sides, teamScoreFor, stake, pressAt })
+    );
+    const balance = bets.reduce((sum, bet) => sum + bet.amount, 0);
+    return { bets, balance, stake };
+}
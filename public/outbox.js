@@ -0,0 +1,199 @@
+/**
+ * Jounce Golf - Offline Outbox
+ *
+ * Changes bound for the server are written to IndexedDB before they are
+ * sent, so scores entered in a dead zone survive a reload. The outbox
+ * replays them oldest first whenever the connection comes back:
+ *
+ *   - a retryable failure (network, timeout, 5xx) stops the replay and
+ *     tries again later, with backoff, or as soon as the browser is online
+ *   - a change the server rejects (4xx) is dropped so it cannot block the rest
+ *
+ * Entries queued with the same key replace each other until they are sent
+ * (only the last score for a cell matters).
+ *
+ * @example
+ * const outbox = new Outbox(entry => client.call(entry.fn, entry.params));
+ * outbox.enqueue('submitScore', { id, secret, playerId, holeNumber, strokes }, { key: `score:${id}:${playerId}:${holeNumber}` });
+ * outbox.pending.value;  // 1 until the server has it
+ */
+
+import { signal } from './reactivity.js';
+
+export const OUTBOX_DB_NAME = 'jounce-golf';
+const STORE_NAME = 'outbox';
+
+// Wrap an IDBRequest (or transaction) in a promise
+function settle(request) {
+    return new Promise((resolve, reject) => {
+        if ('oncomplete' in request) {
+            request.oncomplete = () => resolve();
+            request.onabort = request.onerror = () => reject(request.error);
+        } else {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }
+    });
+}
+
+export class Outbox {
+    /**
+     * @param {Function} send - async (entry) => result; throws an RPCError
+     *        (retryable ones are tried again later)
+     * @param {Object} [options]
+     * @param {string} [options.dbName=OUTBOX_DB_NAME]
+     * @param {number} [options.retryDelay=2000] - First wait after a failed replay (ms)
+     * @param {number} [options.maxRetryDelay=60000] - Longest wait between replays (ms)
+     */
+    constructor(send, { dbName = OUTBOX_DB_NAME, retryDelay = 2000, maxRetryDelay = 60000 } = {}) {
+        this.send = send;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+
+        // Changes not yet accepted by the server
+        this.pending = signal(0);
+        // 'idle' | 'syncing' | 'offline'
+        this.status = signal('idle');
+        // Hold every change as if the device had no signal (for trying out offline play)
+        this.simulateOffline = signal(false);
+
+        // Entries in send order, mirrored to IndexedDB: { seq, fn, params, key, createdAt }
+        this._entries = [];
+        this._inFlight = null;
+        this._draining = null;
+        this._timer = null;
+        this._delay = retryDelay;
+        this._db = null;
+        this._ready = this._open(dbName);
+
+        this._onOnline = () => this.flush();
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this._onOnline);
+        }
+    }
+
+    // Stop listening for the connection and cancel a scheduled retry (stored changes stay)
+    dispose() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this._onOnline);
+        }
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    async _open(dbName) {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('[Outbox] IndexedDB unavailable - pending changes will not survive a reload');
+        } else {
+            try {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'seq' });
+                this._db = await settle(request);
+                this._entries = await settle(this._db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+            } catch (error) {
+                console.warn('[Outbox] Could not open IndexedDB:', error);
+                this._db = null;
+            }
+        }
+        this.pending.value = this._entries.length;
+        // Changes left over from the last visit
+        this.flush();
+    }
+
+    async _write(entry) {
+        if (this._db) {
+            const tx = this._db.transaction(STORE_NAME, 'readwrite');
+            tx.objectStore(STORE_NAME).put(entry);
+            await settle(tx);
+        }
+    }
+
+    async _delete(seq) {
+        if (this._db) {
+            const tx = this._db.transaction(STORE_NAME, 'readwrite');
+            tx.objectStore(STORE_NAME).delete(seq);
+            await settle(tx);
+        }
+    }
+
+    /**
+     * Queue a change and try to send it
+     *
+     * @param {string} fn - Server function
+     * @param {Object} params
+     * @param {Object} [options]
+     * @param {string} [options.key] - Replaces an unsent entry with the same key
+     * @returns {Promise} Resolves once the change is stored
+     */
+    async enqueue(fn, params, { key = null } = {}) {
+        // Stored entries load first, so new ones are numbered after them
+        await this._ready;
+        let entry = key === null ? null : this._entries.find(e => e.key === key && e.seq !== this._inFlight);
+        if (entry) {
+            entry.fn = fn;
+            entry.params = params;
+        } else {
+            const last = this._entries[this._entries.length - 1];
+            entry = { seq: (last ? last.seq : 0) + 1, fn, params, key, createdAt: new Date().toISOString() };
+            this._entries.push(entry);
+            this.pending.value = this._entries.length;
+        }
+        await this._write(entry);
+        this.flush();
+    }
+
+    // Replay pending changes now (resolves when the outbox is empty or offline)
+    async flush() {
+        await this._ready;
+        if (!this._draining) {
+            this._draining = this._drain().finally(() => { this._draining = null; });
+        }
+        return this._draining;
+    }
+
+    async _drain() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        while (this._entries.length > 0) {
+            if (this.simulateOffline.value || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+                // Picked up again by the 'online' event (or setOffline(false))
+                this.status.value = 'offline';
+                return;
+            }
+            const entry = this._entries[0];
+            this.status.value = 'syncing';
+            this._inFlight = entry.seq;
+            try {
+                await this.send(entry);
+            } catch (error) {
+                if (error.retryable) {
+                    this.status.value = 'offline';
+                    this._retryLater();
+                    return;
+                }
+                console.warn(`[Outbox] ${entry.fn} was rejected, dropping it:`, error.message);
+            } finally {
+                this._inFlight = null;
+            }
+            this._entries.shift();
+            this.pending.value = this._entries.length;
+            this._delay = this.retryDelay;
+            await this._delete(entry.seq).catch(error => console.warn('[Outbox] Could not remove sent change:', error));
+        }
+        this.status.value = 'idle';
+    }
+
+    _retryLater() {
+        this._timer = setTimeout(() => this.flush(), this._delay);
+        this._delay = Math.min(this.maxRetryDelay, this._delay * 2);
+    }
+
+    // Turn simulated offline mode on or off; back online replays at once
+    setOffline(offline) {
+        this.simulateOffline.value = offline;
+        if (!offline) {
+            this._delay = this.retryDelay;
+            this.flush();
+        }
+    }
+}
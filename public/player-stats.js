@@ -0,0 +1,148 @@
+/**
+ * Jounce Golf - Player Statistics
+ *
+ * Aggregates a player's archived rounds (see history.js): scoring average
+ * by par, the spread of hole results, putting, fairway and GIR rates,
+ * best and worst holes per course, and a per-round trend. Players are
+ * matched across rounds by id, which survives "Start New Round".
+ *
+ * @example
+ * const stats = analyzePlayer(archivedRounds.value, playerId, { lastN: 10 });
+ * stats.scoringByPar[4].average;  // e.g. 4.8
+ */
+
+import { Round } from './round.js';
+import { roundDate } from './history.js';
+import { HOLE_RESULTS, holeResult, scoreToPar } from './scoring.js';
+import { percentage } from './stats.js';
+
+// Pars tracked separately in the scoring averages
+export const STAT_PARS = [3, 4, 5];
+
+// Holes listed per course as best / worst
+const HOLE_HIGHLIGHTS = 3;
+
+function byDate(a, b) {
+    return roundDate(a).localeCompare(roundDate(b));
+}
+
+/**
+ * Everyone who appears in the archive, with their latest name and a round count
+ *
+ * @param {Object[]} snapshots - Archived rounds
+ * @returns {Array} [{ id, name, initials, rounds }] sorted by name
+ */
+export function playerDirectory(snapshots) {
+    const players = new Map();
+    for (const snapshot of [...snapshots].sort(byDate)) {
+        for (const player of snapshot.players) {
+            const known = players.get(player.id);
+            players.set(player.id, { id: player.id, name: player.name, initials: player.initials, rounds: (known ? known.rounds : 0) + 1 });
+        }
+    }
+    return [...players.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A player's statistics across the archive
+ *
+ * @param {Object[]} snapshots - Archived rounds
+ * @param {string} playerId
+ * @param {Object} [options]
+ * @param {number} [options.lastN=10] - Rounds included in the trend
+ * @returns {Object} rounds, holesPlayed, scoringByPar, distribution, putts,
+ *          fairways, gir, courses (best/worst holes) and trend (oldest first)
+ */
+export function analyzePlayer(snapshots, playerId, { lastN = 10 } = {}) {
+    const byPar = Object.fromEntries(STAT_PARS.map(par => [par, { strokes: 0, holes: 0 }]));
+    const distribution = Object.fromEntries(HOLE_RESULTS.map(result => [result, 0]));
+    const courses = new Map();
+    const rounds = [];
+    const putts = { total: 0, rounds: 0 };
+    const fairways = { hit: 0, attempts: 0 };
+    const gir = { hit: 0, holes: 0 };
+    let holesPlayed = 0;
+
+    const played = snapshots.filter(snapshot => snapshot.players.some(p => p.id === playerId)).sort(byDate);
+    for (const snapshot of played) {
+        const card = Round.fromJSON(snapshot);
+        const course = snapshot.course;
+        const courseKey = course ? course.id : null;
+        if (course && !courses.has(courseKey)) {
+            courses.set(courseKey, { id: course.id, name: course.name, holes: {} });
+        }
+
+        let holes = 0;
+        for (const { number } of card.holes.value) {
+            const strokes = card.getScore(playerId, number);
+            if (!strokes) {
+                continue;
+            }
+            holes++;
+            const { par } = card.holeInfo(number);
+            if (byPar[par]) {
+                byPar[par].strokes += strokes;
+                byPar[par].holes++;
+            }
+            const result = holeResult(strokes, par);
+            if (result) {
+                distribution[result]++;
+            }
+            if (course && par) {
+                const hole = courses.get(courseKey).holes[number] || { number, toPar: 0, played: 0 };
+                hole.toPar += scoreToPar(strokes, par);
+                hole.played++;
+                courses.get(courseKey).holes[number] = hole;
+            }
+        }
+        if (holes === 0) {
+            continue;
+        }
+        holesPlayed += holes;
+
+        const summary = card.statSummary(playerId).value;
+        if (summary.puttingHoles > 0) {
+            putts.total += summary.putts;
+            putts.rounds++;
+        }
+        fairways.hit += summary.fairways.hit;
+        fairways.attempts += summary.fairways.attempts;
+        gir.hit += summary.gir.hit;
+        gir.holes += summary.gir.holes;
+
+        rounds.push({
+            id: snapshot.id,
+            date: roundDate(snapshot),
+            course: course ? course.name : null,
+            holes,
+            total: card.total(playerId).value,
+            toPar: card.toPar(playerId).value,
+            putts: summary.puttingHoles > 0 ? summary.putts : null,
+            girPct: summary.gir.pct,
+            fairwayPct: summary.fairways.pct,
+        });
+    }
+
+    const average = (sum, count) => (count > 0 ? Math.round((sum / count) * 100) / 100 : null);
+    return {
+        rounds: rounds.length,
+        holesPlayed,
+        scoringByPar: Object.fromEntries(STAT_PARS.map(par => [par, { average: average(byPar[par].strokes, byPar[par].holes), holes: byPar[par].holes }])),
+        distribution,
+        putts: { perRound: average(putts.total, putts.rounds), rounds: putts.rounds },
+        fairways: { ...fairways, pct: percentage(fairways.hit, fairways.attempts) },
+        gir: { ...gir, pct: percentage(gir.hit, gir.holes) },
+        courses: [...courses.values()].map(({ id, name, holes }) => {
+            const ranked = Object.values(holes)
+                .map(hole => ({ number: hole.number, average: average(hole.toPar, hole.played), played: hole.played }))
+                .sort((a, b) => a.average - b.average || a.number - b.number);
+            return {
+                id,
+                name,
+                best: ranked.slice(0, HOLE_HIGHLIGHTS),
+                worst: ranked.slice(Math.max(HOLE_HIGHLIGHTS, ranked.length - HOLE_HIGHLIGHTS)).reverse(),
+            };
+        }).filter(course => course.best.length > 0),
+        trend: rounds.slice(-lastN),
+    };
+}
@@ -0,0 +1,82 @@
+/**
+ * Jounce Golf - Installable App
+ *
+ * Registers the service worker (sw.js) and reports when a new deploy has
+ * been downloaded and is waiting, so the app can offer a reload instead of
+ * switching versions under a scorer mid-round.
+ *
+ * @example
+ * registerServiceWorker();
+ * effect(() => { if (updateAvailable.value) showPrompt(); });
+ * applyUpdate();  // activate the new version and reload
+ */
+
+import { signal } from './reactivity.js';
+
+// True once a new version is installed and waiting to take over
+export const updateAvailable = signal(false);
+
+let waitingWorker = null;
+
+function offerUpdate(worker) {
+    waitingWorker = worker;
+    updateAvailable.value = true;
+}
+
+/**
+ * Register sw.js (no-op where service workers are unsupported)
+ *
+ * @returns {Promise<?ServiceWorkerRegistration>}
+ */
+export async function registerServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        return null;
+    }
+    try {
+        const registration = await navigator.serviceWorker.register('/sw.js');
+        // The first install has nothing to replace; only later ones are updates
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+
+        // Long rounds keep one page open - look for a new deploy whenever the app comes back into view
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+
+        // Reload once the new version has taken over
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (waitingWorker && !reloading) {
+                reloading = true;
+                window.location.reload();
+            }
+        });
+        return registration;
+    } catch (error) {
+        console.warn('[PWA] Service worker registration failed:', error);
+        return null;
+    }
+}
+
+// Switch to the waiting version (the page reloads when it takes over)
+export function applyUpdate() {
+    if (waitingWorker) {
+        waitingWorker.postMessage({ type: 'skip-waiting' });
+    }
+}
+
+// Keep the new version waiting until the next visit
+export function dismissUpdate() {
+    updateAvailable.value = false;
+}
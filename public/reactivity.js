@@ -28,6 +28,12 @@ let batchDepth = 0;
  */
 let batchedEffects = new Set();
 
+/**
+ * Owner collecting effects and computeds created inside createRoot()
+ * so they can be disposed together when a region re-renders
+ */
+let currentOwner = null;
+
 // ============================================================================
 // Signal Class
 // ============================================================================
@@ -128,6 +134,10 @@ class Computed {
         this._subscribers = new Set();
         this._dependencies = new Set();
         this._running = false;  // For circular dependency detection
+
+        if (currentOwner) {
+            currentOwner.push(this);
+        }
     }
 
     /**
@@ -220,6 +230,17 @@ class Computed {
     _unsubscribe(observer) {
         this._subscribers.delete(observer);
     }
+
+    /**
+     * Stop tracking dependencies (the value is recomputed if read again)
+     */
+    dispose() {
+        for (const dep of this._dependencies) {
+            dep._unsubscribe(this);
+        }
+        this._dependencies.clear();
+        this._dirty = true;
+    }
 }
 
 // ============================================================================
@@ -248,6 +269,10 @@ class Effect {
         this._running = false;  // For circular dependency detection
         this._disposed = false;
 
+        if (currentOwner) {
+            currentOwner.push(this);
+        }
+
         // Run immediately (unless deferred)
         if (!options.defer) {
             this._execute();
@@ -395,6 +420,80 @@ function untrack(fn) {
     }
 }
 
+// ============================================================================
+// Ownership
+// ============================================================================
+
+/**
+ * createRoot - Run fn with a fresh owner scope
+ *
+ * Every effect and computed created while fn runs (and every onCleanup
+ * callback registered) is disposed together when the returned dispose
+ * function is called. Used by the runtime to tear down a re-rendered region.
+ *
+ * @example
+ * const dispose = createRoot((dispose) => {
+ *     effect(() => console.log(count.value));
+ *     return dispose;
+ * });
+ * dispose();  // Effect stops re-running
+ *
+ * @param {Function} fn - Receives the dispose function
+ * @returns {*} Return value of fn
+ */
+function createRoot(fn) {
+    const prevOwner = currentOwner;
+    const owned = [];
+    const dispose = () => {
+        while (owned.length > 0) {
+            owned.pop().dispose();
+        }
+    };
+
+    currentOwner = owned;
+    try {
+        return fn(dispose);
+    } finally {
+        currentOwner = prevOwner;
+    }
+}
+
+/**
+ * runWithOwner - Run fn with the given owner scope (null: owned by nothing)
+ *
+ * Computeds shared beyond the region that happens to create them (memoized
+ * per-model values, for example) must not be owned by it: disposing the
+ * region would drop their dependencies while other subscribers still read
+ * them.
+ *
+ * @example
+ * const total = runWithOwner(null, () => computed(() => a.value + b.value));
+ *
+ * @param {?Array} owner - Owner scope, or null
+ * @param {Function} fn
+ * @returns {*} Return value of fn
+ */
+function runWithOwner(owner, fn) {
+    const prevOwner = currentOwner;
+    currentOwner = owner;
+    try {
+        return fn();
+    } finally {
+        currentOwner = prevOwner;
+    }
+}
+
+/**
+ * onCleanup - Register a callback to run when the current root is disposed
+ *
+ * @param {Function} fn - Cleanup callback
+ */
+function onCleanup(fn) {
+    if (currentOwner) {
+        currentOwner.push({ dispose: fn });
+    }
+}
+
 // ============================================================================
 // Public API
 // ============================================================================
@@ -529,6 +628,9 @@ if (typeof module !== 'undefined' && module.exports) {
         effect,
         batch,
         untrack,
+        createRoot,
+        runWithOwner,
+        onCleanup,
         // Private exports for testing
         _internals: {
             Signal,
@@ -548,6 +650,9 @@ if (typeof exports !== 'undefined') {
     exports.effect = effect;
     exports.batch = batch;
     exports.untrack = untrack;
+    exports.createRoot = createRoot;
+    exports.runWithOwner = runWithOwner;
+    exports.onCleanup = onCleanup;
 }
 
 // Global (Browser)
@@ -559,8 +664,11 @@ if (typeof window !== 'undefined') {
         effect,
         batch,
         untrack,
+        createRoot,
+        runWithOwner,
+        onCleanup,
     };
 }
 
 // ES6 exports for browser modules
-export { signal, persistentSignal, computed, effect, batch, untrack };
+export { signal, persistentSignal, computed, effect, batch, untrack, createRoot, runWithOwner, onCleanup };
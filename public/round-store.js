@@ -0,0 +1,132 @@
+/**
+ * Jounce Golf - Active Round Persistence
+ *
+ * The round in progress is saved to localStorage (via persistentSignal)
+ * on every change so a reload on the course never loses scores.
+ *
+ * @example
+ * const snapshot = loadSavedRound();
+ * if (snapshot) round.restore(snapshot);
+ * autosaveRound(round);
+ */
+
+import { persistentSignal, effect, untrack } from './reactivity.js';
+import { SNAPSHOT_VERSION, createSecret } from './round.js';
+
+export const ACTIVE_ROUND_KEY = 'jounce-golf:active-round';
+
+const savedRound = persistentSignal(ACTIVE_ROUND_KEY, null);
+
+/**
+ * Snapshot of the last saved round, or null if there is none
+ * (or it was written by an incompatible version)
+ *
+ * @returns {?Object}
+ */
+export function loadSavedRound() {
+    const snapshot = savedRound.value;
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+        return null;
+    }
+    // Saved before rounds had scorer secrets
+    return snapshot.secret ? snapshot : { ...snapshot, secret: createSecret() };
+}
+
+// True when a snapshot has at least one score entered
+export function snapshotHasScores(snapshot) {
+    return Object.values(snapshot.scores || {}).some(row => row.some(strokes => strokes > 0));
+}
+
+/**
+ * Save the round now and after every change
+ *
+ * @param {Round} round
+ * @returns {Effect} Dispose it to stop saving
+ */
+export function autosaveRound(round) {
+    return effect(() => {
+        savedRound.value = round.toJSON();
+    });
+}
+
+export function clearSavedRound() {
+    savedRound.value = null;
+}
+
+// Effect calling send({ id, secret }, previous, current) when read() changes
+// within a round; a new or restored round is sent whole instead (see backupRound)
+function watchChanges(round, read, send) {
+    let lastId = untrack(() => round.meta.value.id);
+    let last = untrack(read);
+    return effect(() => {
+        const current = read();
+        const { id, secret } = untrack(() => round.meta.value);
+        if (id === lastId) {
+            untrack(() => send({ id, secret }, last, current));
+        }
+        lastId = id;
+        last = current;
+    });
+}
+
+/**
+ * Queue the round for the server (see outbox.js) a field at a time, so
+ * changes from other devices scoring the same round are never overwritten:
+ * the whole round once when it starts (createRound), its roster, layout,
+ * course and game as each changes (updateRound), and each score and hole
+ * stat as entered (submitScore / submitStats)
+ *
+ * @param {Round} round
+ * @param {Outbox} outbox
+ * @returns {{dispose: Function}} Dispose it to stop queueing
+ */
+export function backupRound(round, outbox) {
+    const saveRound = effect(() => {
+        const { id } = round.meta.value;
+        outbox.enqueue('createRound', { snapshot: untrack(() => round.toJSON()) }, { key: `round:${id}` });
+    });
+
+    const saveSettings = watchChanges(round, () => ({
+        players: round.players.value,
+        holes: round.holes.value,
+        course: round.course.value,
+        teeName: round.teeName.value,
+        game: round.game.value,
+    }), ({ id, secret }, before, settings) => {
+        for (const [field, value] of Object.entries(settings)) {
+            if (value !== before[field]) {
+                const changes = field === 'holes' ? { holeCount: value.length, startHole: round.firstHole } : { [field]: value };
+                outbox.enqueue('updateRound', { id, secret, changes }, { key: `update:${id}:${field}` });
+            }
+        }
+    });
+
+    const saveScores = watchChanges(round, () => round.scores.value, ({ id, secret }, before, scores) => {
+        for (const [playerId, row] of Object.entries(scores)) {
+            const previous = before[playerId] || [];
+            row.forEach((strokes, i) => {
+                if ((previous[i] || 0) !== strokes) {
+                    const holeNumber = i + 1;
+                    outbox.enqueue('submitScore', { id, secret, playerId, holeNumber, strokes }, { key: `score:${id}:${playerId}:${holeNumber}` });
+                }
+            });
+        }
+    });
+
+    const saveStats = watchChanges(round, () => round.stats.value, ({ id, secret }, before, stats) => {
+        for (const [playerId, holes] of Object.entries(stats)) {
+            const previous = before[playerId] || {};
+            for (const [holeNumber, hole] of Object.entries(holes)) {
+                if (previous[holeNumber] !== hole) {
+                    outbox.enqueue('submitStats', { id, secret, playerId, holeNumber: Number(holeNumber), stats: hole }, { key: `stats:${id}:${playerId}:${holeNumber}` });
+                }
+            }
+        }
+    });
+
+    return {
+        dispose() {
+            [saveRound, saveSettings, saveScores, saveStats].forEach(watcher => watcher.dispose());
+        },
+    };
+}
@@ -0,0 +1,740 @@
+/**
+ * Jounce Golf - Round Model
+ *
+ * A round is a roster of players, an ordered list of holes and a score
+ * matrix (one row of strokes per player, indexed by hole number - 1).
+ * Every piece of state lives in a signal so views derive totals and
+ * displays with computed() instead of hand-maintained signals.
+ *
+ * A stroke count of 0 means the hole has not been played yet.
+ *
+ * Optional hole stats (putts, fairway, penalties, sand - see stats.js)
+ * are kept beside the matrix, per player and hole number.
+ *
+ * The round keeps a snapshot of the course it is played on (see course.js)
+ * so par, yardage and stroke index are available per hole.
+ */
+
+import { signal, computed, batch, runWithOwner } from './reactivity.js';
+import { scoreToPar } from './scoring.js';
+import { courseHandicap, allocateStrokes } from './handicap.js';
+import { POINTS_TABLES, calculateStableford } from './stableford.js';
+import { bestBall } from './teams.js';
+import { settleSideGames } from './sidegames.js';
+import { HOLE_STAT_FIELDS, summarizeStats } from './stats.js';
+
+export const MIN_PLAYERS = 1;
+export const MAX_PLAYERS = 8;
+export const HOLE_COUNTS = [9, 18];
+
+// Bumped whenever the toJSON() snapshot shape changes
+export const SNAPSHOT_VERSION = 1;
+
+// Game format and its settings (older snapshots without one get these)
+// net: games and totals use net scores (gross minus handicap strokes)
+// pointsTables: Stableford points by hole result, per points mode
+// teams: side/team index (0 or 1) by player id for match play and team games
+// nassauStake: value of each Nassau bet; pressAt: holes down that start a press (0 = none)
+// sideGames: side games in play (see sidegames.js) and their stake per point
+// sideGameEntries: what happened per hole for the side games, holeNumber -> { gameId: entry }
+export const DEFAULT_GAME = {
+    mode: 'stroke',
+    net: false,
+    skinValue: 1,
+    pointsTables: POINTS_TABLES,
+    teams: {},
+    nassauStake: 5,
+    pressAt: 2,
+    sideGames: { enabled: [], stake: 1, loneWolfMultiplier: 2 },
+    sideGameEntries: {},
+};
+
+// The two nines of a full card: OUT (front) and IN (back)
+export const NINES = {
+    out: { label: 'OUT', first: 1, last: 9 },
+    in: { label: 'IN', first: 10, last: 18 },
+};
+
+/**
+ * Generate a short unique id (prefix + time + random suffix)
+ *
+ * @param {string} prefix - Id prefix, e.g. 'p' for players
+ * @returns {string}
+ */
+export function createId(prefix) {
+    return `${prefix}${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+}
+
+/**
+ * Generate a round's scorer secret: 32 random hex digits. Other scorers
+ * join the live round with it and the server asks for it before reading or
+ * changing the round (see server/scorer-secret.js); spectators never get it.
+ *
+ * @returns {string}
+ */
+export function createSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Id, scorer secret and start time of a new round
+function newMeta() {
+    return { id: createId('r'), secret: createSecret(), startedAt: new Date().toISOString() };
+}
+
+/**
+ * Initials for a name: first letter of up to three words ("Ann Lee" -> "AL")
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function defaultInitials(name) {
+    return String(name || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 3)
+        .map(word => word[0].toUpperCase())
+        .join('');
+}
+
+/**
+ * Create a player entry for a roster
+ *
+ * @param {string} name - Display name
+ * @param {Object} [details] - Optional initials and handicapIndex (see handicap.js)
+ * @returns {{id: string, name: string, initials: string, handicapIndex: ?number}}
+ */
+export function createPlayer(name, { initials, handicapIndex = null } = {}) {
+    return { id: createId('p'), name, initials: initials || defaultInitials(name), handicapIndex };
+}
+
+// Hole list for a round: [{ number: 1 }, { number: 2 }, ...]
+function makeHoles(holeCount, startHole) {
+    return Array.from({ length: holeCount }, (_, i) => ({ number: startHole + i }));
+}
+
+// Row of strokes sized to the last hole number of the round
+function makeRow(length, existing = []) {
+    return Array.from({ length }, (_, i) => existing[i] || 0);
+}
+
+/**
+ * Round - players, holes and the score matrix for one round of golf
+ *
+ * @example
+ * const round = createRound({ playerNames: ['Ann', 'Bob'], holeCount: 18 });
+ * round.adjustScore(round.players.value[0].id, 1, 1);
+ * round.total(round.players.value[0].id).value;  // 1
+ */
+export class Round {
+    constructor({ players, playerNames, holeCount = 9, startHole = 1, course = null, teeName = null } = {}) {
+        const roster = players || (playerNames || ['Player 1']).map(name => createPlayer(name));
+        validatePlayerCount(roster.length);
+        validateLayout(holeCount, startHole);
+
+        const lastHole = startHole + holeCount - 1;
+        this.players = signal(roster);
+        this.holes = signal(makeHoles(holeCount, startHole));
+        this.scores = signal(Object.fromEntries(roster.map(p => [p.id, makeRow(lastHole)])));
+        this.currentHole = signal(startHole);
+        this.course = signal(course);
+        this.teeName = signal(teeName || (course ? course.tees[0].name : null));
+        this.meta = signal(newMeta());
+        this.game = signal({ ...DEFAULT_GAME });
+        this.stats = signal({});
+
+        // Per-player computed totals and nine subtotals, created lazily
+        this._totals = new Map();
+    }
+
+    /**
+     * Plain snapshot of the whole round (roster, course, scores, current hole)
+     * suitable for JSON storage; restore() / Round.fromJSON() read it back
+     *
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            version: SNAPSHOT_VERSION,
+            ...this.meta.value,
+            players: this.players.value,
+            holeCount: this.holes.value.length,
+            startHole: this.firstHole,
+            course: this.course.value,
+            teeName: this.teeName.value,
+            scores: this.scores.value,
+            currentHole: this.currentHole.value,
+            game: this.game.value,
+            stats: this.stats.value,
+        };
+    }
+
+    /**
+     * Build a round from a toJSON() snapshot
+     *
+     * @param {Object} snapshot
+     * @returns {Round}
+     */
+    static fromJSON(snapshot) {
+        const round = new Round({ players: snapshot.players, holeCount: snapshot.holeCount, startHole: snapshot.startHole });
+        round.restore(snapshot);
+        return round;
+    }
+
+    // Replace all round state with a snapshot from toJSON()
+    restore(snapshot) {
+        const { version, players, holeCount, startHole, course, teeName, scores, currentHole, game, stats = {}, ...meta } = snapshot;
+        if (version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported round snapshot version: ${version}`);
+        }
+        validatePlayerCount(players.length);
+        validateLayout(holeCount, startHole);
+        const lastHole = startHole + holeCount - 1;
+        batch(() => {
+            this.meta.value = meta;
+            this.players.value = players;
+            this.holes.value = makeHoles(holeCount, startHole);
+            this.scores.value = Object.fromEntries(players.map(p => [p.id, makeRow(lastHole, scores[p.id])]));
+            this.course.value = course;
+            this.teeName.value = teeName;
+            this.currentHole.value = currentHole;
+            this.game.value = { ...DEFAULT_GAME, ...game, pointsTables: { ...DEFAULT_GAME.pointsTables, ...(game && game.pointsTables) } };
+            this.stats.value = stats;
+        });
+        this._totals.clear();
+    }
+
+    /**
+     * Start a new round with the same roster, course and layout:
+     * scores are cleared and the round gets a new id and scorer secret
+     */
+    reset() {
+        batch(() => {
+            this.meta.value = newMeta();
+            this.scores.value = Object.fromEntries(this.players.value.map(p => [p.id, makeRow(this.lastHole)]));
+            this.game.value = { ...this.game.value, sideGameEntries: {} };
+            this.stats.value = {};
+            this.currentHole.value = this.firstHole;
+        });
+    }
+
+    /**
+     * Course handicap for a player on the tee and holes in play, or null
+     * when the player has no handicap index or the round has no course.
+     * 9-hole rounds use half the index (and half the rating of an 18-hole tee).
+     *
+     * @param {string} playerId
+     * @returns {Computed}
+     */
+    courseHandicap(playerId) {
+        return this._cached(`${playerId}:courseHandicap`, () => {
+            const player = this.players.value.find(p => p.id === playerId);
+            const course = this.course.value;
+            if (!player || player.handicapIndex === null || player.handicapIndex === undefined || !course) {
+                return null;
+            }
+            const tee = course.tees.find(t => t.name === this.teeName.value) || course.tees[0];
+            const nine = this.holes.value.length === 9;
+            const rating = nine && course.holes.length === 18 ? tee.rating / 2 : tee.rating;
+            const index = nine ? player.handicapIndex / 2 : player.handicapIndex;
+            return courseHandicap(index, tee.slope, rating, this.totalPar());
+        });
+    }
+
+    /**
+     * Handicap strokes a player receives on each hole in play
+     *
+     * @param {string} playerId
+     * @returns {Computed} Map of hole number -> strokes (empty without a course handicap)
+     */
+    strokesReceived(playerId) {
+        return this._cached(`${playerId}:strokesReceived`, () => {
+            const handicap = this.courseHandicap(playerId).value;
+            if (handicap === null) {
+                return {};
+            }
+            return allocateStrokes(handicap, this.holes.value.map(hole => this.holeInfo(hole.number)));
+        });
+    }
+
+    // Net strokes for a player on a hole (null = not played; 0 is an ace with a stroke)
+    netScore(playerId, holeNumber) {
+        const gross = this.getScore(playerId, holeNumber);
+        if (!gross) {
+            return null;
+        }
+        return gross - (this.strokesReceived(playerId).value[holeNumber] || 0);
+    }
+
+    /**
+     * Score a game counts for a hole: net when the game is set to net,
+     * otherwise gross (null = not played)
+     *
+     * @param {string} playerId
+     * @param {number} holeNumber
+     * @returns {?number}
+     */
+    gameScore(playerId, holeNumber) {
+        if (this.game.value.net) {
+            return this.netScore(playerId, holeNumber);
+        }
+        return this.getScore(playerId, holeNumber) || null;
+    }
+
+    // Net total over the holes played so far
+    netTotal(playerId) {
+        return this._cached(`${playerId}:netTotal`, () =>
+            this.holes.value.reduce((sum, hole) => sum + (this.netScore(playerId, hole.number) || 0), 0)
+        );
+    }
+
+    /**
+     * Stableford points for a player under the current points mode
+     * (falls back to standard Stableford when the mode is not points-based)
+     *
+     * @param {string} playerId
+     * @returns {Computed} { holes: { holeNumber: points }, total, played }
+     */
+    points(playerId) {
+        return this._cached(`${playerId}:points`, () => {
+            const { mode, pointsTables } = this.game.value;
+            return calculateStableford({
+                holeNumbers: this.holes.value.map(hole => hole.number),
+                scoreFor: holeNumber => this.gameScore(playerId, holeNumber),
+                parFor: holeNumber => this.holeInfo(holeNumber).par,
+                table: pointsTables[mode] || pointsTables.stableford,
+            });
+        });
+    }
+
+    /**
+     * The two sides for match play and team games, as arrays of player ids.
+     * Players without an assignment in game.teams default to the first half
+     * of the roster on side 0 and the rest on side 1.
+     *
+     * @returns {Computed} [[...side 0 ids], [...side 1 ids]]
+     */
+    sides() {
+        return this._cached('round:sides', () => {
+            const players = this.players.value;
+            const teams = this.game.value.teams;
+            const half = Math.ceil(players.length / 2);
+            const sides = [[], []];
+            players.forEach((player, i) => {
+                const team = teams[player.id] ?? (i < half ? 0 : 1);
+                sides[team].push(player.id);
+            });
+            return sides;
+        });
+    }
+
+    // Assign a player to side 0 or 1
+    setTeam(playerId, team) {
+        this.setGame({ teams: { ...this.game.value.teams, [playerId]: team } });
+    }
+
+    /**
+     * A side's score on a hole: the captain's (first player's) gross score
+     * in a scramble, otherwise the side's best ball
+     *
+     * @param {number} side - 0 or 1
+     * @param {number} holeNumber
+     * @returns {?number} null until the side has finished the hole
+     */
+    teamScore(side, holeNumber) {
+        const playerIds = this.sides().value[side];
+        if (this.game.value.mode === 'scramble') {
+            return playerIds.length > 0 ? this.getScore(playerIds[0], holeNumber) || null : null;
+        }
+        return bestBall(playerIds, holeNumber, (playerId, n) => this.gameScore(playerId, n));
+    }
+
+    // A side's total over the holes it has finished: { total, played }
+    teamTotal(side) {
+        return this._cached(`side${side}:teamTotal`, () => {
+            const scores = this.holes.value
+                .map(hole => this.teamScore(side, hole.number))
+                .filter(strokes => strokes !== null);
+            return { total: scores.reduce((sum, strokes) => sum + strokes, 0), played: scores.length };
+        });
+    }
+
+    // Record one score for a whole side (scramble entry)
+    setTeamScore(side, holeNumber, strokes) {
+        batch(() => {
+            for (const playerId of this.sides().value[side]) {
+                this.setScore(playerId, holeNumber, strokes);
+            }
+        });
+    }
+
+    adjustTeamScore(side, holeNumber, delta) {
+        const captain = this.sides().value[side][0];
+        if (captain) {
+            this.setTeamScore(side, holeNumber, this.getScore(captain, holeNumber) + delta);
+        }
+    }
+
+    // Entry recorded for a side game on a hole (undefined when none)
+    sideGameEntry(holeNumber, gameId) {
+        return (this.game.value.sideGameEntries[holeNumber] || {})[gameId];
+    }
+
+    // Record (or clear, with null) what happened in a side game on a hole
+    setSideGameEntry(holeNumber, gameId, entry) {
+        const entries = this.game.value.sideGameEntries;
+        const hole = { ...entries[holeNumber], [gameId]: entry };
+        if (entry === null || entry === undefined) {
+            delete hole[gameId];
+        }
+        this.setGame({ sideGameEntries: { ...entries, [holeNumber]: hole } });
+    }
+
+    /**
+     * Settle the enabled side games over the holes in play
+     *
+     * @returns {Computed} { games, points, balances, payments } (see settleSideGames)
+     */
+    sideGameLedger() {
+        return this._cached('round:sideGames', () => {
+            const { sideGames, sideGameEntries } = this.game.value;
+            return settleSideGames({
+                enabled: sideGames.enabled,
+                playerIds: this.players.value.map(p => p.id),
+                holeNumbers: this.holes.value.map(hole => hole.number),
+                entries: sideGameEntries,
+                scoreFor: (playerId, holeNumber) => this.gameScore(playerId, holeNumber),
+                parFor: holeNumber => this.holeInfo(holeNumber).par,
+                stake: sideGames.stake,
+                options: sideGames,
+            });
+        });
+    }
+
+    // Change the game format or its settings, e.g. setGame({ mode: 'skins', skinValue: 5 })
+    setGame(changes) {
+        this.game.value = { ...this.game.value, ...changes };
+    }
+
+    // True once any score has been entered
+    hasScores() {
+        return Object.values(this.scores.value).some(row => row.some(strokes => strokes > 0));
+    }
+
+    // Number of the first and last holes in play
+    get firstHole() {
+        return this.holes.value[0].number;
+    }
+
+    get lastHole() {
+        const holes = this.holes.value;
+        return holes[holes.length - 1].number;
+    }
+
+    /**
+     * Course data for a hole: par, stroke index and yardage from the
+     * selected tee (null fields when the round has no course)
+     *
+     * @param {number} holeNumber
+     * @returns {{number: number, par: ?number, strokeIndex: ?number, yardage: ?number}}
+     */
+    holeInfo(holeNumber) {
+        const course = this.course.value;
+        const hole = course && course.holes.find(h => h.number === holeNumber);
+        if (!hole) {
+            return { number: holeNumber, par: null, strokeIndex: null, yardage: null };
+        }
+        const tee = course.tees.find(t => t.name === this.teeName.value) || course.tees[0];
+        return {
+            number: holeNumber,
+            par: hole.par,
+            strokeIndex: hole.strokeIndex,
+            yardage: tee ? tee.yardages[holeNumber - 1] : null,
+        };
+    }
+
+    // Par over the holes in play (null without a course)
+    totalPar(filter = () => true) {
+        const holes = this.holes.value.filter(filter);
+        const pars = holes.map(hole => this.holeInfo(hole.number).par);
+        return pars.includes(null) ? null : pars.reduce((sum, par) => sum + par, 0);
+    }
+
+    // Play the round on a course/tee (a 9-hole course limits the round to holes 1-9)
+    setCourse(course, teeName = null) {
+        batch(() => {
+            this.course.value = course;
+            this.teeName.value = teeName || course.tees[0].name;
+            if (course.holes.length === 9 && (this.holes.value.length !== 9 || this.firstHole !== 1)) {
+                this.setHoleCount(9, 1);
+            }
+        });
+    }
+
+    // Strokes for a player on a hole (0 = not played)
+    getScore(playerId, holeNumber) {
+        const row = this.scores.value[playerId];
+        return row ? (row[holeNumber - 1] || 0) : 0;
+    }
+
+    // Replace the strokes for a player on a hole (never below 0)
+    setScore(playerId, holeNumber, strokes) {
+        const scores = this.scores.value;
+        const row = makeRow(Math.max(this.lastHole, holeNumber), scores[playerId]);
+        row[holeNumber - 1] = Math.max(0, strokes);
+        this.scores.value = { ...scores, [playerId]: row };
+    }
+
+    // Add delta strokes for a player on a hole
+    adjustScore(playerId, holeNumber, delta) {
+        this.setScore(playerId, holeNumber, this.getScore(playerId, holeNumber) + delta);
+    }
+
+    // Recorded stats for a player on a hole ({} when none)
+    getHoleStats(playerId, holeNumber) {
+        return (this.stats.value[playerId] || {})[holeNumber] || {};
+    }
+
+    /**
+     * Record one hole stat for a player (null clears it)
+     *
+     * @param {string} playerId
+     * @param {number} holeNumber
+     * @param {string} field - One of HOLE_STAT_FIELDS
+     * @param {?(number|string)} value - Counts are clamped to 0 or more
+     * @throws {RangeError} For an unknown field
+     */
+    setHoleStat(playerId, holeNumber, field, value) {
+        if (!HOLE_STAT_FIELDS.includes(field)) {
+            throw new RangeError(`Unknown hole stat: ${field}`);
+        }
+        const playerStats = this.stats.value[playerId] || {};
+        const hole = { ...playerStats[holeNumber], [field]: typeof value === 'number' ? Math.max(0, value) : value };
+        if (value === null || value === undefined) {
+            delete hole[field];
+        }
+        this.stats.value = { ...this.stats.value, [playerId]: { ...playerStats, [holeNumber]: hole } };
+    }
+
+    /**
+     * Round totals of a player's hole stats (see summarizeStats)
+     *
+     * @param {string} playerId
+     * @returns {Computed}
+     */
+    statSummary(playerId) {
+        return this._cached(`${playerId}:stats`, () => summarizeStats({
+            holeNumbers: this.holes.value.map(hole => hole.number),
+            scoreFor: holeNumber => this.getScore(playerId, holeNumber),
+            statsFor: holeNumber => this.getHoleStats(playerId, holeNumber),
+            parFor: holeNumber => this.holeInfo(holeNumber).par,
+        }));
+    }
+
+    // True once any hole stat has been recorded
+    hasStats() {
+        return Object.values(this.stats.value).some(holes => Object.values(holes).some(hole => Object.keys(hole).length > 0));
+    }
+
+    /**
+     * Total strokes for a player across the holes in play
+     *
+     * @param {string} playerId
+     * @returns {Computed} Derived total
+     */
+    total(playerId) {
+        return this._sum(playerId, 'total', () => true);
+    }
+
+    /**
+     * Subtotal for one nine ('out' = holes 1-9, 'in' = holes 10-18),
+     * counting only the holes in play
+     *
+     * @param {string} playerId
+     * @param {string} nine - 'out' or 'in'
+     * @returns {Computed} Derived subtotal
+     */
+    subtotal(playerId, nine) {
+        const { first, last } = NINES[nine];
+        return this._sum(playerId, nine, hole => hole.number >= first && hole.number <= last);
+    }
+
+    /**
+     * Strokes relative to par over the holes played so far
+     * (unplayed holes don't count; null without a course or before the first hole)
+     *
+     * @param {string} playerId
+     * @param {string} [basis='gross'] - 'gross' or 'net'
+     * @returns {Computed} Derived relative-to-par value
+     */
+    toPar(playerId, basis = 'gross') {
+        return this._cached(`${playerId}:toPar:${basis}`, () => {
+            if (!this.course.value) {
+                return null;
+            }
+            const strokesOn = (holeNumber) => (basis === 'net'
+                ? this.netScore(playerId, holeNumber)
+                : this.getScore(playerId, holeNumber) || null);
+            const relatives = this.holes.value
+                .map(hole => scoreToPar(strokesOn(hole.number), this.holeInfo(hole.number).par))
+                .filter(relative => relative !== null);
+            return relatives.length === 0 ? null : relatives.reduce((sum, relative) => sum + relative, 0);
+        });
+    }
+
+    /**
+     * Holes in play a player has a score on ("thru 7")
+     *
+     * @param {string} playerId
+     * @returns {Computed} Derived hole count
+     */
+    thru(playerId) {
+        return this._cached(`${playerId}:thru`, () =>
+            this.holes.value.filter(hole => this.getScore(playerId, hole.number) > 0).length
+        );
+    }
+
+    // Nines that have at least one hole in play ('out', 'in' or both)
+    playedNines() {
+        return Object.keys(NINES).filter(nine =>
+            this.holes.value.some(hole => hole.number >= NINES[nine].first && hole.number <= NINES[nine].last)
+        );
+    }
+
+    // Cached computed sum of a player's strokes over the holes matching filter
+    _sum(playerId, key, filter) {
+        return this._cached(`${playerId}:${key}`, () => {
+            const row = this.scores.value[playerId] || [];
+            return this.holes.value
+                .filter(filter)
+                .reduce((sum, hole) => sum + (row[hole.number - 1] || 0), 0);
+        });
+    }
+
+    // Per-player computed values, keyed '<playerId>:<name>' and created lazily;
+    // shared by every view, so not owned by the region that first reads one
+    _cached(cacheKey, computation) {
+        if (!this._totals.has(cacheKey)) {
+            this._totals.set(cacheKey, runWithOwner(null, () => computed(computation)));
+        }
+        return this._totals.get(cacheKey);
+    }
+
+    // Hole navigation
+    goToHole(holeNumber) {
+        if (this.holes.value.some(hole => hole.number === holeNumber)) {
+            this.currentHole.value = holeNumber;
+        }
+    }
+
+    nextHole() {
+        this.goToHole(this.currentHole.value + 1);
+    }
+
+    prevHole() {
+        this.goToHole(this.currentHole.value - 1);
+    }
+
+    // Change the holes in play (18, front 9 or back 9), keeping entered scores
+    setHoleCount(holeCount, startHole = 1) {
+        validateLayout(holeCount, startHole);
+        const lastHole = startHole + holeCount - 1;
+        batch(() => {
+            this.holes.value = makeHoles(holeCount, startHole);
+            this.scores.value = Object.fromEntries(
+                Object.entries(this.scores.value).map(([id, row]) => [id, makeRow(Math.max(lastHole, row.length), row)])
+            );
+            const current = this.currentHole.value;
+            if (current < startHole || current > lastHole) {
+                this.currentHole.value = startHole;
+            }
+        });
+    }
+
+    // Roster changes
+    addPlayer(name) {
+        const players = this.players.value;
+        validatePlayerCount(players.length + 1);
+        const player = createPlayer(name || `Player ${players.length + 1}`);
+        batch(() => {
+            this.players.value = [...players, player];
+            this.scores.value = { ...this.scores.value, [player.id]: makeRow(this.lastHole) };
+        });
+        return player;
+    }
+
+    // Update roster fields (name, initials, handicapIndex) for one player
+    updatePlayer(playerId, changes) {
+        this.players.value = this.players.value.map(player => {
+            if (player.id !== playerId) {
+                return player;
+            }
+            const updated = { ...player, ...changes };
+            if (changes.name !== undefined && changes.initials === undefined && player.initials === defaultInitials(player.name)) {
+                updated.initials = defaultInitials(updated.name);
+            }
+            return updated;
+        });
+    }
+
+    // Move a player up (-1) or down (+1) in the roster order
+    movePlayer(playerId, offset) {
+        const players = [...this.players.value];
+        const from = players.findIndex(player => player.id === playerId);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= players.length) {
+            return;
+        }
+        [players[from], players[to]] = [players[to], players[from]];
+        this.players.value = players;
+    }
+
+    removePlayer(playerId) {
+        const players = this.players.value.filter(p => p.id !== playerId);
+        validatePlayerCount(players.length);
+        const { [playerId]: _removed, ...scores } = this.scores.value;
+        const { [playerId]: _removedStats, ...stats } = this.stats.value;
+        batch(() => {
+            this.players.value = players;
+            this.scores.value = scores;
+            this.stats.value = stats;
+        });
+        for (const key of this._totals.keys()) {
+            if (key.startsWith(`${playerId}:`)) {
+                this._totals.delete(key);
+            }
+        }
+    }
+}
+
+function validatePlayerCount(count) {
+    if (count < MIN_PLAYERS || count > MAX_PLAYERS) {
+        throw new RangeError(`A round needs ${MIN_PLAYERS}-${MAX_PLAYERS} players (got ${count})`);
+    }
+}
+
+function validateLayout(holeCount, startHole) {
+    if (!HOLE_COUNTS.includes(holeCount)) {
+        throw new RangeError(`A round is ${HOLE_COUNTS.join(' or ')} holes (got ${holeCount})`);
+    }
+    const validStarts = holeCount === 18 ? [NINES.out.first] : [NINES.out.first, NINES.in.first];
+    if (!validStarts.includes(startHole)) {
+        throw new RangeError(`A ${holeCount}-hole round cannot start on hole ${startHole}`);
+    }
+}
+
+/**
+ * Create a new round
+ *
+ * @param {Object} options
+ * @param {Array} [options.players] - Existing roster entries ({ id, name, initials, handicapIndex })
+ * @param {string[]} [options.playerNames] - Names to build a roster from
+ * @param {number} [options.holeCount=9] - 9 or 18
+ * @param {number} [options.startHole=1] - 1, or 10 for a back-nine-only round
+ * @param {Object} [options.course] - Course definition (see course.js)
+ * @param {string} [options.teeName] - Tee played (defaults to the first tee)
+ * @returns {Round}
+ */
+export function createRound(options) {
+    return new Round(options);
+}
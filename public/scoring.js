@@ -0,0 +1,69 @@
+/**
+ * Jounce Golf - Scoring Helpers
+ *
+ * Pure functions for relative-to-par display and hole result markers.
+ * Views wrap these in computed() over the round's score matrix.
+ *
+ * Unplayed holes are null here. The score matrix stores them as 0, so pass
+ * gross strokes as `round.getScore(...) || null`; a net score of 0 (an ace
+ * with a handicap stroke) is a real score.
+ */
+
+// Hole results from best to worst, with the conventional card marker
+export const HOLE_RESULTS = ['albatross', 'eagle', 'birdie', 'par', 'bogey', 'double'];
+
+// False only for an unplayed hole (null); net scores can be 0
+export function isPlayed(strokes) {
+    return strokes !== null && strokes !== undefined;
+}
+
+/**
+ * Strokes relative to par (null when the hole is unplayed or has no par)
+ *
+ * @param {?number} strokes - Gross or net strokes (null = unplayed)
+ * @param {?number} par
+ * @returns {?number}
+ */
+export function scoreToPar(strokes, par) {
+    if (!isPlayed(strokes) || !par) {
+        return null;
+    }
+    return strokes - par;
+}
+
+/**
+ * Format a relative-to-par value the way leaderboards do: E, +3, −1
+ *
+ * @param {?number} relative
+ * @returns {string} Empty string for null
+ */
+export function formatToPar(relative) {
+    if (relative === null || relative === undefined) {
+        return '';
+    }
+    if (relative === 0) {
+        return 'E';
+    }
+    return relative > 0 ? `+${relative}` : `−${Math.abs(relative)}`;
+}
+
+/**
+ * Classify a hole score: albatross, eagle, birdie, par, bogey or double (double bogey or worse)
+ *
+ * @param {?number} strokes - Gross or net strokes (null = unplayed)
+ * @param {?number} par
+ * @returns {?string} null when unplayed
+ */
+export function holeResult(strokes, par) {
+    const relative = scoreToPar(strokes, par);
+    if (relative === null) {
+        return null;
+    }
+    if (relative <= -3) {
+        return 'albatross';
+    }
+    if (relative >= 2) {
+        return 'double';
+    }
+    return HOLE_RESULTS[relative + 3];
+}
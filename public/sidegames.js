@@ -0,0 +1,224 @@
+/**
+ * Jounce Golf - Side Games
+ *
+ * Side games run alongside the main format and pay in points, settled at
+ * a stake per point. Each game is a plugin registered with
+ * registerSideGame(): it reads what happened on a hole (scores plus the
+ * entry recorded for that game on that hole) and returns each player's
+ * net points for the hole. Every game is zero-sum, so the ledger always
+ * balances and can be netted into a short list of payments.
+ *
+ * Entry kinds tell the UI what to collect on each hole:
+ *   'wolf'   - the wolf's pick: { partner: playerId } or { partner: null } (lone wolf)
+ *   'awards' - one player per award, e.g. { bingo: id, bango: id, bongo: id }
+ *   'toggle' - the players who earned it, e.g. ['p1', 'p3']
+ *
+ * @example
+ * registerSideGame({
+ *     id: 'birdies',
+ *     label: 'Birdie Pool',
+ *     kind: 'toggle',
+ *     settleHole: ({ entry, playerIds }) => payEach(entry, playerIds, 1),
+ * });
+ */
+
+import { bestBall } from './teams.js';
+import { isPlayed } from './scoring.js';
+
+const registry = new Map();
+
+/**
+ * Register (or replace) a side game
+ *
+ * @param {Object} game
+ * @param {string} game.id - Key used in round settings and hole entries
+ * @param {string} game.label
+ * @param {string} game.kind - 'wolf', 'awards' or 'toggle'
+ * @param {string[]} [game.awards] - Award names for kind 'awards'
+ * @param {Function} game.settleHole - (hole) => { playerId: points } or null when
+ *        the hole cannot be settled yet; hole is { number, index, par, entry,
+ *        playerIds, scoreFor(playerId), options }
+ */
+export function registerSideGame(game) {
+    registry.set(game.id, game);
+}
+
+export function getSideGame(id) {
+    return registry.get(id) || null;
+}
+
+// Registered games in registration order
+export function listSideGames() {
+    return [...registry.values()];
+}
+
+/**
+ * Points for players who won something off every other player
+ *
+ * @param {string[]} winners - One id per point won (repeats allowed)
+ * @param {string[]} playerIds - Everyone in the game
+ * @param {number} [points=1] - Points each other player pays per win
+ * @returns {Object} playerId -> net points
+ */
+export function payEach(winners, playerIds, points = 1) {
+    const net = Object.fromEntries(playerIds.map(id => [id, 0]));
+    for (const winner of winners) {
+        if (!(winner in net)) {
+            continue;
+        }
+        for (const id of playerIds) {
+            if (id !== winner) {
+                net[id] -= points;
+                net[winner] += points;
+            }
+        }
+    }
+    return net;
+}
+
+// The wolf on a hole rotates through the roster in order
+export function wolfFor(playerIds, holeIndex) {
+    return playerIds.length > 0 ? playerIds[holeIndex % playerIds.length] : null;
+}
+
+registerSideGame({
+    id: 'wolf',
+    label: 'Wolf',
+    kind: 'wolf',
+    settleHole({ number, index, entry, playerIds, scoreFor, options }) {
+        if (playerIds.length < 3 || !entry) {
+            return null;
+        }
+        const wolf = wolfFor(playerIds, index);
+        const lone = !entry.partner || !playerIds.includes(entry.partner);
+        const pack = lone ? [wolf] : [wolf, entry.partner];
+        const hunters = playerIds.filter(id => !pack.includes(id));
+        const [wolfScore, hunterScore] = [pack, hunters].map(ids => bestBall(ids, number, id => scoreFor(id)));
+        if (wolfScore === null || hunterScore === null) {
+            return null;
+        }
+
+        // Each loser pays each winner; a lone wolf plays for the multiplier
+        const net = Object.fromEntries(playerIds.map(id => [id, 0]));
+        if (wolfScore !== hunterScore) {
+            const [winners, losers] = wolfScore < hunterScore ? [pack, hunters] : [hunters, pack];
+            const points = lone ? options.loneWolfMultiplier : 1;
+            for (const winner of winners) {
+                for (const loser of losers) {
+                    net[winner] += points;
+                    net[loser] -= points;
+                }
+            }
+        }
+        return net;
+    },
+});
+
+registerSideGame({
+    id: 'bingo',
+    label: 'Bingo-Bango-Bongo',
+    kind: 'awards',
+    // First on the green, closest once all are on, first in the hole
+    awards: ['bingo', 'bango', 'bongo'],
+    settleHole({ entry, playerIds }) {
+        if (!entry) {
+            return null;
+        }
+        return payEach(['bingo', 'bango', 'bongo'].map(award => entry[award]).filter(Boolean), playerIds);
+    },
+});
+
+/**
+ * A "dot" game: each player toggled on a hole collects a point from
+ * everyone else, if they qualify (e.g. par or better)
+ *
+ * @param {string} id
+ * @param {string} label
+ * @param {Function} qualifies - ({ strokes, par }) => boolean
+ * @returns {Object} Side game definition
+ */
+function dotGame(id, label, qualifies) {
+    return {
+        id,
+        label,
+        kind: 'toggle',
+        settleHole({ par, entry, playerIds, scoreFor }) {
+            if (!entry || entry.length === 0) {
+                return null;
+            }
+            return payEach(entry.filter(playerId => qualifies({ strokes: scoreFor(playerId), par })), playerIds);
+        },
+    };
+}
+
+const parOrBetter = ({ strokes, par }) => isPlayed(strokes) && (!par || strokes <= par);
+
+// Greenie: on the green in one on a par 3 and makes par or better
+registerSideGame(dotGame('greenies', 'Greenies', ({ strokes, par }) => (!par || par === 3) && parOrBetter({ strokes, par })));
+// Sandy: up and down from a bunker for par or better
+registerSideGame(dotGame('sandies', 'Sandies', parOrBetter));
+// Poley: holes a putt longer than the flagstick
+registerSideGame(dotGame('polies', 'Polies', ({ strokes }) => isPlayed(strokes)));
+
+/**
+ * Net out balances into payments: each debtor pays creditors in order
+ * until settled
+ *
+ * @param {Object} balances - playerId -> amount (positive = owed money)
+ * @returns {Array} [{ from, to, amount }]
+ */
+export function settleDebts(balances) {
+    const creditors = Object.entries(balances).filter(([, amount]) => amount > 0).map(([id, amount]) => ({ id, amount }));
+    const debtors = Object.entries(balances).filter(([, amount]) => amount < 0).map(([id, amount]) => ({ id, amount: -amount }));
+    const payments = [];
+    for (const debtor of debtors) {
+        for (const creditor of creditors) {
+            const amount = Math.min(debtor.amount, creditor.amount);
+            if (amount > 0) {
+                payments.push({ from: debtor.id, to: creditor.id, amount });
+                debtor.amount -= amount;
+                creditor.amount -= amount;
+            }
+        }
+    }
+    return payments;
+}
+
+/**
+ * Settle every enabled side game for a round
+ *
+ * @param {Object} options
+ * @param {string[]} options.enabled - Ids of the side games in play
+ * @param {string[]} options.playerIds - Roster in playing order (sets the wolf rotation)
+ * @param {number[]} options.holeNumbers - Holes in play
+ * @param {Object} options.entries - holeNumber -> { gameId: entry }
+ * @param {Function} options.scoreFor - (playerId, holeNumber) => strokes (null = unplayed)
+ * @param {Function} options.parFor - holeNumber => par (null without a course)
+ * @param {number} [options.stake=1] - Money per point
+ * @param {Object} [options.options] - Game settings, e.g. { loneWolfMultiplier }
+ * @returns {{games: Array, points: Object, balances: Object, payments: Array}}
+ */
+export function settleSideGames({ enabled, playerIds, holeNumbers, entries, scoreFor, parFor, stake = 1, options = {} }) {
+    const points = Object.fromEntries(playerIds.map(id => [id, 0]));
+    const games = enabled.map(getSideGame).filter(Boolean).map(game => {
+        const totals = Object.fromEntries(playerIds.map(id => [id, 0]));
+        holeNumbers.forEach((number, index) => {
+            const net = game.settleHole({
+                number,
+                index,
+                par: parFor(number),
+                entry: (entries[number] || {})[game.id],
+                playerIds,
+                scoreFor: playerId => scoreFor(playerId, number),
+                options,
+            });
+            for (const [playerId, value] of Object.entries(net || {})) {
+                totals[playerId] += value;
+                points[playerId] += value;
+            }
+        });
+        return { id: game.id, label: game.label, totals };
+    });
+    const balances = Object.fromEntries(playerIds.map(id => [id, points[id] * stake]));
+    return { games, points, balances, payments: settleDebts(balances) };
+}
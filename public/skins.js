@@ -0,0 +1,59 @@
+/**
+ * Jounce Golf - Skins
+ *
+ * Each hole is worth one skin. The lowest unique score on a hole wins
+ * every skin riding on it; a tie for low carries the skins over to the
+ * next hole. Holes are settled in order and settlement stops at the first
+ * hole not everyone has finished.
+ *
+ * @example
+ * const ledger = calculateSkins({
+ *     playerIds: ['a', 'b'],
+ *     holeNumbers: [1, 2, 3],
+ *     scoreFor: (id, hole) => round.gameScore(id, hole),
+ *     skinValue: 5,
+ * });
+ * ledger.totals.a.amount;  // dollars won by player a
+ */
+
+import { isPlayed } from './scoring.js';
+
+/**
+ * Settle skins for a round
+ *
+ * @param {Object} options
+ * @param {string[]} options.playerIds
+ * @param {number[]} options.holeNumbers - Holes in playing order
+ * @param {Function} options.scoreFor - (playerId, holeNumber) => gross or net strokes (null = unplayed)
+ * @param {number} [options.skinValue=1] - Value of one skin
+ * @returns {{holes: Array, totals: Object, carryover: number, skinValue: number}}
+ */
+export function calculateSkins({ playerIds, holeNumbers, scoreFor, skinValue = 1 }) {
+    const totals = Object.fromEntries(playerIds.map(id => [id, { skins: 0, amount: 0 }]));
+    const holes = [];
+    let carryover = 0;
+
+    for (const holeNumber of holeNumbers) {
+        const scores = playerIds.map(id => ({ id, strokes: scoreFor(id, holeNumber) }));
+        if (playerIds.length < 2 || scores.some(score => !isPlayed(score.strokes))) {
+            break;
+        }
+
+        const pot = carryover + 1;
+        const low = Math.min(...scores.map(score => score.strokes));
+        const leaders = scores.filter(score => score.strokes === low);
+
+        if (leaders.length === 1) {
+            const winner = leaders[0].id;
+            totals[winner].skins += pot;
+            totals[winner].amount += pot * skinValue;
+            holes.push({ number: holeNumber, winner, skins: pot, carried: false });
+            carryover = 0;
+        } else {
+            holes.push({ number: holeNumber, winner: null, skins: pot, carried: true });
+            carryover = pot;
+        }
+    }
+
+    return { holes, totals, carryover, skinValue };
+}
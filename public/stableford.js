@@ -0,0 +1,59 @@
+/**
+ * Jounce Golf - Stableford Scoring
+ *
+ * Points per hole from the hole result against par (see scoring.js).
+ * Each format has its own points table, which a round can override.
+ *
+ * @example
+ * stablefordPoints(3, 4, POINTS_TABLES.stableford);  // 3 (birdie)
+ * stablefordPoints(7, 4, POINTS_TABLES.modified);    // -3 (double bogey or worse)
+ */
+
+import { holeResult } from './scoring.js';
+
+// Default points by hole result ('double' = double bogey or worse)
+export const POINTS_TABLES = {
+    stableford: { albatross: 5, eagle: 4, birdie: 3, par: 2, bogey: 1, double: 0 },
+    modified: { albatross: 8, eagle: 5, birdie: 2, par: 0, bogey: -1, double: -3 },
+};
+
+// Game modes scored in points rather than strokes
+export const POINTS_MODES = Object.keys(POINTS_TABLES);
+
+/**
+ * Points for one hole
+ *
+ * @param {?number} strokes - Gross or net strokes (null = unplayed)
+ * @param {?number} par
+ * @param {Object} table - Points by hole result
+ * @returns {?number} null when the hole is unplayed or has no par
+ */
+export function stablefordPoints(strokes, par, table) {
+    const result = holeResult(strokes, par);
+    return result === null ? null : table[result];
+}
+
+/**
+ * Points for every hole played and the running total
+ *
+ * @param {Object} options
+ * @param {number[]} options.holeNumbers - Holes in play
+ * @param {Function} options.scoreFor - holeNumber => gross or net strokes
+ * @param {Function} options.parFor - holeNumber => par
+ * @param {Object} options.table - Points by hole result
+ * @returns {{holes: Object, total: number, played: number}}
+ */
+export function calculateStableford({ holeNumbers, scoreFor, parFor, table }) {
+    const holes = {};
+    let total = 0;
+    let played = 0;
+    for (const holeNumber of holeNumbers) {
+        const points = stablefordPoints(scoreFor(holeNumber), parFor(holeNumber), table);
+        if (points !== null) {
+            holes[holeNumber] = points;
+            total += points;
+            played++;
+        }
+    }
+    return { holes, total, played };
+}
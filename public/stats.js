@@ -0,0 +1,97 @@
+/**
+ * Jounce Golf - Hole Stats
+ *
+ * Optional per-hole stats a player can record next to their score:
+ * putts, the tee shot's fairway result, penalty strokes and sand shots.
+ * Greens in regulation are not entered but derived: the ball was on the
+ * green in (strokes - putts), and regulation is par - 2.
+ *
+ * @example
+ * greenInRegulation(4, 2, 4);  // true (on in 2 on a par 4)
+ * greenInRegulation(5, 2, 4);  // false
+ */
+
+// Recorded fields per hole: { putts, fairway, penalties, sand }
+export const HOLE_STAT_FIELDS = ['putts', 'fairway', 'penalties', 'sand'];
+
+// Where the tee shot finished on a par 4 or 5
+export const FAIRWAY_RESULTS = ['hit', 'left', 'right'];
+
+/**
+ * Whether the green was hit in regulation
+ *
+ * @param {?number} strokes - Gross strokes (0/null = unplayed)
+ * @param {?number} putts
+ * @param {?number} par
+ * @returns {?boolean} null unless strokes, putts and par are all known
+ */
+export function greenInRegulation(strokes, putts, par) {
+    if (!strokes || putts === null || putts === undefined || !par) {
+        return null;
+    }
+    return strokes - putts <= par - 2;
+}
+
+// Share of attempts as a whole percentage (null with no attempts)
+export function percentage(made, attempts) {
+    return attempts > 0 ? Math.round((made / attempts) * 100) : null;
+}
+
+/**
+ * Roll a player's hole stats up into round totals and percentages
+ *
+ * Only holes with a score count. Fairways are counted on par 4s and 5s
+ * with a recorded result; sand saves are holes with a sand shot finished
+ * in par or better.
+ *
+ * @param {Object} options
+ * @param {number[]} options.holeNumbers - Holes in play
+ * @param {Function} options.scoreFor - holeNumber => gross strokes (0 = unplayed)
+ * @param {Function} options.statsFor - holeNumber => recorded stats ({} when none)
+ * @param {Function} options.parFor - holeNumber => par (null without a course)
+ * @returns {Object} putts, puttingHoles, fairways, gir, penalties, sand
+ */
+export function summarizeStats({ holeNumbers, scoreFor, statsFor, parFor }) {
+    const summary = {
+        putts: 0,
+        puttingHoles: 0,
+        fairways: { hit: 0, left: 0, right: 0, attempts: 0, pct: null },
+        gir: { hit: 0, holes: 0, pct: null },
+        penalties: 0,
+        sand: { shots: 0, holes: 0, saves: 0, pct: null },
+    };
+
+    for (const holeNumber of holeNumbers) {
+        const strokes = scoreFor(holeNumber);
+        if (!strokes) {
+            continue;
+        }
+        const stats = statsFor(holeNumber);
+        const par = parFor(holeNumber);
+
+        if (stats.putts !== null && stats.putts !== undefined) {
+            summary.putts += stats.putts;
+            summary.puttingHoles++;
+        }
+        if (FAIRWAY_RESULTS.includes(stats.fairway) && par !== 3) {
+            summary.fairways[stats.fairway]++;
+            summary.fairways.attempts++;
+        }
+        const gir = greenInRegulation(strokes, stats.putts, par);
+        if (gir !== null) {
+            summary.gir.holes++;
+            summary.gir.hit += gir ? 1 : 0;
+        }
+        summary.penalties += stats.penalties || 0;
+        if (stats.sand > 0) {
+            summary.sand.shots += stats.sand;
+            summary.sand.holes++;
+            summary.sand.saves += par && strokes <= par ? 1 : 0;
+        }
+    }
+
+    summary.fairways.pct = percentage(summary.fairways.hit, summary.fairways.attempts);
+    summary.gir.pct = percentage(summary.gir.hit, summary.gir.holes);
+    summary.sand.pct = percentage(summary.sand.saves, summary.sand.holes);
+    return summary;
+}
@@ -0,0 +1,110 @@
+/**
+ * Jounce Golf - Service Worker
+ *
+ * Precaches the app shell so the scorecard opens without signal. Each
+ * deploy gets a new CACHE_VERSION, a hash of the app's files stamped in
+ * by server/cache-version.js: browsers see a changed sw.js, install the
+ * new version next to the old one, and the app offers to reload (see
+ * pwa.js). The waiting worker takes over when told to 'skip-waiting' and
+ * then deletes the caches of older versions.
+ *
+ * Requests:
+ *   /rpc/*        never cached (the outbox handles being offline)
+ *   page loads    network first, cached index.html without signal (or after 4s)
+ *   everything    cache first, then network
+ */
+
+// Replaced with a hash of public/ when served or deployed (server/cache-version.js)
+const CACHE_VERSION = 'v4';
+const CACHE_PREFIX = 'jounce-golf-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/app.wasm',
+    '/manifest.json',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/apple-touch-icon.png',
+    '/client.js',
+    '/client-runtime.js',
+    '/reactivity.js',
+    '/pwa.js',
+    '/round.js',
+    '/round-store.js',
+    '/outbox.js',
+    '/course.js',
+    '/history.js',
+    '/handicap.js',
+    '/whs.js',
+    '/scoring.js',
+    '/stableford.js',
+    '/skins.js',
+    '/matchplay.js',
+    '/teams.js',
+    '/nassau.js',
+    '/sidegames.js',
+    '/stats.js',
+    '/player-stats.js',
+    '/live-sync.js',
+    '/cell-versions.js',
+    '/events.js',
+    '/export.js',
+];
+
+// Page loads fall back to the cache after this long on a hanging connection
+const NAVIGATION_TIMEOUT = 4000;
+
+function fetchWithTimeout(request, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), timeout);
+        fetch(request).then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the HTTP cache so a new version never precaches old files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The app asks the waiting worker to take over once the player agrees
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/rpc/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        // App routes (/rounds/r1...) are all index.html
+        event.respondWith(
+            fetchWithTimeout(request, NAVIGATION_TIMEOUT).catch(() => caches.match('/index.html', { cacheName: CACHE_NAME }))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME }).then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,31 @@
+/**
+ * Jounce Golf - Team Formats
+ *
+ * Two sides play as teams. In best ball a side's score on a hole is the
+ * lowest of its players' scores. In a scramble the side plays one ball and
+ * records one score, which every player on the side is given.
+ *
+ * @example
+ * bestBall(['ann', 'bob'], 4, (id, hole) => round.gameScore(id, hole));  // 3
+ */
+
+import { isPlayed } from './scoring.js';
+
+// Game modes played side against side with a team score per hole
+export const TEAM_MODES = ['bestball', 'scramble', 'nassau'];
+
+/**
+ * Best (lowest) score among a side's players on a hole
+ *
+ * @param {string[]} playerIds - Players on the side
+ * @param {number} holeNumber
+ * @param {Function} scoreFor - (playerId, holeNumber) => gross or net strokes (null = unplayed)
+ * @returns {?number} null unless every player on the side has scored
+ */
+export function bestBall(playerIds, holeNumber, scoreFor) {
+    const scores = playerIds.map(id => scoreFor(id, holeNumber));
+    if (scores.length === 0 || !scores.every(isPlayed)) {
+        return null;
+    }
+    return Math.min(...scores);
+}
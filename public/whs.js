@@ -0,0 +1,204 @@
+/**
+ * Jounce Golf - World Handicap System
+ *
+ * Computes a player's handicap index from their archived rounds:
+ *
+ *   1. Each hole is capped at net double bogey (par + 2 + strokes received;
+ *      par + 5 before the player has an index) to get the adjusted gross score.
+ *   2. Score differential = (113 / Slope) x (Adjusted Gross - Course Rating).
+ *      Two 9-hole rounds are combined, in order, into one 18-hole score.
+ *   3. The index averages the lowest differentials of the most recent 20
+ *      (best 8 of 20, fewer while the record is short - see DIFFERENTIALS_USED).
+ *   4. Once 20 scores exist, a rise of more than 3.0 above the low index of
+ *      the past year is halved (soft cap) and limited to 5.0 (hard cap).
+ *
+ * Only complete rounds on a course with rating and slope count.
+ *
+ * @example
+ * const history = handicapHistory(archivedRounds.value, playerId);
+ * history[history.length - 1].index;  // current index, e.g. 12.4
+ */
+
+import { Round } from './round.js';
+import { roundDate } from './history.js';
+import { MAX_HANDICAP_INDEX, courseHandicap, allocateStrokes } from './handicap.js';
+
+// Most recent scores considered
+export const SCORING_RECORD_SIZE = 20;
+
+// Differentials averaged (and adjustment) by number of scores in the record
+export const DIFFERENTIALS_USED = [
+    { scores: 3, count: 1, adjustment: -2.0 },
+    { scores: 4, count: 1, adjustment: -1.0 },
+    { scores: 5, count: 1, adjustment: 0 },
+    { scores: 6, count: 2, adjustment: -1.0 },
+    { scores: 8, count: 2, adjustment: 0 },
+    { scores: 11, count: 3, adjustment: 0 },
+    { scores: 14, count: 4, adjustment: 0 },
+    { scores: 16, count: 5, adjustment: 0 },
+    { scores: 18, count: 6, adjustment: 0 },
+    { scores: 19, count: 7, adjustment: 0 },
+    { scores: 20, count: 8, adjustment: 0 },
+];
+
+export const SOFT_CAP = 3.0;
+export const HARD_CAP = 5.0;
+
+// Days looked back for the low handicap index
+const LOW_INDEX_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundToTenth(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Highest score counted on a hole: net double bogey, or par + 5
+ * when the player has no handicap yet
+ *
+ * @param {number} par
+ * @param {?number} strokesReceived - null without a handicap
+ * @returns {number}
+ */
+export function netDoubleBogey(par, strokesReceived) {
+    return strokesReceived === null ? par + 5 : par + 2 + strokesReceived;
+}
+
+/**
+ * (113 / Slope) x (Adjusted Gross Score - Course Rating), to one decimal
+ *
+ * @param {number} adjustedGross
+ * @param {number} rating
+ * @param {number} slope
+ * @returns {number}
+ */
+export function scoreDifferential(adjustedGross, rating, slope) {
+    return roundToTenth((113 / slope) * (adjustedGross - rating));
+}
+
+/**
+ * Index from a scoring record (most recent last, up to 20 used)
+ *
+ * @param {number[]} differentials
+ * @returns {?number} null with fewer than 3 scores
+ */
+export function indexFromDifferentials(differentials) {
+    const recent = differentials.slice(-SCORING_RECORD_SIZE);
+    const rule = DIFFERENTIALS_USED.find(r => recent.length <= r.scores);
+    if (recent.length < DIFFERENTIALS_USED[0].scores || !rule) {
+        return null;
+    }
+    const lowest = [...recent].sort((a, b) => a - b).slice(0, rule.count);
+    const average = lowest.reduce((sum, value) => sum + value, 0) / lowest.length;
+    return Math.min(MAX_HANDICAP_INDEX, roundToTenth(average + rule.adjustment));
+}
+
+/**
+ * Limit how far an index can rise above the low index
+ *
+ * @param {number} index - Index before caps
+ * @param {?number} lowIndex - Lowest index of the past year (null = no caps)
+ * @returns {number}
+ */
+export function applyCaps(index, lowIndex) {
+    if (lowIndex === null || index - lowIndex <= SOFT_CAP) {
+        return index;
+    }
+    const soft = lowIndex + SOFT_CAP + (index - lowIndex - SOFT_CAP) / 2;
+    return roundToTenth(Math.min(soft, lowIndex + HARD_CAP));
+}
+
+// Adjusted gross, rating and slope for a player's complete round, or null
+function roundScore(snapshot, playerId, index) {
+    const course = snapshot.course;
+    const tee = course && (course.tees.find(t => t.name === snapshot.teeName) || course.tees[0]);
+    if (!tee || !tee.rating || !tee.slope) {
+        return null;
+    }
+    const card = Round.fromJSON(snapshot);
+    const holes = card.holes.value.map(hole => card.holeInfo(hole.number));
+    if (holes.some(hole => !hole.par || !card.getScore(playerId, hole.number))) {
+        return null;
+    }
+
+    const nine = holes.length === 9;
+    const rating = nine && course.holes.length === 18 ? tee.rating / 2 : tee.rating;
+    const par = holes.reduce((sum, hole) => sum + hole.par, 0);
+    const strokes = index === null ? null : allocateStrokes(courseHandicap(nine ? index / 2 : index, tee.slope, rating, par), holes);
+    const adjustedGross = holes.reduce((sum, hole) =>
+        sum + Math.min(card.getScore(playerId, hole.number), netDoubleBogey(hole.par, strokes && strokes[hole.number])), 0);
+    return { holes: holes.length, adjustedGross, rating, slope: tee.slope };
+}
+
+/**
+ * A player's index after each score, oldest first
+ *
+ * @param {Object[]} snapshots - Archived rounds
+ * @param {string} playerId
+ * @returns {Array} [{ date, roundIds, adjustedGross, differential, index, lowIndex }]
+ *          (index is null until three scores exist)
+ */
+export function handicapHistory(snapshots, playerId) {
+    const rounds = snapshots
+        .filter(snapshot => snapshot.players.some(p => p.id === playerId))
+        .sort((a, b) => roundDate(a).localeCompare(roundDate(b)));
+
+    const history = [];
+    const differentials = [];
+    let index = null;
+    let pendingNine = null;
+
+    for (const snapshot of rounds) {
+        // Before an index exists here, fall back to the index entered on the roster
+        const entered = snapshot.players.find(p => p.id === playerId).handicapIndex;
+        let score = roundScore(snapshot, playerId, index ?? entered ?? null);
+        if (!score) {
+            continue;
+        }
+        let roundIds = [snapshot.id];
+
+        // Two 9-hole scores make one 18-hole score
+        if (score.holes === 9) {
+            if (!pendingNine) {
+                pendingNine = { score, id: snapshot.id };
+                continue;
+            }
+            const first = pendingNine.score;
+            score = {
+                holes: 18,
+                adjustedGross: first.adjustedGross + score.adjustedGross,
+                rating: first.rating + score.rating,
+                slope: Math.round((first.slope + score.slope) / 2),
+            };
+            roundIds = [pendingNine.id, snapshot.id];
+            pendingNine = null;
+        }
+
+        const date = roundDate(snapshot);
+        const differential = scoreDifferential(score.adjustedGross, score.rating, score.slope);
+        differentials.push(differential);
+
+        let lowIndex = null;
+        if (differentials.length >= SCORING_RECORD_SIZE) {
+            const since = new Date(date).getTime() - LOW_INDEX_DAYS * DAY_MS;
+            const recent = history.filter(entry => entry.index !== null && new Date(entry.date).getTime() >= since);
+            lowIndex = recent.length ? Math.min(...recent.map(entry => entry.index)) : null;
+        }
+        const raw = indexFromDifferentials(differentials);
+        index = raw === null ? null : applyCaps(raw, lowIndex);
+        history.push({ date, roundIds, adjustedGross: score.adjustedGross, differential, index, lowIndex });
+    }
+    return history;
+}
+
+/**
+ * A player's current index from the archive
+ *
+ * @param {Object[]} snapshots
+ * @param {string} playerId
+ * @returns {?number} null until three scores exist
+ */
+export function currentHandicapIndex(snapshots, playerId) {
+    const history = handicapHistory(snapshots, playerId);
+    return history.length ? history[history.length - 1].index : null;
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Jounce Golf - Service Worker Cache Version
+ *
+ * The service worker's cache is named after a hash of every file in
+ * public/, so any change to the app gives installed copies a new sw.js to
+ * install - nobody has to remember to bump CACHE_VERSION. The app server
+ * stamps the hash into sw.js as it serves it; a static deploy stamps its
+ * copy before uploading (see vercel-deploy/deploy.sh).
+ *
+ * Usage:
+ *   node server/cache-version.js vercel-deploy/public   # stamp that copy's sw.js
+ *
+ *   const version = cacheVersion('public');
+ *   const source = stampServiceWorker(fs.readFileSync('public/sw.js', 'utf8'), version);
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SERVICE_WORKER = 'sw.js';
+
+const VERSION_LINE = /^const CACHE_VERSION = '[^']*';$/m;
+
+// Every file under dir, relative paths with forward slashes, sorted
+function listFiles(dir, prefix = '') {
+    return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+        .flatMap(entry => {
+            const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+            return entry.isDirectory() ? listFiles(dir, name) : [name];
+        })
+        .sort();
+}
+
+/**
+ * Hash of the app's files (sw.js itself excluded)
+ *
+ * @param {string} publicDir
+ * @returns {string} 12 hex digits
+ */
+function cacheVersion(publicDir) {
+    const hash = crypto.createHash('sha256');
+    for (const name of listFiles(publicDir)) {
+        if (name !== SERVICE_WORKER) {
+            hash.update(`${name}\0`);
+            hash.update(fs.readFileSync(path.join(publicDir, name)));
+        }
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * sw.js source with its CACHE_VERSION replaced
+ *
+ * @param {string} source
+ * @param {string} version
+ * @returns {string}
+ */
+function stampServiceWorker(source, version) {
+    if (!VERSION_LINE.test(source)) {
+        throw new Error(`No CACHE_VERSION line in ${SERVICE_WORKER}`);
+    }
+    return source.replace(VERSION_LINE, `const CACHE_VERSION = '${version}';`);
+}
+
+module.exports = { cacheVersion, stampServiceWorker, SERVICE_WORKER };
+
+if (require.main === module) {
+    if (!process.argv[2]) {
+        console.error('Usage: node server/cache-version.js <public dir>');
+        process.exit(1);
+    }
+    const publicDir = path.resolve(process.argv[2]);
+    const file = path.join(publicDir, SERVICE_WORKER);
+    const version = cacheVersion(publicDir);
+    fs.writeFileSync(file, stampServiceWorker(fs.readFileSync(file, 'utf8'), version));
+    console.log(`[cache-version] ${path.relative(process.cwd(), file)} -> ${version}`);
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Jounce Golf - App Server
+ *
+ * Everything on one port, for running the app outside Vercel:
+ *
+ *   POST /rpc/:fn   round API (rounds.js) over file storage (storage.js)
+ *   WebSocket       live scoring relay (relay.js)
+ *   GET  *          the static app in public/, index.html for app routes;
+ *                   sw.js gets a hash of the files as its CACHE_VERSION
+ *
+ * Usage:
+ *   node server/index.js        # http://localhost:8787 (PORT and ROUNDS_DIR to change)
+ *
+ *   const { createAppServer } = require('./server');
+ *   createAppServer({ storage: createMemoryStorage() }).listen(0);
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { attachRelay, DEFAULT_PORT } = require('./relay');
+const { createRpcHandler } = require('./rpc');
+const { createRoundApi } = require('./rounds');
+const { createFileStorage } = require('./storage');
+const { cacheVersion, stampServiceWorker, SERVICE_WORKER } = require('./cache-version');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.wasm': 'application/wasm',
+    '.map': 'application/json',
+};
+
+// Files by extension, anything else is an app route (same as vercel.json)
+function serveStatic(publicDir, req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+    const extension = path.extname(pathname);
+    const file = path.resolve(publicDir, `.${extension ? pathname : '/index.html'}`);
+    if (!file.startsWith(publicDir + path.sep)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    fs.readFile(file, (error, body) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        if (file === path.join(publicDir, SERVICE_WORKER)) {
+            body = stampServiceWorker(body.toString('utf8'), cacheVersion(publicDir));
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+}
+
+/**
+ * Create the app server
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Round storage backend (file storage by default)
+ * @param {string} [options.publicDir] - Static files served
+ * @returns {http.Server} Not yet listening; call listen(port)
+ */
+function createAppServer({ storage = createFileStorage(process.env.ROUNDS_DIR), publicDir = PUBLIC_DIR } = {}) {
+    const handleRpc = createRpcHandler(createRoundApi(storage));
+    const root = path.resolve(publicDir);
+    const server = http.createServer((req, res) => {
+        // One bad request must never take the server down
+        try {
+            if (!handleRpc(req, res)) {
+                serveStatic(root, req, res);
+            }
+        } catch (error) {
+            console.error('[server] Request failed:', error);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+            }
+            res.end();
+        }
+    });
+    attachRelay(server);
+    return server;
+}
+
+module.exports = { createAppServer };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    createAppServer().listen(port, () => {
+        console.log(`[server] Jounce Golf on http://localhost:${port}`);
+    });
+}
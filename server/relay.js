@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * Jounce Golf - Reference WebSocket Relay
+ *
+ * A dependency-free relay for the client-runtime WebSocketClient protocol.
+ * Clients send JSON envelopes { type, data, timestamp, id }:
+ *
+ *   join_room  { room, role?, secret? } - start receiving the room's messages;
+ *                                         role 'spectator' makes the whole
+ *                                         connection read-only for good
+ *   leave_room { room }
+ *   broadcast  { room, type, data }     - forwarded to every other member as
+ *                                         { type, data, room, timestamp }
+ *                                         (ignored from spectators)
+ *
+ * Round rooms are named after the round's scorer secret ('round:<secret>',
+ * see scorer-secret.js), so only scorers can join them; a 'round:' room
+ * with any other name cannot be joined. Watch rooms ('watch:<token>') are
+ * where scoring devices publish to spectators: a scorer joins with
+ * { secret } and may broadcast there when the token is the one derived
+ * from that secret. Everyone else in a watch room only receives, and
+ * spectators never need the round's secret.
+ *
+ * Members get { type: 'presence', data: { room, count, spectators } }
+ * whenever someone joins or leaves (count excludes spectators). The relay
+ * keeps no round state; devices answer each other's sync requests.
+ *
+ * Usage:
+ *   node server/relay.js            # listens on PORT or 8787
+ *
+ *   const { createRelayServer } = require('./server/relay');
+ *   const relay = createRelayServer();
+ *   relay.listen(0, () => console.log(relay.address().port));
+ *
+ *   attachRelay(existingHttpServer);   // share a port with other routes
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { isSecret, watchTokenFor } = require('./scorer-secret');
+
+const DEFAULT_PORT = 8787;
+
+const ROUND_ROOM_PREFIX = 'round:';
+const WATCH_ROOM_PREFIX = 'watch:';
+
+// Largest message accepted (a full round snapshot is a few KB)
+const MAX_PAYLOAD = 1024 * 1024;
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * Encode a server-to-client frame (never masked)
+ *
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read one frame from the start of a buffer
+ *
+ * @param {Buffer} buffer
+ * @returns {?Object} { fin, opcode, payload, length } or null when incomplete
+ * @throws {RangeError} When the frame is larger than MAX_PAYLOAD
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > MAX_PAYLOAD) {
+        throw new RangeError(`Frame of ${length} bytes exceeds ${MAX_PAYLOAD}`);
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+        offset += 4;
+    }
+    if (buffer.length < offset + length) {
+        return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+    return { fin, opcode, payload, length: offset + length };
+}
+
+/**
+ * One connected client: frame parsing, sending and room membership
+ */
+class RelayConnection {
+    constructor(socket, relay) {
+        this.socket = socket;
+        this.relay = relay;
+        this.rooms = new Set();
+        // Watch rooms this connection proved it may publish to
+        this.publishes = new Set();
+        // Set by the first spectator join; rejoining without the role does not clear it
+        this.spectator = false;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        // A client that goes away without a close frame leaves its rooms too
+        socket.on('end', () => this.close(1000));
+        socket.on('close', () => this.cleanup());
+        socket.on('error', () => this.cleanup());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        try {
+            let frame;
+            while (!this.closed && (frame = decodeFrame(this.buffer))) {
+                this.buffer = this.buffer.subarray(frame.length);
+                this.handleFrame(frame);
+            }
+        } catch (error) {
+            this.close(1009, error.message);
+        }
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.ping) {
+            this.write(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.close) {
+            this.close(1000);
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+            // The limit holds for the whole message, not just each fragment
+            this.fragmentsLength += payload.length;
+            if (this.fragmentsLength > MAX_PAYLOAD) {
+                this.close(1009, `Message exceeds ${MAX_PAYLOAD} bytes`);
+                return;
+            }
+            this.fragments.push(payload);
+            if (fin) {
+                const text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.fragmentsLength = 0;
+                this.handleMessage(text);
+            }
+        }
+    }
+
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        const data = message.data || {};
+        if (typeof data.room !== 'string' || data.room === '') {
+            return;
+        }
+
+        if (message.type === 'join_room') {
+            if (data.role === 'spectator') {
+                this.spectator = true;
+            }
+            this.relay.join(this, data.room, typeof data.secret === 'string' ? data.secret : null);
+        } else if (message.type === 'leave_room') {
+            this.relay.leave(this, data.room);
+        } else if (message.type === 'broadcast' && this.relay.canBroadcast(this, data.room)) {
+            this.relay.broadcast(data.room, { type: data.type, data: data.data, room: data.room, timestamp: Date.now() }, this);
+        }
+    }
+
+    send(message) {
+        this.write(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    write(opcode, payload) {
+        if (!this.closed && this.socket.writable) {
+            this.socket.write(encodeFrame(opcode, payload));
+        }
+    }
+
+    close(code, reason = '') {
+        if (this.closed) {
+            return;
+        }
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.write(OPCODES.close, payload);
+        this.cleanup();
+        this.socket.end();
+    }
+
+    cleanup() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        for (const room of [...this.rooms]) {
+            this.relay.leave(this, room);
+        }
+        this.relay.connections.delete(this);
+    }
+}
+
+/**
+ * Relay WebSocket upgrades on an existing http.Server
+ *
+ * @param {http.Server} server
+ * @returns {Object} The relay, with its rooms and connections
+ */
+function attachRelay(server) {
+    const rooms = new Map();
+    const connections = new Set();
+
+    const relay = {
+        rooms,
+        connections,
+        join(connection, room, secret = null) {
+            if (room.startsWith(ROUND_ROOM_PREFIX) && !isSecret(room.slice(ROUND_ROOM_PREFIX.length))) {
+                return;
+            }
+            if (!rooms.has(room)) {
+                rooms.set(room, new Set());
+            }
+            rooms.get(room).add(connection);
+            connection.rooms.add(room);
+            if (secret && room.startsWith(WATCH_ROOM_PREFIX) && !connection.spectator
+                && isSecret(secret) && watchTokenFor(secret) === room.slice(WATCH_ROOM_PREFIX.length)) {
+                connection.publishes.add(room);
+            }
+            this.presence(room);
+        },
+        leave(connection, room) {
+            const members = rooms.get(room);
+            connection.rooms.delete(room);
+            connection.publishes.delete(room);
+            if (!members) {
+                return;
+            }
+            members.delete(connection);
+            if (members.size === 0) {
+                rooms.delete(room);
+            } else {
+                this.presence(room);
+            }
+        },
+        broadcast(room, message, sender = null) {
+            for (const member of rooms.get(room) || []) {
+                if (member !== sender) {
+                    member.send(message);
+                }
+            }
+        },
+        canBroadcast(connection, room) {
+            if (connection.spectator || !connection.rooms.has(room)) {
+                return false;
+            }
+            return !room.startsWith(WATCH_ROOM_PREFIX) || connection.publishes.has(room);
+        },
+        presence(room) {
+            const members = [...rooms.get(room)];
+            const spectators = members.filter(member => member.spectator).length;
+            this.broadcast(room, { type: 'presence', data: { room, count: members.length - spectators, spectators }, room, timestamp: Date.now() });
+        },
+    };
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', '',
+        ].join('\r\n'));
+        connections.add(new RelayConnection(socket, relay));
+    });
+
+    // Close open sockets too, so close() does not wait on idle clients
+    const close = server.close.bind(server);
+    server.close = (callback) => {
+        for (const connection of [...connections]) {
+            connection.close(1001, 'Server shutting down');
+        }
+        return close(callback);
+    };
+
+    return relay;
+}
+
+/**
+ * Create the relay: an http.Server that upgrades /, answers GET / with a
+ * health check, and relays room messages between connections
+ *
+ * @returns {http.Server} Not yet listening; call listen(port)
+ */
+function createRelayServer() {
+    let relay = null;
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, rooms: relay.rooms.size, connections: relay.connections.size }));
+    });
+    relay = attachRelay(server);
+    return server;
+}
+
+module.exports = { createRelayServer, attachRelay, encodeFrame, decodeFrame, DEFAULT_PORT, MAX_PAYLOAD };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    createRelayServer().listen(port, () => {
+        console.log(`[relay] Listening on ws://localhost:${port}`);
+    });
+}
@@ -0,0 +1,324 @@
+/**
+ * Jounce Golf - Round API
+ *
+ * The functions served at /rpc/:fn (see rpc.js). Rounds are stored as the
+ * client's Round.toJSON() snapshots; a round is finished once it has a
+ * finishedAt, the same as in the client archive.
+ *
+ *   createRound  { snapshot }                                   -> snapshot
+ *   updateRound  { id, secret, changes }                        -> snapshot
+ *   getRound     { id, secret }                                 -> snapshot
+ *   watchRound   { token }                                      -> snapshot filed under the token
+ *   submitScore  { id, secret, playerId, holeNumber, strokes }  -> { id, playerId, holeNumber, strokes, updatedAt }
+ *   submitStats  { id, secret, playerId, holeNumber, stats }    -> { id, playerId, holeNumber, stats, updatedAt }
+ *   listRounds   { status: 'all'|'active'|'finished' }          -> [{ startedAt, finishedAt, course, holeCount, players }]
+ *   finishRound  { id, secret, snapshot? }                      -> snapshot
+ *
+ * A round belongs to whoever holds its scorer secret (snapshot.secret, see
+ * scorer-secret.js): only a hash of it is stored, and every call naming a
+ * round by id needs it (403 'forbidden' otherwise). Nothing answers an
+ * anonymous caller with a round id - listRounds leaves them out, and
+ * watchRound files the round under its watch token.
+ *
+ * Several devices can score one round, so a stored round is only ever
+ * changed a field at a time: createRound stores a new round and leaves one
+ * the server already has as it is, updateRound sets round settings
+ * (ROUND_FIELDS), and submitScore / submitStats set one player's hole.
+ * A late or repeated snapshot can therefore never undo another device's
+ * scores. Every call can be repeated safely; finishing twice keeps the
+ * first finishedAt.
+ *
+ * Usage:
+ *   const api = createRoundApi(createFileStorage());
+ *   await api.submitScore({ id, secret, playerId, holeNumber: 4, strokes: 5 });
+ */
+
+'use strict';
+
+const { isSecret, hashSecret, secretMatches, watchTokenFor } = require('./scorer-secret');
+
+// Ids become file names in the file backend
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Highest stroke count accepted on one hole
+const MAX_STROKES = 20;
+
+const ROUND_STATUSES = ['all', 'active', 'finished'];
+
+// Round settings updateRound can change
+const ROUND_FIELDS = ['players', 'holeCount', 'startHole', 'course', 'teeName', 'game'];
+
+// Stats recorded per hole (the client's HOLE_STAT_FIELDS in public/stats.js)
+const HOLE_STAT_FIELDS = ['putts', 'fairway', 'penalties', 'sand'];
+
+/**
+ * An error reported to the caller as { error: { code, message } } with an
+ * HTTP status
+ */
+class RpcError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'RpcError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function invalid(message) {
+    return new RpcError(400, 'invalid_params', message);
+}
+
+function checkId(id, what = 'id') {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+        throw invalid(`${what} must be 1-64 letters, digits, _ or -`);
+    }
+}
+
+function checkSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') {
+        throw invalid('snapshot is required');
+    }
+    checkId(snapshot.id, 'snapshot.id');
+    if (!isSecret(snapshot.secret)) {
+        throw invalid('snapshot.secret must be 32 hex digits');
+    }
+    checkSettings(snapshot, 'snapshot.');
+    if (!snapshot.scores || typeof snapshot.scores !== 'object') {
+        throw invalid('snapshot.scores is required');
+    }
+}
+
+// Roster and layout of a snapshot, or of the changes to one
+function checkSettings(round, prefix = '') {
+    if (!Array.isArray(round.players) || round.players.length === 0) {
+        throw invalid(`${prefix}players must list at least one player`);
+    }
+    round.players.forEach(player => checkId(player && player.id, 'player id'));
+    if (!Number.isInteger(round.holeCount) || !Number.isInteger(round.startHole)) {
+        throw invalid(`${prefix}holeCount and ${prefix}startHole must be whole numbers`);
+    }
+}
+
+function checkChanges(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw invalid('changes is required');
+    }
+    const unknown = Object.keys(changes).filter(field => !ROUND_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw invalid(`changes can only set ${ROUND_FIELDS.join(', ')} (got ${unknown.join(', ')})`);
+    }
+    if ('game' in changes && (!changes.game || typeof changes.game !== 'object')) {
+        throw invalid('changes.game must be an object');
+    }
+}
+
+// The player and hole a score or stats submission is for
+function checkHole(snapshot, playerId, holeNumber) {
+    if (snapshot.finishedAt) {
+        throw new RpcError(409, 'round_finished', `Round ${snapshot.id} is already finished`);
+    }
+    if (!snapshot.players.some(player => player.id === playerId)) {
+        throw invalid(`Player ${playerId} is not in round ${snapshot.id}`);
+    }
+    const lastHole = snapshot.startHole + snapshot.holeCount - 1;
+    if (!Number.isInteger(holeNumber) || holeNumber < snapshot.startHole || holeNumber > lastHole) {
+        throw invalid(`holeNumber must be between ${snapshot.startHole} and ${lastHole}`);
+    }
+    return lastHole;
+}
+
+function checkStats(stats) {
+    if (!stats || typeof stats !== 'object' || Array.isArray(stats)) {
+        throw invalid('stats must be an object');
+    }
+    for (const [field, value] of Object.entries(stats)) {
+        if (!HOLE_STAT_FIELDS.includes(field)) {
+            throw invalid(`stats can only hold ${HOLE_STAT_FIELDS.join(', ')} (got ${field})`);
+        }
+        if (value !== null && typeof value !== 'number' && typeof value !== 'string') {
+            throw invalid(`stats.${field} must be a number or text`);
+        }
+    }
+}
+
+function summarize(snapshot) {
+    return {
+        startedAt: snapshot.startedAt || null,
+        finishedAt: snapshot.finishedAt || null,
+        course: snapshot.course ? snapshot.course.name : null,
+        holeCount: snapshot.holeCount,
+        players: snapshot.players.map(player => player.name),
+    };
+}
+
+// A snapshot as stored: the secret swapped for its hash, filed under its watch token
+function toStored(snapshot) {
+    const { secret, ...round } = snapshot;
+    return { ...round, secretHash: hashSecret(secret), watchToken: watchTokenFor(secret) };
+}
+
+// A stored round as callers get it
+function fromStored(stored) {
+    const { secretHash, ...round } = stored;
+    return round;
+}
+
+function forbidden(id) {
+    return new RpcError(403, 'forbidden', `Wrong scorer secret for round ${id}`);
+}
+
+/**
+ * The round API over a storage backend (see storage.js)
+ *
+ * @param {Object} storage - { get, put, list }
+ * @returns {Object} { createRound, updateRound, getRound, watchRound, submitScore, submitStats, listRounds, finishRound }
+ */
+function createRoundApi(storage) {
+    // Changes to one round run one at a time, so concurrent scores are not lost
+    const pending = new Map();
+    function withRound(id, change) {
+        const previous = pending.get(id) || Promise.resolve();
+        const next = previous.then(change, change);
+        const settled = next.catch(() => {});
+        pending.set(id, settled);
+        settled.then(() => {
+            if (pending.get(id) === settled) {
+                pending.delete(id);
+            }
+        });
+        return next;
+    }
+
+    // A stored round, for a caller holding its secret
+    async function load(id, secret) {
+        checkId(id);
+        const snapshot = await storage.get(id);
+        if (!snapshot) {
+            throw new RpcError(404, 'not_found', `No round with id ${id}`);
+        }
+        if (!secretMatches(secret, snapshot.secretHash)) {
+            throw forbidden(id);
+        }
+        return snapshot;
+    }
+
+    return {
+        async createRound({ snapshot } = {}) {
+            checkSnapshot(snapshot);
+            return withRound(snapshot.id, async () => {
+                const existing = await storage.get(snapshot.id);
+                if (existing) {
+                    if (!secretMatches(snapshot.secret, existing.secretHash)) {
+                        throw forbidden(snapshot.id);
+                    }
+                    return fromStored(existing);
+                }
+                const { finishedAt, ...round } = snapshot;
+                const stored = toStored(round);
+                await storage.put(stored);
+                return fromStored(stored);
+            });
+        },
+
+        async updateRound({ id, secret, changes } = {}) {
+            checkId(id);
+            checkChanges(changes);
+            return withRound(id, async () => {
+                const snapshot = await load(id, secret);
+                if (snapshot.finishedAt) {
+                    throw new RpcError(409, 'round_finished', `Round ${id} is already finished`);
+                }
+                const round = { ...snapshot, ...changes, updatedAt: new Date().toISOString() };
+                checkSettings(round, 'changes.');
+                await storage.put(round);
+                return fromStored(round);
+            });
+        },
+
+        async getRound({ id, secret } = {}) {
+            return fromStored(await load(id, secret));
+        },
+
+        // For read-only links, which carry a shared round's watch token but not its id
+        async watchRound({ token } = {}) {
+            checkId(token, 'token');
+            const snapshot = (await storage.list()).find(round => round.watchToken === token);
+            if (!snapshot) {
+                throw new RpcError(404, 'not_found', `No round with watch token ${token}`);
+            }
+            return { ...fromStored(snapshot), id: token };
+        },
+
+        async submitScore({ id, secret, playerId, holeNumber, strokes } = {}) {
+            checkId(id);
+            return withRound(id, async () => {
+                const snapshot = await load(id, secret);
+                const lastHole = checkHole(snapshot, playerId, holeNumber);
+                if (!Number.isInteger(strokes) || strokes < 0 || strokes > MAX_STROKES) {
+                    throw invalid(`strokes must be a whole number from 0 to ${MAX_STROKES}`);
+                }
+
+                const row = Array.from({ length: lastHole }, (_, i) => (snapshot.scores[playerId] || [])[i] || 0);
+                row[holeNumber - 1] = strokes;
+                const updatedAt = new Date().toISOString();
+                await storage.put({ ...snapshot, scores: { ...snapshot.scores, [playerId]: row }, updatedAt });
+                return { id, playerId, holeNumber, strokes, updatedAt };
+            });
+        },
+
+        // stats replaces what was recorded for the player on that hole ({} clears it)
+        async submitStats({ id, secret, playerId, holeNumber, stats } = {}) {
+            checkId(id);
+            checkStats(stats);
+            return withRound(id, async () => {
+                const snapshot = await load(id, secret);
+                checkHole(snapshot, playerId, holeNumber);
+                const allStats = snapshot.stats || {};
+                const playerStats = { ...allStats[playerId], [holeNumber]: stats };
+                const updatedAt = new Date().toISOString();
+                await storage.put({ ...snapshot, stats: { ...allStats, [playerId]: playerStats }, updatedAt });
+                return { id, playerId, holeNumber, stats, updatedAt };
+            });
+        },
+
+        async listRounds({ status = 'all' } = {}) {
+            if (!ROUND_STATUSES.includes(status)) {
+                throw invalid(`status must be one of ${ROUND_STATUSES.join(', ')}`);
+            }
+            const rounds = (await storage.list())
+                .filter(snapshot => status === 'all' || (status === 'finished') === Boolean(snapshot.finishedAt))
+                .map(summarize);
+            // Newest first, by the date the round is filed under
+            const date = round => round.finishedAt || round.startedAt || '';
+            return rounds.sort((a, b) => date(b).localeCompare(date(a)));
+        },
+
+        async finishRound({ id, secret, snapshot } = {}) {
+            if (snapshot) {
+                checkSnapshot(snapshot);
+                if (snapshot.id !== id || snapshot.secret !== secret) {
+                    throw invalid('snapshot.id and snapshot.secret must match id and secret');
+                }
+            }
+            checkId(id);
+            return withRound(id, async () => {
+                const existing = await storage.get(id);
+                if (existing && !secretMatches(secret, existing.secretHash)) {
+                    throw forbidden(id);
+                }
+                if (existing && existing.finishedAt) {
+                    return fromStored(existing);
+                }
+                if (!existing && !snapshot) {
+                    throw new RpcError(404, 'not_found', `No round with id ${id}`);
+                }
+                // The snapshot only stands in for a round the server never got
+                const round = { ...(existing || toStored(snapshot)), finishedAt: (snapshot && snapshot.finishedAt) || new Date().toISOString() };
+                await storage.put(round);
+                return fromStored(round);
+            });
+        },
+    };
+}
+
+module.exports = { createRoundApi, RpcError, ROUND_STATUSES, ROUND_FIELDS, MAX_STROKES };
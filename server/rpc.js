@@ -0,0 +1,102 @@
+/**
+ * Jounce Golf - RPC Endpoint
+ *
+ * Serves an API object at POST /rpc/:fn for the client-runtime RPCClient:
+ * the request body is the JSON params, the response body the JSON result.
+ * Failures answer with an HTTP status and { error: { code, message } }:
+ *
+ *   400 invalid_json / invalid_params    404 unknown_function / not_found
+ *   405 method_not_allowed               409 round_finished
+ *   413 payload_too_large                500 internal
+ *
+ * Usage:
+ *   const handle = createRpcHandler(createRoundApi(createFileStorage()));
+ *   http.createServer((req, res) => handle(req, res) || serveStatic(req, res));
+ */
+
+'use strict';
+
+const { RpcError } = require('./rounds');
+
+// Largest request body accepted (a round snapshot is a few KB)
+const MAX_BODY = 1024 * 1024;
+
+const RPC_PATH = /^\/rpc\/([A-Za-z][A-Za-z0-9_]*)\/?$/;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new RpcError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create a request handler for /rpc/:fn
+ *
+ * @param {Object} api - Async functions by name, each taking one params object
+ * @returns {Function} (req, res) => boolean - false when the URL is not an RPC
+ *          call (the response is left alone), true when it was handled
+ */
+function createRpcHandler(api) {
+    return function handleRpc(req, res) {
+        let pathname;
+        try {
+            pathname = new URL(req.url, 'http://localhost').pathname;
+        } catch (error) {
+            // Not a URL an RPC call could have; the caller answers it
+            return false;
+        }
+        const match = RPC_PATH.exec(pathname);
+        if (!match) {
+            return false;
+        }
+        (async () => {
+            const fn = match[1];
+            if (req.method !== 'POST') {
+                res.setHeader('Allow', 'POST');
+                throw new RpcError(405, 'method_not_allowed', 'RPC calls must be POST');
+            }
+            if (!Object.prototype.hasOwnProperty.call(api, fn) || typeof api[fn] !== 'function') {
+                throw new RpcError(404, 'unknown_function', `Unknown function ${fn}`);
+            }
+            const text = await readBody(req);
+            let params;
+            try {
+                params = text ? JSON.parse(text) : {};
+            } catch (error) {
+                throw new RpcError(400, 'invalid_json', 'Request body is not valid JSON');
+            }
+            if (!params || typeof params !== 'object' || Array.isArray(params)) {
+                throw new RpcError(400, 'invalid_params', 'Params must be a JSON object');
+            }
+            sendJson(res, 200, await api[fn](params));
+        })().catch(error => {
+            if (!(error instanceof RpcError)) {
+                console.error('[rpc] Unexpected error:', error);
+                error = new RpcError(500, 'internal', 'Internal server error');
+            }
+            if (!res.headersSent) {
+                sendJson(res, error.status, { error: { code: error.code, message: error.message } });
+            }
+        });
+        return true;
+    };
+}
+
+module.exports = { createRpcHandler, MAX_BODY };
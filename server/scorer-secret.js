@@ -0,0 +1,60 @@
+/**
+ * Jounce Golf - Scorer Secrets
+ *
+ * Every round has a scorer secret: 32 random hex digits the app creates
+ * with the round (round.meta.secret). Scorers share it as the join code,
+ * the round API asks for it before reading or changing a round, and the
+ * relay names the round's room after it. Its watch token, for read-only
+ * links, is derived from it, so the relay and the round API can tell who
+ * may publish a round to spectators without keeping any state, and the
+ * token gives nothing away about the secret.
+ *
+ * The app computes the same watch token in public/live-sync.js.
+ *
+ * Usage:
+ *   const token = watchTokenFor(secret);
+ *   if (!secretMatches(secret, stored.secretHash)) { ... }
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const SECRET_PATTERN = /^[0-9a-f]{32}$/;
+
+function isSecret(secret) {
+    return typeof secret === 'string' && SECRET_PATTERN.test(secret);
+}
+
+// What the round API stores instead of the secret
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * True when secret is the one hashed into secretHash
+ *
+ * @param {string} secret
+ * @param {?string} secretHash
+ * @returns {boolean}
+ */
+function secretMatches(secret, secretHash) {
+    if (!isSecret(secret) || typeof secretHash !== 'string') {
+        return false;
+    }
+    const given = Buffer.from(hashSecret(secret), 'hex');
+    const stored = Buffer.from(secretHash, 'hex');
+    return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+/**
+ * Watch token of a round: 32 hex digits of SHA-256('watch:' + secret)
+ *
+ * @param {string} secret
+ * @returns {string}
+ */
+function watchTokenFor(secret) {
+    return crypto.createHash('sha256').update(`watch:${secret}`).digest('hex').slice(0, 32);
+}
+
+module.exports = { SECRET_PATTERN, isSecret, hashSecret, secretMatches, watchTokenFor };
@@ -0,0 +1,99 @@
+/**
+ * Jounce Golf - Round Storage Backends
+ *
+ * The round API (see rounds.js) keeps rounds as Round.toJSON() snapshots in
+ * a storage backend. Any object with these async methods can be plugged in:
+ *
+ *   get(id)        -> snapshot or null
+ *   put(snapshot)  -> stores it under snapshot.id
+ *   list()         -> every stored snapshot
+ *
+ * createFileStorage() (the default) writes one JSON file per round;
+ * createMemoryStorage() keeps rounds in memory for local tries.
+ *
+ * Usage:
+ *   const storage = createFileStorage('./data/rounds');
+ *   await storage.put(snapshot);
+ *   await storage.get(snapshot.id);
+ */
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where the file backend keeps rounds unless told otherwise
+const DEFAULT_ROUNDS_DIR = path.join(__dirname, '..', 'data', 'rounds');
+
+/**
+ * One JSON file per round in a directory (created on first write)
+ *
+ * @param {string} [dir=DEFAULT_ROUNDS_DIR]
+ * @returns {Object} Storage backend
+ */
+function createFileStorage(dir = DEFAULT_ROUNDS_DIR) {
+    // Round ids are checked by the API before they reach a file name
+    const fileFor = id => path.join(dir, `${id}.json`);
+
+    return {
+        async get(id) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async put(snapshot) {
+            await fs.mkdir(dir, { recursive: true });
+            // Write then rename, so a crash never leaves half a round behind
+            const file = fileFor(snapshot.id);
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(snapshot));
+            await fs.rename(temp, file);
+        },
+
+        async list() {
+            let names;
+            try {
+                names = await fs.readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+            const ids = names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -'.json'.length));
+            const rounds = await Promise.all(ids.map(id => this.get(id)));
+            return rounds.filter(Boolean);
+        },
+    };
+}
+
+/**
+ * Rounds kept in memory (lost on restart)
+ *
+ * @returns {Object} Storage backend
+ */
+function createMemoryStorage() {
+    const rounds = new Map();
+    // Copies in and out, like a real backend
+    const copy = snapshot => JSON.parse(JSON.stringify(snapshot));
+
+    return {
+        async get(id) {
+            return rounds.has(id) ? copy(rounds.get(id)) : null;
+        },
+        async put(snapshot) {
+            rounds.set(snapshot.id, copy(snapshot));
+        },
+        async list() {
+            return [...rounds.values()].map(copy);
+        },
+    };
+}
+
+module.exports = { createFileStorage, createMemoryStorage, DEFAULT_ROUNDS_DIR };
@@ -0,0 +1,38 @@
+/**
+ * Jounce Golf - Service worker cache version tests
+ *
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cacheVersion, stampServiceWorker } = require('../server/cache-version');
+
+test('the cache version changes with any app file but not with sw.js', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jounce-golf-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'icons'));
+    fs.writeFileSync(path.join(dir, 'client.js'), 'one');
+    fs.writeFileSync(path.join(dir, 'icons', 'icon.svg'), '<svg/>');
+    fs.writeFileSync(path.join(dir, 'sw.js'), "const CACHE_VERSION = 'v1';");
+    const first = cacheVersion(dir);
+    assert.match(first, /^[0-9a-f]{12}$/);
+
+    fs.writeFileSync(path.join(dir, 'sw.js'), "const CACHE_VERSION = 'v2';");
+    assert.strictEqual(cacheVersion(dir), first);
+
+    fs.writeFileSync(path.join(dir, 'icons', 'icon.svg'), '<svg></svg>');
+    assert.notStrictEqual(cacheVersion(dir), first);
+});
+
+test('stamping replaces only the CACHE_VERSION line', () => {
+    const source = "// Bump\nconst CACHE_VERSION = 'v4';\nconst CACHE_NAME = `x${CACHE_VERSION}`;\n";
+    assert.strictEqual(stampServiceWorker(source, 'abc123'),
+        "// Bump\nconst CACHE_VERSION = 'abc123';\nconst CACHE_NAME = `x${CACHE_VERSION}`;\n");
+    assert.throws(() => stampServiceWorker('const VERSION = 1;', 'abc123'), /No CACHE_VERSION/);
+});
@@ -0,0 +1,150 @@
+/**
+ * Jounce Golf - RPC client tests
+ *
+ * Run with: node --test
+ *
+ * fetch is replaced per test by a stub that answers from a list of
+ * responses (or never answers, until its signal aborts).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { RPCClient, RPCError, CancelToken, JounceRouter } from '../public/client-runtime.js';
+
+const realFetch = globalThis.fetch;
+
+// Stub fetch: each call takes the next reply, a status/body pair or 'hang'
+function stubFetch(t, replies) {
+    const calls = [];
+    globalThis.fetch = async (url, init) => {
+        calls.push({ url, body: JSON.parse(init.body) });
+        const reply = replies[Math.min(calls.length, replies.length) - 1];
+        if (reply === 'hang') {
+            return new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+            });
+        }
+        const [status, body] = reply;
+        return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    };
+    t.after(() => { globalThis.fetch = realFetch; });
+    return calls;
+}
+
+// A client that records its backoff delays instead of sleeping
+function createClient(options = {}) {
+    const client = new RPCClient('', { retries: 2, retryDelay: 100, idempotent: ['getRound'], ...options });
+    client.delays = [];
+    client.wait = async ms => { client.delays.push(ms); };
+    return client;
+}
+
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected the call to fail');
+}
+
+test('a successful call posts the params and returns the body', async t => {
+    const calls = stubFetch(t, [[200, { id: 'r1' }]]);
+    const result = await createClient().call('getRound', { id: 'r1' });
+    assert.deepStrictEqual(result, { id: 'r1' });
+    assert.deepStrictEqual(calls, [{ url: '/rpc/getRound', body: { id: 'r1' } }]);
+});
+
+test('4xx errors are typed and not retried', async t => {
+    const calls = stubFetch(t, [[404, { error: { code: 'not_found', message: 'No round r1' } }]]);
+    const error = await rejection(createClient().call('getRound', { id: 'r1' }));
+    assert.ok(error instanceof RPCError);
+    assert.strictEqual(error.status, 404);
+    assert.strictEqual(error.code, 'not_found');
+    assert.strictEqual(error.message, 'No round r1');
+    assert.strictEqual(error.functionName, 'getRound');
+    assert.strictEqual(error.retryable, false);
+    assert.strictEqual(calls.length, 1);
+});
+
+test('5xx errors are retried with jittered backoff', async t => {
+    const calls = stubFetch(t, [[503, {}], [500, {}], [200, { ok: true }]]);
+    const client = createClient();
+    assert.deepStrictEqual(await client.call('getRound', {}), { ok: true });
+    assert.strictEqual(calls.length, 3);
+    // Each delay falls between half and all of the doubled base delay
+    assert.strictEqual(client.delays.length, 2);
+    client.delays.forEach((ms, attempt) => {
+        const full = 100 * 2 ** attempt;
+        assert.ok(ms >= full / 2 && ms <= full, `delay ${ms} for attempt ${attempt}`);
+    });
+});
+
+test('retries stop after the limit with the last error', async t => {
+    const calls = stubFetch(t, [[502, {}]]);
+    const error = await rejection(createClient().call('getRound', {}));
+    assert.strictEqual(error.code, 'http_502');
+    assert.strictEqual(error.retryable, true);
+    assert.strictEqual(calls.length, 3);
+});
+
+test('calls that are not idempotent are never retried', async t => {
+    const calls = stubFetch(t, [[500, {}]]);
+    await rejection(createClient().call('submitScore', {}));
+    assert.strictEqual(calls.length, 1);
+});
+
+test('a call that outlives its timeout is aborted and retried', async t => {
+    const calls = stubFetch(t, ['hang', [200, { ok: true }]]);
+    const client = createClient();
+    assert.deepStrictEqual(await client.call('getRound', {}, { timeout: 5 }), { ok: true });
+    assert.strictEqual(calls.length, 2);
+
+    stubFetch(t, ['hang']);
+    const error = await rejection(client.call('getRound', {}, { timeout: 5, retries: 0 }));
+    assert.strictEqual(error.code, 'timeout');
+    assert.strictEqual(error.retryable, true);
+});
+
+test('a cancelled token aborts the call and is not retried', async t => {
+    const calls = stubFetch(t, ['hang']);
+    const cancelToken = new CancelToken();
+    const pending = createClient().call('getRound', {}, { cancelToken });
+    cancelToken.cancel('Left the page');
+    const error = await rejection(pending);
+    assert.strictEqual(error.code, 'cancelled');
+    assert.strictEqual(error.message, 'getRound was cancelled: Left the page');
+    assert.strictEqual(calls.length, 1);
+
+    // Already cancelled: no request is made
+    await rejection(createClient().call('getRound', {}, { cancelToken }));
+    assert.strictEqual(calls.length, 1);
+});
+
+test('navigating away cancels the page\'s calls', async t => {
+    const realWindow = globalThis.window;
+    globalThis.window = {
+        location: { pathname: '/' },
+        history: { pushState: () => {} },
+        addEventListener: () => {},
+    };
+    t.after(() => { globalThis.window = realWindow; });
+    stubFetch(t, ['hang']);
+
+    const router = new JounceRouter();
+    const rendered = [];
+    router.route('/', () => rendered.push('/'));
+    router.route('/round/:id', () => rendered.push(router.getParam('id')));
+    router.start();
+
+    const { cancelToken } = router;
+    const pending = createClient().call('getRound', {}, { cancelToken });
+    router.navigate('/round/r1');
+    const error = await rejection(pending);
+    assert.strictEqual(error.code, 'cancelled');
+    assert.strictEqual(cancelToken.reason, 'Navigated to /round/r1');
+    assert.deepStrictEqual(rendered, ['/', 'r1']);
+    // The new page gets a fresh token
+    assert.notStrictEqual(router.cancelToken, cancelToken);
+    assert.strictEqual(router.cancelToken.isCancelled, false);
+});
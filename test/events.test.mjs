@@ -0,0 +1,59 @@
+/**
+ * Jounce Golf - Event leaderboard tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { Round, createPlayer } from '../public/round.js';
+import { DEFAULT_COURSE } from '../public/course.js';
+import { eventLeaderboard } from '../public/events.js';
+
+// One card per player; strokes to par on each hole played
+function card(name, toPar) {
+    const round = new Round({ playerNames: [name], holeCount: 9, course: DEFAULT_COURSE });
+    const playerId = round.players.value[0].id;
+    toPar.forEach((strokes, i) => round.setScore(playerId, i + 1, round.holeInfo(i + 1).par + strokes));
+    return { id: name, card: round };
+}
+
+const board = (groups, basis = 'gross') => eventLeaderboard(groups, basis)
+    .map(entry => `${entry.tied ? 'T' : ''}${entry.position} ${entry.player.name}`);
+
+test('countback separates players level on score who have all finished', () => {
+    const ann = card('Ann', [1, 0, 0, 0, 0, 0, 0, 0, -1]);
+    const bob = card('Bob', [-1, 0, 0, 0, 0, 0, 0, 0, 1]);
+    const cat = card('Cat', [1, 1]);
+    assert.deepStrictEqual(board([bob, cat, ann]), ['1 Ann', '2 Bob', '3 Cat']);
+});
+
+test('nobody is separated by countback while someone level with them is still playing', () => {
+    const ann = card('Ann', [1, 0, 0, 0, 0, 0, 0, 0, -1]);
+    const bob = card('Bob', [-1, 0, 0, 0, 0, 0, 0, 0, 1]);
+    const cat = card('Cat', [0, 0]);
+    const dan = card('Dan', [-1]);
+    // Ann beats Bob on countback, but both are level with Cat, who cannot be compared on it
+    assert.deepStrictEqual(board([bob, cat, ann, dan]), ['1 Dan', 'T2 Ann', 'T2 Bob', 'T2 Cat']);
+});
+
+test('players who have not started share the last place untied', () => {
+    const ann = card('Ann', [0]);
+    const eve = card('Eve', []);
+    const fay = card('Fay', []);
+    const entries = eventLeaderboard([fay, ann, eve], 'points');
+    assert.deepStrictEqual(entries.map(entry => [entry.player.name, entry.position, entry.tied]),
+        [['Ann', 1, false], ['Eve', 2, false], ['Fay', 2, false]]);
+});
+
+test('a net score of 0 counts on the net and points bases', () => {
+    // A stroke on every hole: an ace on the par-3 3rd is net 0
+    const round = new Round({ players: [createPlayer('Ann', { handicapIndex: 18 })], holeCount: 18, course: DEFAULT_COURSE });
+    const playerId = round.players.value[0].id;
+    round.setScore(playerId, 1, 5);
+    round.setScore(playerId, 3, 1);
+    const [net] = eventLeaderboard([{ id: 'a', card: round }], 'net');
+    assert.deepStrictEqual([net.thru, net.score], [2, -3]);
+    const [points] = eventLeaderboard([{ id: 'a', card: round }], 'points');
+    assert.strictEqual(points.score, 2 + 5);
+});
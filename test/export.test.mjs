@@ -0,0 +1,113 @@
+/**
+ * Jounce Golf - Export tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { roundsToCsv, roundsToJson, exportFileName, CSV_COLUMNS, EXPORT_FORMAT, EXPORT_SCHEMA_VERSION } from '../public/export.js';
+import { Round, createPlayer } from '../public/round.js';
+import { DEFAULT_COURSE } from '../public/course.js';
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            rows.push([...row, field]);
+            row = [];
+            field = '';
+            i++;
+        } else {
+            field += char;
+        }
+    }
+    return rows;
+}
+
+function sampleRound(name = 'Ann') {
+    const round = new Round({
+        players: [createPlayer(name, { handicapIndex: 18 })],
+        holeCount: 9,
+        course: DEFAULT_COURSE,
+    });
+    const [player] = round.players.value;
+    round.setScore(player.id, 1, 3);
+    round.setScore(player.id, 2, 6);
+    round.setHoleStat(player.id, 2, 'putts', 2);
+    return round;
+}
+
+test('CSV has a header and one row per player per hole', () => {
+    const round = sampleRound();
+    const rows = parseCsv(roundsToCsv([round.toJSON()]));
+    assert.deepStrictEqual(rows[0], CSV_COLUMNS);
+    assert.strictEqual(rows.length, 1 + 9);
+
+    const column = name => rows.slice(1).map(row => row[CSV_COLUMNS.indexOf(name)]);
+    assert.deepStrictEqual(column('hole'), ['1', '2', '3', '4', '5', '6', '7', '8', '9']);
+    assert.deepStrictEqual(column('round_id'), Array(9).fill(round.meta.value.id));
+    // An unplayed hole leaves strokes, net and to par empty
+    assert.strictEqual(column('strokes')[2], '');
+    assert.strictEqual(column('net')[2], '');
+    assert.strictEqual(column('to_par')[2], '');
+    assert.deepStrictEqual(column('putts').slice(0, 3), ['', '2', '']);
+});
+
+test('CSV quotes fields holding commas, quotes and line breaks', () => {
+    const name = 'Smith, "Jr"\nthe second';
+    const csv = roundsToCsv([sampleRound(name).toJSON()]);
+    assert.ok(csv.includes('"Smith, ""Jr""\nthe second"'));
+    const rows = parseCsv(csv);
+    assert.strictEqual(rows.length, 1 + 9);
+    assert.ok(rows.slice(1).every(row => row.length === CSV_COLUMNS.length));
+    assert.strictEqual(rows[1][CSV_COLUMNS.indexOf('player')], name);
+});
+
+test('CSV defuses text a spreadsheet would run as a formula', () => {
+    for (const name of ['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)']) {
+        const rows = parseCsv(roundsToCsv([sampleRound(name).toJSON()]));
+        assert.strictEqual(rows[1][CSV_COLUMNS.indexOf('player')], `'${name}`);
+    }
+    // Numbers are data, not formulas: a birdie stays -1
+    const rows = parseCsv(roundsToCsv([sampleRound().toJSON()]));
+    assert.strictEqual(rows[1][CSV_COLUMNS.indexOf('to_par')], '-1');
+});
+
+test('JSON export round-trips through Round.fromJSON without the scorer secret', () => {
+    const snapshots = [sampleRound('Ann').toJSON(), sampleRound('Bob').toJSON()];
+    const envelope = JSON.parse(roundsToJson(snapshots));
+    assert.strictEqual(envelope.format, EXPORT_FORMAT);
+    assert.strictEqual(envelope.schemaVersion, EXPORT_SCHEMA_VERSION);
+    assert.ok(!Number.isNaN(Date.parse(envelope.exportedAt)));
+    // Everything but the scorer secret
+    const exported = snapshots.map(({ secret, ...snapshot }) => snapshot);
+    assert.deepStrictEqual(envelope.rounds, exported);
+    for (const [i, snapshot] of envelope.rounds.entries()) {
+        assert.deepStrictEqual(Round.fromJSON(snapshot).toJSON(), exported[i]);
+    }
+});
+
+test('file names are slugged and dated', () => {
+    assert.strictEqual(exportFileName('Pebble Beach!', 'csv', '2026-10-19T08:00:00Z'), 'jounce-golf-pebble-beach-2026-10-19.csv');
+    assert.strictEqual(exportFileName('***', 'json', '2026-10-19'), 'jounce-golf-export-2026-10-19.json');
+});
@@ -0,0 +1,153 @@
+/**
+ * Jounce Golf - Live sync tests
+ *
+ * Run with: node --test  (needs a global WebSocket: Node 22, or
+ * Node 20 with --experimental-websocket)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { createRequire } from 'node:module';
+import { Round, createSecret } from '../public/round.js';
+import { LiveSync, RoundWatcher } from '../public/live-sync.js';
+import { Outbox } from '../public/outbox.js';
+
+const require = createRequire(import.meta.url);
+const { createRelayServer } = require('../server/relay');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(check, timeout = 5000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out');
+        }
+        await wait(20);
+    }
+}
+
+async function startRelay(port = 0) {
+    const relay = createRelayServer();
+    await new Promise(resolve => relay.listen(port, resolve));
+    return relay;
+}
+
+test('room messages wait in the outbox while the relay is down and arrive in order', { skip: typeof WebSocket === 'undefined' && 'no global WebSocket' }, async () => {
+    let relay = await startRelay();
+    const port = relay.address().port;
+    const url = `ws://localhost:${port}`;
+
+    const card = new Round({ playerNames: ['Ann'] });
+    const playerId = card.players.value[0].id;
+    const outbox = new Outbox(entry => scorer.deliver(entry.params), { retryDelay: 20 });
+    const scorer = new LiveSync(card, { url, outbox });
+    scorer.share();
+
+    const copy = Round.fromJSON({ ...card.toJSON(), id: 'rpeer', secret: createSecret() });
+    const peer = new LiveSync(copy, { url });
+    peer.join(card.meta.value.secret);
+    await until(() => scorer.devices.value === 2);
+
+    card.setScore(playerId, 1, 4);
+    await until(() => copy.getScore(playerId, 1) === 4);
+
+    relay.close();
+    await until(() => scorer.status.value !== 'live');
+    card.setScore(playerId, 2, 6);
+    card.setScore(playerId, 2, 5);
+    card.setScore(playerId, 3, 3);
+    await until(() => outbox.pending.value === 2);
+    assert.deepStrictEqual(outbox._entries.map(e => [e.params.type, e.params.data.holeNumber, e.params.data.cell.strokes]),
+        [['score', 2, 5], ['score', 3, 3]]);
+
+    relay = await startRelay(port);
+    await until(() => outbox.pending.value === 0 && copy.getScore(playerId, 3) === 3);
+    assert.strictEqual(copy.getScore(playerId, 2), 5);
+
+    // Leaving the room drops whatever is still queued for it
+    scorer.stop();
+    await outbox.enqueue('broadcast', { room: `round:${card.meta.value.secret}`, type: 'score', data: {} });
+    await outbox.flush();
+    assert.strictEqual(outbox.pending.value, 0);
+
+    peer.stop();
+    await new Promise(resolve => relay.close(resolve));
+});
+
+test('spectators follow the round by its watch token and never get its id or secret', { skip: typeof WebSocket === 'undefined' && 'no global WebSocket' }, async () => {
+    const relay = await startRelay();
+    const url = `ws://localhost:${relay.address().port}`;
+
+    const card = new Round({ playerNames: ['Ann'] });
+    const playerId = card.players.value[0].id;
+    const scorer = new LiveSync(card, { url });
+    await scorer.share();
+    const token = scorer.watchToken.value;
+    assert.match(token, /^[0-9a-f]{32}$/);
+
+    const watcher = new RoundWatcher({ url });
+    const received = [];
+    watcher.watch(token);
+    watcher._client.onMessage(message => received.push(message));
+    await until(() => watcher.card.value !== null && scorer.spectators.value === 1);
+    assert.strictEqual(watcher.card.value.meta.value.id, token);
+
+    card.setScore(playerId, 1, 4);
+    await until(() => watcher.card.value.getScore(playerId, 1) === 4);
+    assert.ok(!JSON.stringify(received).includes(card.meta.value.id));
+    assert.ok(!JSON.stringify(received).includes(card.meta.value.secret));
+    assert.strictEqual(watcher.card.value.meta.value.secret, undefined);
+
+    watcher.stop();
+    scorer.stop();
+    await new Promise(resolve => relay.close(resolve));
+});
+
+test('stats, game settings and side game entries edited apart are merged, not overwritten', { skip: typeof WebSocket === 'undefined' && 'no global WebSocket' }, async () => {
+    let relay = await startRelay();
+    const port = relay.address().port;
+    const url = `ws://localhost:${port}`;
+
+    const card = new Round({ playerNames: ['Ann', 'Bob', 'Cat'] });
+    const [ann, bob] = card.players.value.map(p => p.id);
+    const scorer = new LiveSync(card, { url });
+    scorer.share();
+    const copy = Round.fromJSON({ ...card.toJSON(), id: 'rpeer', secret: createSecret() });
+    const peer = new LiveSync(copy, { url });
+    peer.join(card.meta.value.secret);
+    await until(() => scorer.devices.value === 2 && copy.meta.value.id === card.meta.value.id);
+
+    card.setGame({ mode: 'skins' });
+    await until(() => copy.game.value.mode === 'skins');
+
+    relay.close();
+    await until(() => scorer.status.value !== 'live' && peer.status.value !== 'live');
+    card.setHoleStat(ann, 1, 'putts', 2);
+    card.setGame({ net: true, mode: 'stableford' });
+    copy.setHoleStat(bob, 1, 'putts', 1);
+    copy.setSideGameEntry(1, 'bingo', { bingo: bob });
+    copy.setGame({ mode: 'matchplay' });
+
+    relay = await startRelay(port);
+    const settled = round => round.getHoleStats(ann, 1).putts === 2 && round.getHoleStats(bob, 1).putts === 1
+        && round.game.value.net === true && round.sideGameEntry(1, 'bingo') !== undefined;
+    await until(() => settled(card) && settled(copy) && scorer.conflicts.value.length > 0 && peer.conflicts.value.length > 0);
+
+    // Only the setting both changed is a conflict, settled the same way on both
+    assert.strictEqual(card.game.value.mode, copy.game.value.mode);
+    for (const sync of [scorer, peer]) {
+        assert.deepStrictEqual(sync.conflicts.value.map(c => [c.key, c.field.kind, c.values.slice().sort(), c.resolved]),
+            [['game:mode', 'game', ['matchplay', 'stableford'], false]]);
+    }
+
+    // The scorer picks the other value and every device takes it
+    const other = scorer.conflicts.value[0].values.find(value => value !== card.game.value.mode);
+    scorer.resolveConflict('game:mode', other);
+    await until(() => copy.game.value.mode === other && peer.conflicts.value[0].resolved);
+    assert.strictEqual(card.game.value.mode, other);
+
+    scorer.stop();
+    peer.stop();
+    await new Promise(resolve => relay.close(resolve));
+});
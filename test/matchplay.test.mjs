@@ -0,0 +1,85 @@
+/**
+ * Jounce Golf - Match Play tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { calculateMatch, formatMatchStatus } from '../public/matchplay.js';
+
+const NINE = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+// Singles match from per-hole scores for ann and bob
+function match(ann, bob, holeNumbers = NINE) {
+    const scores = { ann, bob };
+    return calculateMatch({
+        sides: [['ann'], ['bob']],
+        holeNumbers,
+        scoreFor: (id, hole) => scores[id][hole - 1] ?? null,
+    });
+}
+
+test('status reads from the first side', () => {
+    assert.strictEqual(formatMatchStatus(0), 'AS');
+    assert.strictEqual(formatMatchStatus(2), '2 UP');
+    assert.strictEqual(formatMatchStatus(-1), '1 DN');
+});
+
+test('holes are won, halved and settled in order', () => {
+    const result = match([4, 5, 4, null, 3], [5, 5, 3, 4, 4]);
+    assert.deepStrictEqual(result.holes.map(h => h.winner), [0, null, 1]);
+    assert.strictEqual(result.lead, 0);
+    assert.strictEqual(result.played, 3);
+    assert.strictEqual(result.leader, null);
+    assert.strictEqual(result.finished, false);
+    assert.strictEqual(result.result, null);
+});
+
+test('a lead equal to the holes left is dormie', () => {
+    // Ann wins 1-3 and halves 4-6: 3 up with 3 to play
+    const result = match([3, 3, 3, 4, 4, 4], [4, 4, 4, 4, 4, 4]);
+    assert.strictEqual(result.lead, 3);
+    assert.strictEqual(result.remaining, 3);
+    assert.strictEqual(result.dormie, true);
+    assert.strictEqual(result.finished, false);
+});
+
+test('the match closes out once the lead exceeds the holes left', () => {
+    // Bob wins 1-5: 5 down with 4 to play, holes after the closeout ignored
+    const result = match([5, 5, 5, 5, 5, 3, 3], [4, 4, 4, 4, 4, 4, 4]);
+    assert.strictEqual(result.played, 5);
+    assert.strictEqual(result.leader, 1);
+    assert.strictEqual(result.dormie, false);
+    assert.strictEqual(result.finished, true);
+    assert.strictEqual(result.result, '5&4');
+});
+
+test('a match played to the last hole ends UP or AS', () => {
+    const holes = [1, 2, 3];
+    assert.strictEqual(match([3, 4, 4], [4, 4, 4], holes).result, '1 UP');
+    assert.strictEqual(match([3, 5, 4], [4, 4, 4], holes).result, 'AS');
+});
+
+test('a net 0 counts as a played hole', () => {
+    const result = match([0], [1], [1, 2]);
+    assert.deepStrictEqual(result.holes, [{ number: 1, winner: 0, lead: 1 }]);
+    assert.strictEqual(result.dormie, true);
+});
+
+test('team sides play their best ball', () => {
+    const scores = { ann: [5, 4], bob: [3, 6], cat: [4, 4], dan: [4, 5] };
+    const result = calculateMatch({
+        sides: [['ann', 'bob'], ['cat', 'dan']],
+        holeNumbers: [1, 2],
+        scoreFor: (id, hole) => scores[id][hole - 1],
+    });
+    assert.deepStrictEqual(result.holes.map(h => h.winner), [0, null]);
+    assert.strictEqual(result.result, '1 UP');
+});
+
+test('a match without two sides settles nothing', () => {
+    const result = calculateMatch({ sides: [['ann'], []], holeNumbers: NINE, scoreFor: () => 4 });
+    assert.strictEqual(result.played, 0);
+    assert.strictEqual(result.finished, false);
+});
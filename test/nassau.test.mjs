@@ -0,0 +1,94 @@
+/**
+ * Jounce Golf - Nassau tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { calculateNassau } from '../public/nassau.js';
+
+const FRONT = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+const BACK = [10, 11, 12, 13, 14, 15, 16, 17, 18];
+const SEGMENTS = [
+    { name: 'Front', holeNumbers: FRONT },
+    { name: 'Back', holeNumbers: BACK },
+    { name: 'Overall', holeNumbers: [...FRONT, ...BACK] },
+];
+
+// Nassau from hole results for side A: 'W' won, 'L' lost, 'H' halved, '.' unplayed
+function nassau(results, options = {}) {
+    const scores = { W: [3, 4], L: [4, 3], H: [4, 4] };
+    return calculateNassau({
+        sides: [['ann'], ['bob']],
+        segments: SEGMENTS,
+        teamScoreFor: (side, hole) => {
+            const result = results[hole - 1];
+            return result in scores ? scores[result][side] : null;
+        },
+        ...options,
+    });
+}
+
+const bet = (result, name) => result.bets.find(b => b.name === name);
+
+test('each bet pays the stake once decided', () => {
+    const result = nassau('WWHHHHHHH' + 'LHHHHHHHH', { stake: 5 });
+    assert.deepStrictEqual(result.bets.map(b => [b.name, b.amount]), [
+        ['Front', 5],
+        ['Front press 1', 0],
+        ['Back', -5],
+        ['Overall', 5],
+        ['Overall press 1', -5],
+    ]);
+    assert.strictEqual(result.balance, 0);
+});
+
+test('a press starts on the hole after the lead first reaches pressAt', () => {
+    // 1 up, 2 up after hole 3, back to 1 up, 2 up again after hole 6
+    const result = nassau('WHWLWW...', { pressAt: 2 });
+    const press = bet(result, 'Front press 1');
+    assert.deepStrictEqual(press.holeNumbers, [4, 5, 6, 7, 8, 9]);
+    assert.strictEqual(result.bets.filter(b => b.name.startsWith('Front press 1')).length, 1);
+    // The press is 1 up after holes 4-6 (L, W, W)
+    assert.strictEqual(press.match.lead, 1);
+    assert.strictEqual(press.match.finished, false);
+});
+
+test('presses can be pressed in turn', () => {
+    const result = nassau('LLLL.....', { pressAt: 2 });
+    assert.deepStrictEqual(result.bets.filter(b => b.name.startsWith('Front')).map(b => [b.name, b.holeNumbers[0]]), [
+        ['Front', 1],
+        ['Front press 1', 3],
+        ['Front press 2', 5],
+    ]);
+});
+
+test('a press on the overall bet is carried through the back nine', () => {
+    const result = nassau('WWHHHHHHH' + 'LLLL.....', { stake: 2, pressAt: 2 });
+    const front = bet(result, 'Front press 1');
+    assert.deepStrictEqual(front.holeNumbers, [3, 4, 5, 6, 7, 8, 9]);
+    const overall = bet(result, 'Overall press 1');
+    assert.deepStrictEqual(overall.holeNumbers, [3, ...FRONT.slice(3), ...BACK]);
+    // The press only sees the back nine losses: 4 down with 5 to play
+    assert.strictEqual(overall.match.lead, -4);
+    assert.strictEqual(overall.match.finished, false);
+    // The press itself went 2 down after hole 11 and was pressed for the rest of the round
+    assert.deepStrictEqual(bet(result, 'Overall press 2').holeNumbers, BACK.slice(2));
+    assert.strictEqual(result.balance, 2);
+});
+
+test('a halved press pays nothing', () => {
+    const result = nassau('WWHHHHHHH' + 'HHHHHHHHH', { stake: 3 });
+    const press = bet(result, 'Front press 1');
+    assert.strictEqual(press.match.result, 'AS');
+    assert.strictEqual(press.amount, 0);
+    assert.strictEqual(bet(result, 'Front').amount, 3);
+    assert.strictEqual(result.balance, 3 + 0 + 0 + 3 + 0);
+});
+
+test('pressAt 0 plays the three bets only', () => {
+    const result = nassau('LLLLLLLLL' + 'LLLLLLLLL', { pressAt: 0 });
+    assert.deepStrictEqual(result.bets.map(b => b.name), ['Front', 'Back', 'Overall']);
+    assert.strictEqual(result.balance, -3);
+});
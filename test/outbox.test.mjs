@@ -0,0 +1,170 @@
+/**
+ * Jounce Golf - Outbox tests
+ *
+ * Run with: node --test
+ *
+ * IndexedDB is replaced by a small in-memory stand-in with the same
+ * request / transaction events, shared between Outbox instances so a
+ * "reload" (a new Outbox on the same database) sees what was stored.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { Outbox } from '../public/outbox.js';
+
+function createFakeIndexedDB() {
+    const databases = new Map();
+
+    function request(run) {
+        const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+        setTimeout(() => {
+            req.result = run();
+            req.onsuccess && req.onsuccess();
+        });
+        return req;
+    }
+
+    function transaction(stores, name) {
+        const records = stores.get(name);
+        const tx = { oncomplete: null, onerror: null, onabort: null, error: null };
+        tx.objectStore = () => ({
+            put: value => request(() => { records.set(value.seq, structuredClone(value)); }),
+            delete: key => request(() => { records.delete(key); }),
+            getAll: () => request(() => [...records.keys()].sort((a, b) => a - b).map(key => structuredClone(records.get(key)))),
+        });
+        setTimeout(() => setTimeout(() => tx.oncomplete && tx.oncomplete()));
+        return tx;
+    }
+
+    return {
+        open(name) {
+            const req = { result: undefined, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+            setTimeout(() => {
+                const isNew = !databases.has(name);
+                if (isNew) {
+                    databases.set(name, new Map());
+                }
+                const stores = databases.get(name);
+                req.result = {
+                    createObjectStore: store => stores.set(store, new Map()),
+                    transaction: store => transaction(stores, store),
+                };
+                if (isNew) {
+                    req.onupgradeneeded && req.onupgradeneeded();
+                }
+                req.onsuccess && req.onsuccess();
+            });
+            return req;
+        },
+    };
+}
+
+// A stand-in for the RPC client: records what it sends, fails on demand
+function createServer() {
+    const server = { sent: [], failures: new Map() };
+    server.send = async (entry) => {
+        const failure = server.failures.get(entry.fn);
+        if (failure) {
+            throw Object.assign(new Error(`${entry.fn} failed`), failure);
+        }
+        server.sent.push([entry.fn, entry.params]);
+    };
+    return server;
+}
+
+test.beforeEach(() => {
+    globalThis.indexedDB = createFakeIndexedDB();
+});
+
+test.afterEach(() => {
+    delete globalThis.indexedDB;
+});
+
+test('changes made offline are replayed in order once back online', async () => {
+    const server = createServer();
+    const outbox = new Outbox(server.send, { retryDelay: 10 });
+    outbox.setOffline(true);
+    await outbox.enqueue('createRound', { id: 'r1' });
+    await outbox.enqueue('submitScore', { id: 'r1', holeNumber: 1, strokes: 4 });
+    await outbox.enqueue('submitScore', { id: 'r1', holeNumber: 2, strokes: 5 });
+    assert.strictEqual(outbox.pending.value, 3);
+    assert.strictEqual(outbox.status.value, 'offline');
+    assert.deepStrictEqual(server.sent, []);
+
+    outbox.setOffline(false);
+    await outbox.flush();
+    assert.deepStrictEqual(server.sent.map(([fn, params]) => `${fn}:${params.holeNumber || ''}`),
+        ['createRound:', 'submitScore:1', 'submitScore:2']);
+    assert.strictEqual(outbox.pending.value, 0);
+    assert.strictEqual(outbox.status.value, 'idle');
+});
+
+test('unsent changes with the same key are coalesced', async () => {
+    const server = createServer();
+    const outbox = new Outbox(server.send, { retryDelay: 10 });
+    outbox.setOffline(true);
+    await outbox.enqueue('submitScore', { holeNumber: 1, strokes: 4 }, { key: 'score:r1:p1:1' });
+    await outbox.enqueue('submitScore', { holeNumber: 2, strokes: 3 }, { key: 'score:r1:p1:2' });
+    await outbox.enqueue('submitScore', { holeNumber: 1, strokes: 6 }, { key: 'score:r1:p1:1' });
+    assert.strictEqual(outbox.pending.value, 2);
+
+    outbox.setOffline(false);
+    await outbox.flush();
+    assert.deepStrictEqual(server.sent.map(([, params]) => [params.holeNumber, params.strokes]), [[1, 6], [2, 3]]);
+});
+
+test('a rejected change is dropped, a retryable failure waits and keeps the order', async () => {
+    const server = createServer();
+    const outbox = new Outbox(server.send, { retryDelay: 10 });
+    server.failures.set('finishRound', { status: 409, retryable: false });
+    server.failures.set('submitScore', { status: 503, retryable: true });
+    await outbox.enqueue('finishRound', { id: 'r1' });
+    await outbox.enqueue('submitScore', { holeNumber: 1 });
+    await outbox.enqueue('listRounds', {});
+    await outbox.flush();
+    assert.strictEqual(outbox.pending.value, 2);
+    assert.strictEqual(outbox.status.value, 'offline');
+    assert.deepStrictEqual(server.sent, []);
+
+    server.failures.delete('submitScore');
+    await outbox.flush();
+    assert.deepStrictEqual(server.sent.map(([fn]) => fn), ['submitScore', 'listRounds']);
+    assert.strictEqual(outbox.pending.value, 0);
+});
+
+test('pending changes survive a reload and replay in order', async () => {
+    const server = createServer();
+    const before = new Outbox(server.send, { retryDelay: 10 });
+    before.setOffline(true);
+    await before.enqueue('createRound', { id: 'r1' });
+    await before.enqueue('submitScore', { id: 'r1', strokes: 4 });
+
+    const after = new Outbox(server.send, { retryDelay: 10 });
+    await after.flush();
+    assert.deepStrictEqual(server.sent.map(([fn]) => fn), ['createRound', 'submitScore']);
+    assert.strictEqual(after.pending.value, 0);
+
+    // Sent changes are gone from the store too
+    const again = createServer();
+    const third = new Outbox(again.send, { retryDelay: 10 });
+    await third.flush();
+    assert.deepStrictEqual(again.sent, []);
+});
+
+test('dispose stops listening for the browser coming back online', async () => {
+    const listeners = new Set();
+    globalThis.window = {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    try {
+        const server = createServer();
+        const outbox = new Outbox(server.send, { retryDelay: 10 });
+        assert.strictEqual(listeners.size, 1);
+        await outbox.flush();
+        outbox.dispose();
+        assert.strictEqual(listeners.size, 0);
+    } finally {
+        delete globalThis.window;
+    }
+});
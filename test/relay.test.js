@@ -0,0 +1,218 @@
+/**
+ * Jounce Golf - Relay tests
+ *
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { createRelayServer, encodeFrame, decodeFrame, MAX_PAYLOAD } = require('../server/relay');
+const { watchTokenFor } = require('../server/scorer-secret');
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_CLOSE = 0x8;
+
+// Raw WebSocket client: collects messages, records the close code
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13',
+            },
+        });
+        req.on('error', reject);
+        req.on('upgrade', (res, socket) => {
+            const client = {
+                messages: [],
+                closeCode: null,
+                closed: new Promise(done => socket.on('close', done)),
+                send(type, data) {
+                    socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify({ type, data, timestamp: Date.now() }))));
+                },
+                write(frame) {
+                    socket.write(frame);
+                },
+                close() {
+                    socket.write(encodeFrame(OPCODE_CLOSE, Buffer.from([0x03, 0xe8])));
+                },
+                end() {
+                    socket.end();
+                },
+            };
+            let buffer = Buffer.alloc(0);
+            socket.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                let frame;
+                while ((frame = decodeFrame(buffer))) {
+                    buffer = buffer.subarray(frame.length);
+                    if (frame.opcode === OPCODE_CLOSE) {
+                        client.closeCode = frame.payload.readUInt16BE(0);
+                    } else {
+                        client.messages.push(JSON.parse(frame.payload.toString('utf8')));
+                    }
+                }
+            });
+            resolve(client);
+        });
+        req.end();
+    });
+}
+
+// Frame with the FIN bit cleared (more fragments follow)
+function fragment(opcode, payload) {
+    const frame = encodeFrame(opcode, payload);
+    frame[0] &= 0x7f;
+    return frame;
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+// A round's scorer secret, and the room its scorers share
+const SECRET = crypto.randomBytes(16).toString('hex');
+const ROOM = `round:${SECRET}`;
+
+async function startRelay(t) {
+    const relay = createRelayServer();
+    await new Promise(resolve => relay.listen(0, resolve));
+    t.after(() => new Promise(resolve => relay.close(resolve)));
+    return relay.address().port;
+}
+
+test('join sends presence and broadcast reaches the other members only', async (t) => {
+    const port = await startRelay(t);
+    const a = await connect(port);
+    const b = await connect(port);
+    a.send('join_room', { room: ROOM });
+    b.send('join_room', { room: ROOM });
+    await settle();
+    assert.deepStrictEqual(a.messages.at(-1).data, { room: ROOM, count: 2, spectators: 0 });
+
+    a.send('broadcast', { room: ROOM, type: 'score', data: { strokes: 4 } });
+    await settle();
+    assert.deepStrictEqual(b.messages.filter(m => m.type === 'score').map(m => m.data), [{ strokes: 4 }]);
+    assert.strictEqual(a.messages.filter(m => m.type === 'score').length, 0);
+    a.end();
+    b.end();
+});
+
+test('broadcasts from a spectator are dropped', async (t) => {
+    const port = await startRelay(t);
+    const scorer = await connect(port);
+    const spectator = await connect(port);
+    scorer.send('join_room', { room: ROOM });
+    spectator.send('join_room', { room: ROOM, role: 'spectator' });
+    await settle();
+    assert.deepStrictEqual(scorer.messages.at(-1).data, { room: ROOM, count: 1, spectators: 1 });
+
+    spectator.send('broadcast', { room: ROOM, type: 'score', data: { strokes: 9 } });
+    await settle();
+    assert.strictEqual(scorer.messages.filter(m => m.type === 'score').length, 0);
+    scorer.end();
+    spectator.end();
+});
+
+test('a spectator stays read-only after rejoining without the role', async (t) => {
+    const port = await startRelay(t);
+    const scorer = await connect(port);
+    const spectator = await connect(port);
+    scorer.send('join_room', { room: ROOM });
+    spectator.send('join_room', { room: 'watch:t1', role: 'spectator' });
+    spectator.send('join_room', { room: ROOM });
+    await settle();
+    assert.deepStrictEqual(scorer.messages.at(-1).data, { room: ROOM, count: 1, spectators: 1 });
+
+    spectator.send('broadcast', { room: ROOM, type: 'score', data: { strokes: 9 } });
+    await settle();
+    assert.strictEqual(scorer.messages.filter(m => m.type === 'score').length, 0);
+    scorer.end();
+    spectator.end();
+});
+
+test('round rooms can only be joined by their scorer secret', async (t) => {
+    const port = await startRelay(t);
+    const scorer = await connect(port);
+    const guesser = await connect(port);
+    scorer.send('join_room', { room: ROOM });
+    // Round ids and made-up names are not rooms anyone can join
+    guesser.send('join_room', { room: 'round:r1' });
+    await settle();
+    guesser.send('broadcast', { room: 'round:r1', type: 'score', data: { strokes: 9 } });
+    await settle();
+    assert.deepStrictEqual(guesser.messages, []);
+    assert.deepStrictEqual(scorer.messages.map(m => m.data), [{ room: ROOM, count: 1, spectators: 0 }]);
+    scorer.end();
+    guesser.end();
+});
+
+test('only a scorer holding the secret can publish to the round\'s watch room', async (t) => {
+    const port = await startRelay(t);
+    const watchRoom = `watch:${watchTokenFor(SECRET)}`;
+    const scorer = await connect(port);
+    const spectator = await connect(port);
+    const outsider = await connect(port);
+    spectator.send('join_room', { room: watchRoom, role: 'spectator' });
+    // Someone who knows the watch token (a spectator can) joins first, with a secret of their own
+    const otherSecret = crypto.randomBytes(16).toString('hex');
+    outsider.send('join_room', { room: `round:${otherSecret}` });
+    outsider.send('join_room', { room: watchRoom, secret: otherSecret });
+    scorer.send('join_room', { room: ROOM });
+    scorer.send('join_room', { room: watchRoom, secret: SECRET });
+    await settle();
+
+    outsider.send('broadcast', { room: watchRoom, type: 'score', data: { strokes: 9 } });
+    scorer.send('broadcast', { room: watchRoom, type: 'score', data: { strokes: 4 } });
+    await settle();
+    assert.deepStrictEqual(spectator.messages.filter(m => m.type === 'score').map(m => m.data), [{ strokes: 4 }]);
+
+    // Leaving the watch room ends the right to publish there
+    scorer.send('leave_room', { room: watchRoom });
+    scorer.send('broadcast', { room: watchRoom, type: 'score', data: { strokes: 5 } });
+    await settle();
+    assert.strictEqual(spectator.messages.filter(m => m.type === 'score').length, 1);
+    scorer.end();
+    spectator.end();
+    outsider.end();
+});
+
+test('closing a connection leaves its rooms', async (t) => {
+    const port = await startRelay(t);
+    const a = await connect(port);
+    const b = await connect(port);
+    a.send('join_room', { room: ROOM });
+    b.send('join_room', { room: ROOM });
+    await settle();
+    b.close();
+    await b.closed;
+    await settle();
+    assert.strictEqual(b.closeCode, 1000);
+    assert.deepStrictEqual(a.messages.at(-1).data, { room: ROOM, count: 1, spectators: 0 });
+
+    // Going away without a close frame counts as leaving too
+    const c = await connect(port);
+    c.send('join_room', { room: ROOM });
+    await settle();
+    c.end();
+    await settle();
+    assert.deepStrictEqual(a.messages.at(-1).data, { room: ROOM, count: 1, spectators: 0 });
+    a.end();
+});
+
+test('a fragmented message larger than MAX_PAYLOAD closes with 1009', async (t) => {
+    const port = await startRelay(t);
+    const client = await connect(port);
+    const piece = Buffer.alloc(MAX_PAYLOAD / 2, 'x');
+    client.write(fragment(OPCODE_TEXT, piece));
+    client.write(fragment(OPCODE_CONTINUATION, piece));
+    client.write(fragment(OPCODE_CONTINUATION, piece));
+    await client.closed;
+    assert.strictEqual(client.closeCode, 1009);
+});
@@ -0,0 +1,68 @@
+/**
+ * Jounce Golf - Round backup tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { backupRound } from '../public/round-store.js';
+import { Round } from '../public/round.js';
+
+// Records what would be queued for the server, keeping the latest per key
+function createFakeOutbox() {
+    const entries = [];
+    return {
+        entries,
+        enqueue(fn, params, { key = null } = {}) {
+            const existing = key === null ? null : entries.find(entry => entry.key === key);
+            if (existing) {
+                Object.assign(existing, { fn, params });
+            } else {
+                entries.push({ fn, params, key });
+            }
+        },
+    };
+}
+
+test('a round is created once, then sent a field at a time', () => {
+    const round = new Round({ playerNames: ['Ann', 'Bob'] });
+    const [ann] = round.players.value;
+    const { id, secret } = round.meta.value;
+    const outbox = createFakeOutbox();
+    const backup = backupRound(round, outbox);
+    assert.deepStrictEqual(outbox.entries.map(entry => entry.fn), ['createRound']);
+
+    round.setScore(ann.id, 2, 5);
+    round.setHoleStat(ann.id, 2, 'putts', 2);
+    round.setGame({ mode: 'skins' });
+    round.setGame({ skinValue: 5 });
+    assert.deepStrictEqual(outbox.entries.slice(1).map(entry => [entry.fn, entry.key]), [
+        ['submitScore', `score:${id}:${ann.id}:2`],
+        ['submitStats', `stats:${id}:${ann.id}:2`],
+        ['updateRound', `update:${id}:game`],
+    ]);
+    assert.deepStrictEqual(outbox.entries[2].params, { id, secret, playerId: ann.id, holeNumber: 2, stats: { putts: 2 } });
+    assert.strictEqual(outbox.entries[1].params.secret, secret);
+    assert.strictEqual(outbox.entries[3].params.secret, secret);
+    assert.deepStrictEqual(Object.keys(outbox.entries[3].params.changes), ['game']);
+    assert.strictEqual(outbox.entries[3].params.changes.game.skinValue, 5);
+    // The snapshot sent first is never re-sent
+    assert.strictEqual(outbox.entries[0].params.snapshot.scores[ann.id][1], 0);
+    assert.strictEqual(outbox.entries[0].params.snapshot.secret, secret);
+    backup.dispose();
+});
+
+test('a restored round is created whole rather than diffed', () => {
+    const round = new Round({ playerNames: ['Ann'] });
+    const other = new Round({ playerNames: ['Bob', 'Cat'] });
+    other.setScore(other.players.value[0].id, 1, 4);
+    const firstId = round.meta.value.id;
+    const outbox = createFakeOutbox();
+    const backup = backupRound(round, outbox);
+
+    round.restore(other.toJSON());
+    assert.deepStrictEqual(outbox.entries.map(entry => entry.key), [`round:${firstId}`, `round:${other.meta.value.id}`]);
+    assert.strictEqual(outbox.entries[1].params.snapshot.scores[other.players.value[0].id][0], 4);
+    backup.dispose();
+});
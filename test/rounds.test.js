@@ -0,0 +1,117 @@
+/**
+ * Jounce Golf - Round API tests
+ *
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoundApi } = require('../server/rounds');
+const { createMemoryStorage } = require('../server/storage');
+
+const SECRET = '0123456789abcdef0123456789abcdef';
+const OTHER_SECRET = 'fedcba9876543210fedcba9876543210';
+
+function snapshot(changes = {}) {
+    return {
+        id: 'r1',
+        secret: SECRET,
+        players: [{ id: 'p1', name: 'Ann' }, { id: 'p2', name: 'Bob' }],
+        holeCount: 9,
+        startHole: 1,
+        scores: { p1: Array(9).fill(0), p2: Array(9).fill(0) },
+        stats: {},
+        game: { mode: 'stroke' },
+        ...changes,
+    };
+}
+
+async function rejects(promise, code) {
+    await assert.rejects(promise, error => error.code === code);
+}
+
+test('createRound leaves a stored round and its scores alone', async () => {
+    const api = createRoundApi(createMemoryStorage());
+    await api.createRound({ snapshot: snapshot() });
+    await api.submitScore({ id: 'r1', secret: SECRET, playerId: 'p1', holeNumber: 1, strokes: 4 });
+
+    // A device that never saw that score sends its (stale) snapshot again
+    const stale = snapshot({ game: { mode: 'skins' } });
+    const stored = await api.createRound({ snapshot: stale });
+    assert.strictEqual(stored.scores.p1[0], 4);
+    assert.strictEqual(stored.secret, undefined);
+    assert.strictEqual(stored.game.mode, 'stroke');
+    assert.deepStrictEqual(await api.getRound({ id: 'r1', secret: SECRET }), stored);
+});
+
+test('updateRound sets round settings without touching scores', async () => {
+    const api = createRoundApi(createMemoryStorage());
+    await api.createRound({ snapshot: snapshot() });
+    await api.submitScore({ id: 'r1', secret: SECRET, playerId: 'p2', holeNumber: 3, strokes: 5 });
+    const round = await api.updateRound({ id: 'r1', secret: SECRET, changes: { game: { mode: 'skins' }, teeName: 'Blue' } });
+    assert.strictEqual(round.game.mode, 'skins');
+    assert.strictEqual(round.teeName, 'Blue');
+    assert.strictEqual(round.scores.p2[2], 5);
+
+    await rejects(api.updateRound({ id: 'r1', secret: SECRET, changes: { scores: {} } }), 'invalid_params');
+    await rejects(api.updateRound({ id: 'r1', secret: SECRET, changes: { players: [] } }), 'invalid_params');
+    await rejects(api.updateRound({ id: 'r1', secret: SECRET, changes: { game: null } }), 'invalid_params');
+    await rejects(api.updateRound({ id: 'nothere', secret: SECRET, changes: {} }), 'not_found');
+});
+
+test('submitStats sets one player\'s hole', async () => {
+    const api = createRoundApi(createMemoryStorage());
+    await api.createRound({ snapshot: snapshot({ stats: { p1: { 1: { putts: 2 } } } }) });
+    await api.submitStats({ id: 'r1', secret: SECRET, playerId: 'p1', holeNumber: 2, stats: { putts: 1, fairway: 'hit' } });
+    await api.submitStats({ id: 'r1', secret: SECRET, playerId: 'p2', holeNumber: 1, stats: { sand: 1 } });
+    const round = await api.getRound({ id: 'r1', secret: SECRET });
+    assert.deepStrictEqual(round.stats, {
+        p1: { 1: { putts: 2 }, 2: { putts: 1, fairway: 'hit' } },
+        p2: { 1: { sand: 1 } },
+    });
+
+    await rejects(api.submitStats({ id: 'r1', secret: SECRET, playerId: 'p1', holeNumber: 1, stats: { score: 1 } }), 'invalid_params');
+    await rejects(api.submitStats({ id: 'r1', secret: SECRET, playerId: 'p9', holeNumber: 1, stats: {} }), 'invalid_params');
+    await rejects(api.submitStats({ id: 'r1', secret: SECRET, playerId: 'p1', holeNumber: 10, stats: {} }), 'invalid_params');
+});
+
+test('finishRound keeps the stored scores over its snapshot', async () => {
+    const api = createRoundApi(createMemoryStorage());
+    await api.createRound({ snapshot: snapshot() });
+    await api.submitScore({ id: 'r1', secret: SECRET, playerId: 'p1', holeNumber: 1, strokes: 4 });
+    const finished = await api.finishRound({ id: 'r1', secret: SECRET, snapshot: snapshot({ finishedAt: '2026-10-19T12:00:00.000Z' }) });
+    assert.strictEqual(finished.scores.p1[0], 4);
+    assert.strictEqual(finished.finishedAt, '2026-10-19T12:00:00.000Z');
+    await rejects(api.submitScore({ id: 'r1', secret: SECRET, playerId: 'p1', holeNumber: 2, strokes: 4 }), 'round_finished');
+    await rejects(api.updateRound({ id: 'r1', secret: SECRET, changes: { teeName: 'Red' } }), 'round_finished');
+
+    // A round the server never got is filed from the snapshot
+    const other = await api.finishRound({ id: 'r2', secret: SECRET, snapshot: snapshot({ id: 'r2' }) });
+    assert.strictEqual(other.id, 'r2');
+    assert.ok(other.finishedAt);
+});
+
+test('every call naming a round needs its scorer secret', async () => {
+    const api = createRoundApi(createMemoryStorage());
+    await api.createRound({ snapshot: snapshot() });
+
+    await rejects(api.createRound({ snapshot: snapshot({ secret: OTHER_SECRET }) }), 'forbidden');
+    await rejects(api.createRound({ snapshot: snapshot({ secret: undefined }) }), 'invalid_params');
+    await rejects(api.getRound({ id: 'r1' }), 'forbidden');
+    await rejects(api.getRound({ id: 'r1', secret: OTHER_SECRET }), 'forbidden');
+    await rejects(api.updateRound({ id: 'r1', secret: OTHER_SECRET, changes: { teeName: 'Red' } }), 'forbidden');
+    await rejects(api.submitScore({ id: 'r1', secret: OTHER_SECRET, playerId: 'p1', holeNumber: 1, strokes: 4 }), 'forbidden');
+    await rejects(api.submitStats({ id: 'r1', secret: OTHER_SECRET, playerId: 'p1', holeNumber: 1, stats: { putts: 2 } }), 'forbidden');
+    await rejects(api.finishRound({ id: 'r1', secret: OTHER_SECRET }), 'forbidden');
+    await rejects(api.finishRound({ id: 'r1', secret: OTHER_SECRET, snapshot: snapshot({ secret: OTHER_SECRET }) }), 'forbidden');
+
+    // Anonymous callers get no ids (or secrets)
+    const [summary] = await api.listRounds({ status: 'all' });
+    assert.strictEqual(summary.id, undefined);
+    assert.ok(!JSON.stringify(summary).includes(SECRET));
+    const round = await api.getRound({ id: 'r1', secret: SECRET });
+    assert.strictEqual(round.scores.p1[0], 0);
+    assert.strictEqual(round.secretHash, undefined);
+});
@@ -0,0 +1,83 @@
+/**
+ * Jounce Golf - App server tests
+ *
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { createAppServer } = require('../server');
+const { createMemoryStorage } = require('../server/storage');
+const { cacheVersion } = require('../server/cache-version');
+const { watchTokenFor } = require('../server/scorer-secret');
+
+const SECRET = '0123456789abcdef0123456789abcdef';
+
+function request(port, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+async function startServer(t) {
+    const server = createAppServer({ storage: createMemoryStorage() });
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return server.address().port;
+}
+
+test('a malformed path answers 400 and the server keeps running', async (t) => {
+    const port = await startServer(t);
+    assert.strictEqual((await request(port, 'GET', '/%E0%A4%A')).status, 400);
+    assert.strictEqual((await request(port, 'GET', '//')).status, 400);
+    assert.strictEqual((await request(port, 'GET', '/index.html')).status, 200);
+});
+
+test('app routes fall back to index.html and paths cannot leave public/', async (t) => {
+    const port = await startServer(t);
+    const page = await request(port, 'GET', '/rounds/r1');
+    assert.strictEqual(page.status, 200);
+    assert.match(page.body, /<html/i);
+    assert.strictEqual((await request(port, 'GET', '/..%2Fserver%2Findex.js')).status, 404);
+});
+
+test('sw.js is served with a hash of the app files as its cache version', async (t) => {
+    const port = await startServer(t);
+    const sw = await request(port, 'GET', '/sw.js');
+    assert.strictEqual(sw.status, 200);
+    assert.ok(sw.body.includes(`const CACHE_VERSION = '${cacheVersion(path.join(__dirname, '..', 'public'))}';`));
+});
+
+test('rpc calls reach the round API', async (t) => {
+    const port = await startServer(t);
+    const missing = await request(port, 'POST', '/rpc/getRound', JSON.stringify({ id: 'rnothere' }));
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(JSON.parse(missing.body).error.code, 'not_found');
+    assert.deepStrictEqual(JSON.parse((await request(port, 'POST', '/rpc/listRounds', '{}')).body), []);
+});
+
+test('a round can be fetched by its watch token, without its id or secret', async (t) => {
+    const port = await startServer(t);
+    const snapshot = { id: 'r1', secret: SECRET, players: [{ id: 'p1', name: 'Ann' }], scores: {}, startHole: 1, holeCount: 9 };
+    await request(port, 'POST', '/rpc/createRound', JSON.stringify({ snapshot }));
+    const token = watchTokenFor(SECRET);
+    const watched = await request(port, 'POST', '/rpc/watchRound', JSON.stringify({ token }));
+    assert.strictEqual(watched.status, 200);
+    assert.strictEqual(JSON.parse(watched.body).id, token);
+    assert.ok(!watched.body.includes('r1') && !watched.body.includes(SECRET));
+    assert.strictEqual((await request(port, 'POST', '/rpc/watchRound', JSON.stringify({ token: 'r1' }))).status, 404);
+
+    const listed = await request(port, 'POST', '/rpc/listRounds', '{}');
+    assert.ok(!listed.body.includes('r1'));
+    assert.strictEqual((await request(port, 'POST', '/rpc/getRound', JSON.stringify({ id: 'r1' }))).status, 403);
+});
@@ -0,0 +1,132 @@
+/**
+ * Jounce Golf - Side Games tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { getSideGame, payEach, wolfFor, settleDebts, settleSideGames } from '../public/sidegames.js';
+import { Round } from '../public/round.js';
+import { DEFAULT_COURSE } from '../public/course.js';
+
+const PLAYERS = ['ann', 'bob', 'cat', 'dan'];
+
+// Settle one hole of a game with the given scores (playerId -> strokes)
+function settle(gameId, { entry, scores = {}, index = 0, par = 4, options = { loneWolfMultiplier: 2 } }) {
+    return getSideGame(gameId).settleHole({
+        number: index + 1,
+        index,
+        par,
+        entry,
+        playerIds: PLAYERS,
+        scoreFor: id => scores[id] ?? null,
+        options,
+    });
+}
+
+const sum = net => Object.values(net).reduce((total, value) => total + value, 0);
+
+test('payEach collects a point from every other player per win', () => {
+    assert.deepStrictEqual(payEach(['ann', 'ann', 'zed'], ['ann', 'bob', 'cat']), { ann: 4, bob: -2, cat: -2 });
+});
+
+test('the wolf rotates through the roster', () => {
+    assert.deepStrictEqual([0, 1, 4, 5].map(index => wolfFor(PLAYERS, index)), ['ann', 'bob', 'ann', 'bob']);
+    assert.strictEqual(wolfFor([], 0), null);
+});
+
+test('a wolf and partner beating the hunters collect from each of them', () => {
+    const net = settle('wolf', { entry: { partner: 'cat' }, scores: { ann: 5, bob: 4, cat: 3, dan: 4 } });
+    assert.deepStrictEqual(net, { ann: 2, bob: -2, cat: 2, dan: -2 });
+});
+
+test('a lone wolf wins and loses at the multiplier', () => {
+    const won = settle('wolf', { entry: { partner: null }, scores: { ann: 3, bob: 4, cat: 4, dan: 5 } });
+    assert.deepStrictEqual(won, { ann: 6, bob: -2, cat: -2, dan: -2 });
+    const lost = settle('wolf', { entry: { partner: null }, index: 1, scores: { ann: 4, bob: 5, cat: 4, dan: 6 } });
+    assert.deepStrictEqual(lost, { ann: 2, bob: -6, cat: 2, dan: 2 });
+    assert.strictEqual(sum(lost), 0);
+});
+
+test('a halved wolf hole pays nothing and an unfinished one is not settled', () => {
+    const halved = settle('wolf', { entry: { partner: 'bob' }, scores: { ann: 4, bob: 5, cat: 4, dan: 4 } });
+    assert.deepStrictEqual(halved, { ann: 0, bob: 0, cat: 0, dan: 0 });
+    assert.strictEqual(settle('wolf', { entry: { partner: 'bob' }, scores: { ann: 4, bob: 4 } }), null);
+    assert.strictEqual(settle('wolf', { entry: null, scores: { ann: 4, bob: 4, cat: 4, dan: 4 } }), null);
+});
+
+test('bingo-bango-bongo pays each award off the rest of the group', () => {
+    const net = settle('bingo', { entry: { bingo: 'ann', bango: 'bob', bongo: 'ann' } });
+    assert.deepStrictEqual(net, { ann: 5, bob: 1, cat: -3, dan: -3 });
+    assert.strictEqual(settle('bingo', { entry: undefined }), null);
+});
+
+test('dot games only pay players who qualify', () => {
+    const entry = ['ann', 'bob', 'cat'];
+    // Greenies need par or better on a par 3
+    assert.deepStrictEqual(settle('greenies', { entry, par: 3, scores: { ann: 3, bob: 4, cat: 2 } }),
+        { ann: 2, bob: -2, cat: 2, dan: -2 });
+    assert.deepStrictEqual(settle('greenies', { entry, par: 4, scores: { ann: 3, bob: 3, cat: 3 } }),
+        { ann: 0, bob: 0, cat: 0, dan: 0 });
+    // A net 0 is par or better; an unplayed hole is not
+    assert.deepStrictEqual(settle('sandies', { entry: ['ann', 'bob'], scores: { ann: 0 } }),
+        { ann: 3, bob: -1, cat: -1, dan: -1 });
+});
+
+test('debts net into payments that clear every balance', () => {
+    const balances = { ann: 30, bob: -10, cat: -25, dan: 5 };
+    const payments = settleDebts(balances);
+    assert.deepStrictEqual(payments, [
+        { from: 'bob', to: 'ann', amount: 10 },
+        { from: 'cat', to: 'ann', amount: 20 },
+        { from: 'cat', to: 'dan', amount: 5 },
+    ]);
+    const after = { ...balances };
+    for (const { from, to, amount } of payments) {
+        after[from] += amount;
+        after[to] -= amount;
+    }
+    assert.ok(Object.values(after).every(amount => amount === 0));
+    assert.deepStrictEqual(settleDebts({ ann: 0, bob: 0 }), []);
+});
+
+test('a round ledger sums every game at the stake', () => {
+    const scores = { 1: { ann: 4, bob: 5, cat: 5, dan: 5 }, 2: { ann: 4, bob: 4, cat: 4, dan: 3 } };
+    const ledger = settleSideGames({
+        enabled: ['wolf', 'bingo', 'unknown'],
+        playerIds: PLAYERS,
+        holeNumbers: [1, 2, 3],
+        entries: {
+            1: { wolf: { partner: null }, bingo: { bingo: 'bob' } },
+            2: { wolf: { partner: 'dan' } },
+            3: { wolf: { partner: null } },
+        },
+        scoreFor: (id, hole) => (scores[hole] || {})[id] ?? null,
+        parFor: () => 4,
+        stake: 5,
+        options: { loneWolfMultiplier: 3 },
+    });
+    assert.deepStrictEqual(ledger.games.map(game => game.id), ['wolf', 'bingo']);
+    // Hole 1: lone wolf ann wins 3 off each hunter; hole 2: bob and dan beat ann and cat; hole 3 unplayed
+    assert.deepStrictEqual(ledger.games[0].totals, { ann: 7, bob: -1, cat: -5, dan: -1 });
+    assert.deepStrictEqual(ledger.points, { ann: 6, bob: 2, cat: -6, dan: -2 });
+    assert.deepStrictEqual(ledger.balances, { ann: 30, bob: 10, cat: -30, dan: -10 });
+    assert.strictEqual(sum(ledger.balances), 0);
+    assert.deepStrictEqual(ledger.payments, [
+        { from: 'cat', to: 'ann', amount: 30 },
+        { from: 'dan', to: 'bob', amount: 10 },
+    ]);
+});
+
+test('a round settles side games from its entries and settings', () => {
+    const round = new Round({ playerNames: ['Ann', 'Bob', 'Cat'], holeCount: 9, course: DEFAULT_COURSE });
+    const [ann, bob, cat] = round.players.value.map(p => p.id);
+    round.setGame({ sideGames: { enabled: ['polies'], stake: 2, loneWolfMultiplier: 2 } });
+    round.setScore(ann, 1, 4);
+    round.setSideGameEntry(1, 'polies', [ann, bob]);
+    // Bob has no score on the hole yet, so only Ann's poley counts
+    assert.deepStrictEqual(round.sideGameLedger().value.balances, { [ann]: 4, [bob]: -2, [cat]: -2 });
+    round.setSideGameEntry(1, 'polies', null);
+    assert.deepStrictEqual(round.sideGameLedger().value.balances, { [ann]: 0, [bob]: 0, [cat]: 0 });
+});
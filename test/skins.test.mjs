@@ -0,0 +1,53 @@
+/**
+ * Jounce Golf - Skins tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { calculateSkins } from '../public/skins.js';
+
+// scores: playerId -> strokes by hole (null = unplayed)
+function skins(scores, options = {}) {
+    const playerIds = Object.keys(scores);
+    const holeCount = Math.max(...Object.values(scores).map(row => row.length));
+    return calculateSkins({
+        playerIds,
+        holeNumbers: Array.from({ length: holeCount }, (_, i) => i + 1),
+        scoreFor: (id, hole) => scores[id][hole - 1] ?? null,
+        ...options,
+    });
+}
+
+test('the lowest unique score wins the skin', () => {
+    const ledger = skins({ a: [4, 5], b: [5, 4], c: [5, 5] }, { skinValue: 2 });
+    assert.deepStrictEqual(ledger.holes.map(hole => [hole.winner, hole.skins]), [['a', 1], ['b', 1]]);
+    assert.deepStrictEqual(ledger.totals.a, { skins: 1, amount: 2 });
+    assert.deepStrictEqual(ledger.totals.c, { skins: 0, amount: 0 });
+    assert.strictEqual(ledger.carryover, 0);
+});
+
+test('a tie for low carries every skin to the next hole', () => {
+    const ledger = skins({ a: [4, 4, 3, 5], b: [4, 4, 4, 5] });
+    assert.deepStrictEqual(ledger.holes.map(hole => [hole.winner, hole.skins, hole.carried]),
+        [[null, 1, true], [null, 2, true], ['a', 3, false], [null, 1, true]]);
+    assert.strictEqual(ledger.totals.a.skins, 3);
+    // The last hole's skin is still riding
+    assert.strictEqual(ledger.carryover, 1);
+});
+
+test('settling stops at the first hole someone has not finished', () => {
+    const ledger = skins({ a: [4, null, 3], b: [5, 4, 4] });
+    assert.deepStrictEqual(ledger.holes.map(hole => hole.number), [1]);
+    assert.strictEqual(ledger.totals.a.skins, 1);
+});
+
+test('a net score of 0 is played and can win', () => {
+    const ledger = skins({ a: [0], b: [3] });
+    assert.strictEqual(ledger.holes[0].winner, 'a');
+});
+
+test('one player cannot win skins', () => {
+    assert.deepStrictEqual(skins({ a: [3, 3] }).holes, []);
+});
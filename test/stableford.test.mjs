@@ -0,0 +1,49 @@
+/**
+ * Jounce Golf - Stableford tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { Round } from '../public/round.js';
+import { DEFAULT_COURSE } from '../public/course.js';
+import { POINTS_TABLES, stablefordPoints, calculateStableford } from '../public/stableford.js';
+
+test('points follow the hole result on each table', () => {
+    // Albatross to triple bogey on a par 5
+    const strokes = [2, 3, 4, 5, 6, 7, 8];
+    assert.deepStrictEqual(strokes.map(s => stablefordPoints(s, 5, POINTS_TABLES.stableford)), [5, 4, 3, 2, 1, 0, 0]);
+    assert.deepStrictEqual(strokes.map(s => stablefordPoints(s, 5, POINTS_TABLES.modified)), [8, 5, 2, 0, -1, -3, -3]);
+    // A hole in one on a par 5 is still an albatross
+    assert.strictEqual(stablefordPoints(1, 5, POINTS_TABLES.stableford), 5);
+});
+
+test('unplayed holes and holes without a par score nothing', () => {
+    assert.strictEqual(stablefordPoints(null, 4, POINTS_TABLES.stableford), null);
+    assert.strictEqual(stablefordPoints(4, null, POINTS_TABLES.stableford), null);
+    // Net 0 on a par 3 is played
+    assert.strictEqual(stablefordPoints(0, 3, POINTS_TABLES.stableford), 5);
+});
+
+test('the round total counts played holes only', () => {
+    const scores = { 1: 4, 2: null, 3: 6 };
+    const result = calculateStableford({
+        holeNumbers: [1, 2, 3],
+        scoreFor: hole => scores[hole],
+        parFor: () => 4,
+        table: POINTS_TABLES.modified,
+    });
+    assert.deepStrictEqual(result, { holes: { 1: 0, 3: -3 }, total: -3, played: 2 });
+});
+
+test('a round uses its own points table for the mode', () => {
+    const round = new Round({ playerNames: ['Ann'], holeCount: 9, course: DEFAULT_COURSE });
+    const playerId = round.players.value[0].id;
+    round.setScore(playerId, 1, 3);
+    round.setScore(playerId, 2, 4);
+    round.setGame({ mode: 'stableford' });
+    assert.strictEqual(round.points(playerId).value.total, 3 + 2);
+    round.setGame({ pointsTables: { ...round.game.value.pointsTables, stableford: { ...POINTS_TABLES.stableford, birdie: 4 } } });
+    assert.strictEqual(round.points(playerId).value.total, 4 + 2);
+});
@@ -0,0 +1,43 @@
+/**
+ * Jounce Golf - Team format tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { Round, createPlayer } from '../public/round.js';
+import { DEFAULT_COURSE } from '../public/course.js';
+import { bestBall } from '../public/teams.js';
+import { scoreToPar, holeResult } from '../public/scoring.js';
+
+test('best ball waits for every player on the side', () => {
+    const scores = { ann: 4, bob: 5 };
+    assert.strictEqual(bestBall(['ann', 'bob'], 1, id => scores[id]), 4);
+    assert.strictEqual(bestBall(['ann', 'cat'], 1, id => scores[id] ?? null), null);
+    assert.strictEqual(bestBall([], 1, id => scores[id]), null);
+});
+
+test('a net score of 0 is a played hole', () => {
+    assert.strictEqual(bestBall(['ann', 'bob'], 3, id => ({ ann: 0, bob: 3 })[id]), 0);
+    assert.strictEqual(scoreToPar(0, 3), -3);
+    assert.strictEqual(holeResult(0, 3), 'albatross');
+    assert.strictEqual(scoreToPar(null, 3), null);
+});
+
+test('an ace on a stroke hole counts toward net to par and the side score', () => {
+    // 18 handicap: a stroke on every hole, so an ace on the par-3 3rd is net 0
+    const ann = createPlayer('Ann', { handicapIndex: 18 });
+    const bob = createPlayer('Bob', { handicapIndex: 0 });
+    const round = new Round({ players: [ann, bob], holeCount: 18, course: DEFAULT_COURSE });
+    round.setGame({ mode: 'bestball', net: true, teams: { [ann.id]: 0, [bob.id]: 0 } });
+    round.setScore(ann.id, 3, 1);
+    round.setScore(bob.id, 3, 3);
+
+    assert.strictEqual(round.netScore(ann.id, 3), 0);
+    assert.strictEqual(round.toPar(ann.id, 'net').value, -3);
+    assert.strictEqual(round.toPar(ann.id, 'gross').value, -2);
+    assert.strictEqual(round.teamScore(0, 3), 0);
+    // Unplayed holes stay out of the gross total
+    assert.strictEqual(round.netScore(ann.id, 4), null);
+});
@@ -0,0 +1,103 @@
+/**
+ * Jounce Golf - World Handicap System tests
+ *
+ * Run with: node --test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { Round, createPlayer } from '../public/round.js';
+import { DEFAULT_COURSE, createCourse } from '../public/course.js';
+import {
+    netDoubleBogey, scoreDifferential, indexFromDifferentials, applyCaps, handicapHistory,
+    SOFT_CAP, HARD_CAP,
+} from '../public/whs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A finished round for player, `day` days into 2026, with strokes to par per hole
+function finishedRound(player, course, day, toPar) {
+    const round = new Round({ players: [player], holeCount: course.holes.length, course });
+    course.holes.forEach((hole, i) => round.setScore(player.id, hole.number, hole.par + toPar(i)));
+    return { ...round.toJSON(), finishedAt: new Date(Date.UTC(2026, 0, 1) + day * DAY_MS).toISOString() };
+}
+
+// toPar for a round `over` strokes over par: bogeys, then double bogeys once every hole has one
+const over = strokes => i => (i < strokes ? 1 : 0) + (i < strokes - 18 ? 1 : 0);
+
+test('differentials average the lowest scores for the size of the record', () => {
+    assert.strictEqual(indexFromDifferentials([10, 12]), null);
+    // 3 scores: lowest 1, less 2.0
+    assert.strictEqual(indexFromDifferentials([14, 10, 12]), 8.0);
+    // 6 scores: lowest 2, less 1.0
+    assert.strictEqual(indexFromDifferentials([15, 11, 13, 10, 14, 12]), 9.5);
+    // 20 scores: lowest 8
+    const twenty = Array.from({ length: 20 }, (_, i) => 20 - i);
+    assert.strictEqual(indexFromDifferentials(twenty), 4.5);
+    // Only the most recent 20 count
+    assert.strictEqual(indexFromDifferentials([0, 0, 0, 0, 0, ...twenty]), 4.5);
+});
+
+test('score differentials and net double bogey', () => {
+    assert.strictEqual(scoreDifferential(85, 72, 113), 13.0);
+    assert.strictEqual(scoreDifferential(90, 71.5, 130), 16.1);
+    assert.strictEqual(netDoubleBogey(4, null), 9);
+    assert.strictEqual(netDoubleBogey(4, 0), 6);
+    assert.strictEqual(netDoubleBogey(3, 2), 7);
+});
+
+test('the soft cap halves a rise above 3.0 and the hard cap stops it at 5.0', () => {
+    assert.strictEqual(applyCaps(14.0, null), 14.0);
+    assert.strictEqual(applyCaps(10.0 + SOFT_CAP, 10.0), 13.0);
+    assert.strictEqual(applyCaps(14.0, 10.0), 13.5);
+    assert.strictEqual(applyCaps(17.0, 10.0), 15.0);
+    assert.strictEqual(applyCaps(22.0, 10.0), 10.0 + HARD_CAP);
+    assert.strictEqual(applyCaps(8.0, 10.0), 8.0);
+});
+
+test('holes are capped at net double bogey, par + 5 before an index exists', () => {
+    const ann = createPlayer('Ann');
+    // A 12 on the first hole (par 4) counts as 9; everything else is par
+    const round = finishedRound(ann, DEFAULT_COURSE, 0, i => (i === 0 ? 8 : 0));
+    assert.deepStrictEqual(handicapHistory([round], ann.id).map(entry => [entry.adjustedGross, entry.differential]), [[77, 5.0]]);
+
+    // With a 0.0 index the cap is par + 2
+    const scratch = createPlayer('Sam', { handicapIndex: 0 });
+    const capped = finishedRound(scratch, DEFAULT_COURSE, 0, i => (i === 0 ? 8 : 0));
+    assert.strictEqual(handicapHistory([capped], scratch.id)[0].adjustedGross, 74);
+});
+
+test('two 9-hole rounds combine, in order, into one 18-hole score', () => {
+    const ann = createPlayer('Ann');
+    const nine = createCourse('Nine', 9);
+    const rounds = [
+        finishedRound(ann, nine, 1, () => 1),
+        finishedRound(ann, nine, 0, () => 0),
+        finishedRound(ann, nine, 2, () => 2),
+    ];
+    const history = handicapHistory(rounds, ann.id);
+    assert.strictEqual(history.length, 1);
+    assert.deepStrictEqual(history[0].roundIds, [rounds[1].id, rounds[0].id]);
+    // 36 + 45 against a rating of 36 + 36 at slope 113
+    assert.strictEqual(history[0].adjustedGross, 81);
+    assert.strictEqual(history[0].differential, 9.0);
+    assert.strictEqual(history[0].index, null);
+});
+
+test('an index climbing after 20 scores is held by the caps', () => {
+    const ann = createPlayer('Ann');
+    const rounds = [
+        ...Array.from({ length: 20 }, (_, day) => finishedRound(ann, DEFAULT_COURSE, day, over(10))),
+        ...Array.from({ length: 20 }, (_, day) => finishedRound(ann, DEFAULT_COURSE, 20 + day, over(36))),
+    ];
+    const history = handicapHistory(rounds, ann.id);
+    assert.strictEqual(history[18].lowIndex, null);
+    assert.strictEqual(history[19].index, 10.0);
+    // The low index of the year is the 8.0 the first three scores gave (less 2.0)
+    const low = history[19].lowIndex;
+    assert.strictEqual(low, 8.0);
+    assert.ok(history.every(entry => entry.index === null || entry.index <= low + HARD_CAP));
+    assert.ok(history.some(entry => entry.index > low + SOFT_CAP && entry.index < low + HARD_CAP));
+    assert.strictEqual(history.at(-1).differential, 36.0);
+    assert.strictEqual(history.at(-1).index, low + HARD_CAP);
+});
@@ -0,0 +1,43 @@
+/**
+ * Jounce Golf - Vercel RPC Function
+ *
+ * vercel.json routes /rpc/:fn here as /api/rpc?fn=:fn. deploy.sh copies
+ * server/ in next to this folder, where the requires below find it.
+ *
+ * Vercel functions only have /tmp to write to, and it is not shared between
+ * instances or kept between invocations: a round saved by one call can be
+ * gone on the next. Plug a durable backend into createRoundApi() (see
+ * server/storage.js) for rounds to be kept.
+ */
+
+'use strict';
+
+const path = require('path');
+const os = require('os');
+const { createRpcHandler } = require('../server/rpc');
+const { createRoundApi } = require('../server/rounds');
+const { createFileStorage } = require('../server/storage');
+
+const handleRpc = createRpcHandler(createRoundApi(
+    createFileStorage(process.env.ROUNDS_DIR || path.join(os.tmpdir(), 'jounce-golf-rounds'))
+));
+
+function sendError(res, status, code, message) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: { code, message } }));
+}
+
+module.exports = (req, res) => {
+    let fn;
+    try {
+        fn = new URL(req.url, 'http://localhost').searchParams.get('fn') || '';
+    } catch (error) {
+        sendError(res, 400, 'invalid_params', 'Malformed request URL');
+        return;
+    }
+    req.url = `/rpc/${encodeURIComponent(fn)}`;
+    if (!handleRpc(req, res)) {
+        sendError(res, 404, 'unknown_function', `Unknown function ${fn}`);
+    }
+};
@@ -2,6 +2,9 @@
 
 # Quick deployment script for Jounce apps to Vercel
 
+set -e
+cd "$(dirname "$0")"
+
 echo "🏌️ Deploying Golf Scorecard to Vercel..."
 echo ""
 
@@ -16,6 +19,14 @@ fi
 echo "✅ Vercel CLI found"
 echo ""
 
+# The app and the round API function's modules live at the repo root
+echo "📦 Copying public/ and server/..."
+rm -rf public server
+cp -R ../public ../server .
+
+# Name the offline cache after this build's files
+node server/cache-version.js public
+
 # Deploy
 echo "🚀 Deploying..."
 vercel --prod